@@ -0,0 +1,32 @@
+/**
+ * Copyright 2024 Circle Internet Group, Inc. All rights reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+pragma solidity 0.6.12;
+
+/**
+ * @title ContractWithImmutables
+ * @dev A contract with immutable variables, used to test bytecode verification.
+ */
+contract ContractWithImmutables {
+    address public immutable token;
+    uint256 public immutable scale;
+
+    constructor(address _token, uint8 _decimals) public {
+        token = _token;
+        scale = 10**uint256(_decimals);
+    }
+}
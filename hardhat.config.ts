@@ -31,12 +31,20 @@ import "hardhat-gas-reporter";
 import "solidity-coverage";
 
 // Local hardhat scripts / tasks
+import "./scripts/hardhat/checkStorageLayout";
+import "./scripts/hardhat/diffBlacklists";
 import "./scripts/hardhat/downloadBlacklistedAccounts";
+import "./scripts/hardhat/exportBlacklistedBalances";
 import "./scripts/hardhat/getContractCreationBlock";
+import "./scripts/hardhat/readProxyState";
 import "./scripts/hardhat/readValuesFromContract";
+import "./scripts/hardhat/reconcileBlacklist";
+import "./scripts/hardhat/simulateUpgrade";
 import "./scripts/hardhat/validateAccountsToBlacklist";
 
 import "./scripts/hardhat/verifyOnChainBytecode";
+import "./scripts/hardhat/verifyProxyDeployment";
+import "./scripts/hardhat/searchCompilerSettings";
 
 dotenv.config();
 
@@ -16,44 +16,145 @@
  * limitations under the License.
  */
 
-import { ContractArtifact } from "./verifyOnChainBytecode";
-import * as fs from "fs";
+import fs from "fs";
+import { LinkReferences } from "hardhat/types";
+import path from "path";
+import { ContractArtifact, ImmutableReferences } from "./verifyOnChainBytecode";
 
-type AlternativeArtifact = Map<string, ContractArtifact>;
+// Name of a set of alternative artifacts, eg. "OPMainnet" for the contracts deployed on OP Mainnet
+export type ArtifactType = string;
 
-export enum ArtifactType {
-  OPMainnet = "OPMainnet",
-}
-
-const CACHED_ARTIFACTS_PATH = "./cached_artifacts/";
+/**
+ * Describes the compiler output of a contract that does not match the current artifacts in the repo,
+ * eg. a bridged deployment compiled with historical compiler settings. Bytecode files are resolved
+ * relative to the descriptor, and read when the artifact is requested.
+ */
+export type AlternativeArtifactDescriptor = {
+  artifactType: ArtifactType;
+  chain: string;
+  contractName: string;
+  source?: string; // where the bytecode was retrieved from
+  creationBytecodeFile: string;
+  runtimeBytecodeFile: string;
+  creationLinkReferences?: LinkReferences;
+  runtimeLinkReferences?: LinkReferences;
+  runtimeImmutableReferences?: ImmutableReferences;
+};
 
-// Read from https://optimistic.etherscan.io/token/0x0b2c639c533813f4aa9d7837caf62653d097ff85#code
-export const opMainnetFiatTokenProxyContractCreationBytecode = readCachedArtifact(
-  "opMainnetFiatTokenProxyContractCreationBytecode.bin"
-);
-const opMainnetFiatTokenProxyRuntimeBytecode = readCachedArtifact(
-  "opMainnetFiatTokenProxyRuntimeBytecode.bin"
+export const CACHED_ARTIFACTS_DIR = path.join(
+  __dirname,
+  "..",
+  "..",
+  "cached_artifacts"
 );
 
-const opMainnetArtifacts: AlternativeArtifact = new Map([
-  [
-    "FiatTokenProxy",
-    {
-      creationBytecode: opMainnetFiatTokenProxyContractCreationBytecode,
-      runtimeBytecode: opMainnetFiatTokenProxyRuntimeBytecode,
-      creationLinkReferences: {},
-      runtimeLinkReferences: {},
-    },
-  ],
-]);
-
-export const alternativeArtifacts: Map<
-  ArtifactType,
-  AlternativeArtifact
-> = new Map([[ArtifactType.OPMainnet, opMainnetArtifacts]]);
-
-function readCachedArtifact(filename: string): string {
-  return (
-    "0x" + fs.readFileSync(CACHED_ARTIFACTS_PATH + filename, "utf-8").trim()
+/**
+ * Returns the artifact types described in the cached artifacts directory.
+ */
+export function getAlternativeArtifactTypes(
+  artifactsDir = CACHED_ARTIFACTS_DIR
+): ArtifactType[] {
+  return [
+    ...new Set(
+      readArtifactDescriptors(artifactsDir).map(
+        ({ artifactType }) => artifactType
+      )
+    ),
+  ];
+}
+
+/**
+ * Returns the alternative artifact of a contract for an artifact type.
+ */
+export function getAlternativeArtifact(
+  contractName: string,
+  artifactType: ArtifactType,
+  artifactsDir = CACHED_ARTIFACTS_DIR
+): ContractArtifact {
+  const descriptors = readArtifactDescriptors(artifactsDir, artifactType);
+  if (descriptors.length === 0) {
+    throw new Error(`artifact type ${artifactType} not supported`);
+  }
+  const descriptor = descriptors.find(
+    (descriptor) => descriptor.contractName === contractName
   );
+  if (descriptor === undefined) {
+    throw new Error(
+      `artifact not found for contract ${contractName} for artifact type ${artifactType}`
+    );
+  }
+
+  return {
+    creationBytecode: readCachedArtifact(
+      artifactsDir,
+      descriptor.creationBytecodeFile
+    ),
+    runtimeBytecode: readCachedArtifact(
+      artifactsDir,
+      descriptor.runtimeBytecodeFile
+    ),
+    creationLinkReferences: descriptor.creationLinkReferences ?? {},
+    runtimeLinkReferences: descriptor.runtimeLinkReferences ?? {},
+    runtimeImmutableReferences: descriptor.runtimeImmutableReferences,
+  };
+}
+
+/**
+ * Reads the JSON descriptors in the cached artifacts directory, optionally only those of an
+ * artifact type. Only the descriptors that are returned are validated, so that an invalid
+ * descriptor does not affect the other artifact types. Returns no descriptors if the directory
+ * does not exist.
+ */
+function readArtifactDescriptors(
+  artifactsDir: string,
+  artifactType?: ArtifactType
+): AlternativeArtifactDescriptor[] {
+  if (!fs.existsSync(artifactsDir)) {
+    return [];
+  }
+  return fs
+    .readdirSync(artifactsDir)
+    .filter((filename) => filename.endsWith(".json"))
+    .sort()
+    .flatMap((filename) => {
+      let descriptor;
+      try {
+        descriptor = JSON.parse(
+          fs.readFileSync(path.join(artifactsDir, filename), "utf-8")
+        );
+      } catch (e) {
+        console.warn(
+          `Skipping artifact descriptor '${filename}': ${(e as Error).message}`
+        );
+        return [];
+      }
+      if (
+        typeof descriptor?.artifactType !== "string" ||
+        (artifactType !== undefined && descriptor.artifactType !== artifactType)
+      ) {
+        return [];
+      }
+      if (artifactType !== undefined) {
+        for (const field of [
+          "contractName",
+          "creationBytecodeFile",
+          "runtimeBytecodeFile",
+        ]) {
+          if (typeof descriptor[field] !== "string") {
+            throw new Error(
+              `Invalid artifact descriptor '${filename}': missing ${field}`
+            );
+          }
+        }
+      }
+      return [descriptor];
+    });
+}
+
+function readCachedArtifact(artifactsDir: string, filename: string): string {
+  const filePath = path.join(artifactsDir, filename);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Cached artifact '${filePath}' not found`);
+  }
+  return "0x" + fs.readFileSync(filePath, "utf-8").trim();
 }
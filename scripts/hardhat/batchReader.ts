@@ -0,0 +1,235 @@
+/**
+ * Copyright 2024 Circle Internet Group, Inc. All rights reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {
+  BlockTag,
+  ethers,
+  FetchRequest,
+  JsonRpcProvider,
+  Provider,
+} from "ethers";
+import { HardhatRuntimeEnvironment, HttpNetworkConfig } from "hardhat/types";
+import _ from "lodash";
+import { getBackoffDelayMs, mapWithConcurrency, sleep } from "./helpers";
+import { getMappingSlot } from "./storageLayout";
+
+export type BatchReadOptions = {
+  blockTag?: BlockTag;
+  batchSize?: number; // number of accounts read per JSON-RPC batch request
+  concurrency?: number; // number of batch requests in flight
+  includeBalances?: boolean; // also reads balanceOf() for every account
+  maxRetries?: number; // retries of a failed batch before the whole read fails
+  baseDelayMs?: number;
+  maxDelayMs?: number;
+  onProgress?: (readCount: number, totalCount: number) => void;
+};
+
+export type AccountState = {
+  address: string;
+  isBlacklisted: boolean;
+  balance?: bigint;
+};
+
+const fiatTokenInterface = new ethers.Interface([
+  "function isBlacklisted(address _account) view returns (bool)",
+  "function balanceOf(address account) view returns (uint256)",
+]);
+
+// Storage slots in FiatTokenV2_2, hard-coded so that they can be read without the foundry
+// artifacts. They are checked against the storage layout in the tests.
+export const BALANCE_AND_BLACKLIST_STATES_SLOT = BigInt(9); // balanceAndBlacklistStates mapping
+export const INITIALIZED_VERSION_SLOT = BigInt(18); // uint8 _initializedVersion, unused before V2
+
+const BLACKLIST_STATE_MASK = BigInt(1) << BigInt(255);
+
+/**
+ * Reads isBlacklisted() and optionally balanceOf() for many accounts on a FiatToken contract.
+ *
+ * On HTTP networks, the eth_calls for a batch of accounts are sent in a single JSON-RPC batch
+ * request. On the in-process hardhat network, the eth_calls are sent one by one.
+ */
+export async function readAccountStates(
+  hre: HardhatRuntimeEnvironment,
+  tokenAddress: string,
+  accounts: string[],
+  options: BatchReadOptions = {}
+): Promise<AccountState[]> {
+  const { blockTag = "latest", includeBalances = false } = options;
+
+  return readInBatches(
+    hre,
+    accounts,
+    includeBalances ? 2 : 1,
+    options,
+    async (provider, account) => {
+      const call = async (functionName: string) => {
+        const result = await provider.call({
+          to: tokenAddress,
+          data: fiatTokenInterface.encodeFunctionData(functionName, [account]),
+          blockTag,
+        });
+        return fiatTokenInterface.decodeFunctionResult(functionName, result)[0];
+      };
+
+      const [isBlacklisted, balance] = await Promise.all([
+        call("isBlacklisted"),
+        includeBalances ? call("balanceOf") : undefined,
+      ]);
+      return { address: account, isBlacklisted, balance };
+    }
+  );
+}
+
+/**
+ * Reads the balance and blacklist state of many accounts on a FiatTokenV2_2 proxy by
+ * decoding the packed balanceAndBlacklistStates mapping with eth_getStorageAt.
+ * The storage reads are batched like in readAccountStates.
+ */
+export async function readPackedAccountStates(
+  hre: HardhatRuntimeEnvironment,
+  proxyAddress: string,
+  accounts: string[],
+  options: Omit<BatchReadOptions, "includeBalances"> = {}
+): Promise<Required<AccountState>[]> {
+  const { blockTag = "latest" } = options;
+
+  return readInBatches(hre, accounts, 1, options, async (provider, account) => {
+    const value = await provider.getStorage(
+      proxyAddress,
+      getMappingSlot("address", account, BALANCE_AND_BLACKLIST_STATES_SLOT),
+      blockTag
+    );
+    return { address: account, ...decodeBalanceAndBlacklistState(value) };
+  });
+}
+
+/**
+ * Reads the _initializedVersion of a FiatToken proxy, ie. 0 before V2, 1 for V2, 2 for V2_1
+ * and 3 for V2_2.
+ */
+export async function readInitializedVersion(
+  hre: HardhatRuntimeEnvironment,
+  proxyAddress: string,
+  blockTag: BlockTag = "latest"
+): Promise<number> {
+  const value = await hre.ethers.provider.getStorage(
+    proxyAddress,
+    INITIALIZED_VERSION_SLOT,
+    blockTag
+  );
+  return Number(BigInt(value) & BigInt(0xff));
+}
+
+/**
+ * Decodes a balanceAndBlacklistStates value, where the high bit holds the blacklist state
+ * and the remaining 255 bits hold the balance.
+ */
+export function decodeBalanceAndBlacklistState(
+  value: string
+): {
+  isBlacklisted: boolean;
+  balance: bigint;
+} {
+  const packedValue = BigInt(value);
+  return {
+    isBlacklisted: (packedValue & BLACKLIST_STATE_MASK) !== BigInt(0),
+    balance: packedValue & (BLACKLIST_STATE_MASK - BigInt(1)),
+  };
+}
+
+/**
+ * Reads many accounts in batches of batchSize accounts, with up to concurrency batches in flight.
+ * A failed batch is retried with an exponential backoff with jitter.
+ * @throws error if a batch still fails after maxRetries retries
+ */
+async function readInBatches<T>(
+  hre: HardhatRuntimeEnvironment,
+  accounts: string[],
+  requestsPerAccount: number,
+  {
+    batchSize = 100,
+    concurrency = 4,
+    maxRetries = 5,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+    onProgress,
+  }: BatchReadOptions,
+  readAccount: (provider: Provider, account: string) => Promise<T>
+): Promise<T[]> {
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error("invalid batch size");
+  }
+  const provider = getBatchProvider(hre, batchSize * requestsPerAccount);
+
+  let readCount = 0;
+  try {
+    const batches = await mapWithConcurrency(
+      _.chunk(accounts, batchSize),
+      concurrency,
+      async (batch) => {
+        let results: T[];
+        for (let tries = 1; ; tries++) {
+          try {
+            results = await Promise.all(
+              batch.map((account) => readAccount(provider, account))
+            );
+            break;
+          } catch (e) {
+            if (tries > maxRetries) {
+              throw e;
+            }
+            await sleep(getBackoffDelayMs(tries, baseDelayMs, maxDelayMs));
+          }
+        }
+        readCount += batch.length;
+        onProgress?.(readCount, accounts.length);
+        return results;
+      }
+    );
+    return _.flatten(batches);
+  } finally {
+    if (provider !== hre.ethers.provider) {
+      provider.destroy();
+    }
+  }
+}
+
+/**
+ * Returns a provider that batches up to batchMaxCount concurrent requests into a
+ * single JSON-RPC batch request, or the hardhat provider if the network has no URL.
+ * The HTTP headers of the network, eg. for authentication, are sent with every request.
+ */
+export function getBatchProvider(
+  hre: HardhatRuntimeEnvironment,
+  batchMaxCount: number
+): Provider {
+  const { url, httpHeaders = {} } = hre.network.config as Partial<
+    HttpNetworkConfig
+  >;
+  if (!url) {
+    return hre.ethers.provider;
+  }
+  const request = new FetchRequest(url);
+  for (const [name, value] of Object.entries(httpHeaders)) {
+    request.setHeader(name, value);
+  }
+  return new JsonRpcProvider(request, undefined, {
+    batchMaxCount,
+    staticNetwork: true,
+  });
+}
@@ -0,0 +1,415 @@
+/**
+ * Copyright 2024 Circle Internet Group, Inc. All rights reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import _ from "lodash";
+
+/**
+ * A region of the expected bytecode that is known to differ from the deployed bytecode,
+ * eg. an immutable variable or a library address.
+ */
+export type KnownBytecodeRegion = {
+  start: number; // byte offset
+  length: number; // in bytes
+  label: string;
+};
+
+export type Instruction = {
+  offset: number; // byte offset
+  size: number; // in bytes, including the push data
+  name: string;
+  pushData?: string; // hex string without the 0x prefix
+};
+
+/**
+ * A run of consecutive instructions that differ between the expected and actual bytecode.
+ */
+export type BytecodeDiffHunk = {
+  expectedOffset: number; // byte offset of the hunk in the expected bytecode
+  actualOffset: number; // byte offset of the hunk in the actual bytecode
+  expected: string[]; // the disassembled instructions of the expected bytecode
+  actual: string[]; // the disassembled instructions of the actual bytecode
+  causes: string[]; // labels of the known regions that overlap with the hunk, if any
+  explained: boolean; // if the instructions only differ within known regions
+};
+
+const OPCODES: Record<number, string> = {
+  0x00: "STOP",
+  0x01: "ADD",
+  0x02: "MUL",
+  0x03: "SUB",
+  0x04: "DIV",
+  0x05: "SDIV",
+  0x06: "MOD",
+  0x07: "SMOD",
+  0x08: "ADDMOD",
+  0x09: "MULMOD",
+  0x0a: "EXP",
+  0x0b: "SIGNEXTEND",
+  0x10: "LT",
+  0x11: "GT",
+  0x12: "SLT",
+  0x13: "SGT",
+  0x14: "EQ",
+  0x15: "ISZERO",
+  0x16: "AND",
+  0x17: "OR",
+  0x18: "XOR",
+  0x19: "NOT",
+  0x1a: "BYTE",
+  0x1b: "SHL",
+  0x1c: "SHR",
+  0x1d: "SAR",
+  0x20: "KECCAK256",
+  0x30: "ADDRESS",
+  0x31: "BALANCE",
+  0x32: "ORIGIN",
+  0x33: "CALLER",
+  0x34: "CALLVALUE",
+  0x35: "CALLDATALOAD",
+  0x36: "CALLDATASIZE",
+  0x37: "CALLDATACOPY",
+  0x38: "CODESIZE",
+  0x39: "CODECOPY",
+  0x3a: "GASPRICE",
+  0x3b: "EXTCODESIZE",
+  0x3c: "EXTCODECOPY",
+  0x3d: "RETURNDATASIZE",
+  0x3e: "RETURNDATACOPY",
+  0x3f: "EXTCODEHASH",
+  0x40: "BLOCKHASH",
+  0x41: "COINBASE",
+  0x42: "TIMESTAMP",
+  0x43: "NUMBER",
+  0x44: "PREVRANDAO",
+  0x45: "GASLIMIT",
+  0x46: "CHAINID",
+  0x47: "SELFBALANCE",
+  0x48: "BASEFEE",
+  0x49: "BLOBHASH",
+  0x4a: "BLOBBASEFEE",
+  0x50: "POP",
+  0x51: "MLOAD",
+  0x52: "MSTORE",
+  0x53: "MSTORE8",
+  0x54: "SLOAD",
+  0x55: "SSTORE",
+  0x56: "JUMP",
+  0x57: "JUMPI",
+  0x58: "PC",
+  0x59: "MSIZE",
+  0x5a: "GAS",
+  0x5b: "JUMPDEST",
+  0x5c: "TLOAD",
+  0x5d: "TSTORE",
+  0x5e: "MCOPY",
+  0x5f: "PUSH0",
+  ..._.fromPairs(_.range(1, 33).map((n) => [0x5f + n, `PUSH${n}`])),
+  ..._.fromPairs(_.range(1, 17).map((n) => [0x7f + n, `DUP${n}`])),
+  ..._.fromPairs(_.range(1, 17).map((n) => [0x8f + n, `SWAP${n}`])),
+  ..._.fromPairs(_.range(0, 5).map((n) => [0xa0 + n, `LOG${n}`])),
+  0xf0: "CREATE",
+  0xf1: "CALL",
+  0xf2: "CALLCODE",
+  0xf3: "RETURN",
+  0xf4: "DELEGATECALL",
+  0xf5: "CREATE2",
+  0xfa: "STATICCALL",
+  0xfd: "REVERT",
+  0xfe: "INVALID",
+  0xff: "SELFDESTRUCT",
+};
+
+const PUSH1 = 0x60;
+const PUSH32 = 0x7f;
+
+// Beyond this many differing instructions, the differing region is reported as a single hunk
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Disassembles bytecode into instructions. Push data is kept as is, so unlinked library
+ * placeholders (eg. __$...$__) are preserved.
+ */
+export function disassemble(bytecode: string): Instruction[] {
+  const code = bytecode.startsWith("0x") ? bytecode.slice(2) : bytecode;
+  const instructions: Instruction[] = [];
+  let offset = 0;
+  while (offset * 2 < code.length) {
+    const opcode = parseInt(code.slice(offset * 2, offset * 2 + 2), 16);
+    const name =
+      OPCODES[opcode] ?? `UNKNOWN(0x${code.slice(offset * 2, offset * 2 + 2)})`;
+    if (opcode >= PUSH1 && opcode <= PUSH32) {
+      const pushSize = opcode - PUSH1 + 1;
+      instructions.push({
+        offset,
+        size: 1 + pushSize,
+        name,
+        pushData: code.slice(offset * 2 + 2, (offset + 1 + pushSize) * 2),
+      });
+      offset += 1 + pushSize;
+    } else {
+      instructions.push({ offset, size: 1, name });
+      offset += 1;
+    }
+  }
+  return instructions;
+}
+
+/**
+ * Disassembles the expected and actual runtime bytecode, aligns the instructions, and returns the
+ * differing regions. The trailing metadata of each bytecode is compared as a single pseudo-instruction.
+ * Each hunk is annotated with the known regions of the expected bytecode that it overlaps with.
+ */
+export function diffBytecode(
+  expectedBytecode: string,
+  actualBytecode: string,
+  {
+    expectedMetadataLength = 0,
+    actualMetadataLength = 0,
+    knownRegions = [],
+  }: {
+    expectedMetadataLength?: number; // in bytes
+    actualMetadataLength?: number; // in bytes
+    knownRegions?: KnownBytecodeRegion[];
+  } = {}
+): BytecodeDiffHunk[] {
+  const expected = disassembleWithMetadata(
+    expectedBytecode,
+    expectedMetadataLength
+  );
+  const actual = disassembleWithMetadata(actualBytecode, actualMetadataLength);
+  const expectedKeys = expected.map(formatInstruction);
+  const actualKeys = actual.map(formatInstruction);
+
+  const matches = alignSequences(expectedKeys, actualKeys);
+  matches.push([expected.length, actual.length]); // sentinel for a trailing hunk
+
+  const hunks: BytecodeDiffHunk[] = [];
+  let [expectedIndex, actualIndex] = [0, 0];
+  for (const [matchedExpectedIndex, matchedActualIndex] of matches) {
+    if (
+      matchedExpectedIndex > expectedIndex ||
+      matchedActualIndex > actualIndex
+    ) {
+      const expectedInstructions = expected.slice(
+        expectedIndex,
+        matchedExpectedIndex
+      );
+      const actualInstructions = actual.slice(actualIndex, matchedActualIndex);
+      const expectedOffset =
+        expected[expectedIndex]?.offset ?? byteLength(expectedBytecode);
+      const lastExpectedInstruction = _.last(expectedInstructions);
+      const expectedEnd = lastExpectedInstruction
+        ? lastExpectedInstruction.offset + lastExpectedInstruction.size
+        : expectedOffset + 1;
+      const overlappingRegions = (start: number, end: number) =>
+        knownRegions.filter(
+          (region) => region.start < end && region.start + region.length > start
+        );
+
+      hunks.push({
+        expectedOffset,
+        actualOffset: actual[actualIndex]?.offset ?? byteLength(actualBytecode),
+        expected: expectedInstructions.map(formatInstructionWithOffset),
+        actual: actualInstructions.map(formatInstructionWithOffset),
+        causes: _.uniq(
+          overlappingRegions(expectedOffset, expectedEnd).map(
+            ({ label }) => label
+          )
+        ),
+        explained:
+          expectedInstructions.length === actualInstructions.length &&
+          expectedInstructions.every(
+            (instruction, i) =>
+              instruction.name === actualInstructions[i].name &&
+              overlappingRegions(
+                instruction.offset,
+                instruction.offset + instruction.size
+              ).length > 0
+          ),
+      });
+    }
+    [expectedIndex, actualIndex] = [
+      matchedExpectedIndex + 1,
+      matchedActualIndex + 1,
+    ];
+  }
+  return hunks;
+}
+
+/**
+ * Formats the hunks of a bytecode diff for the console.
+ */
+export function formatBytecodeDiff(hunks: BytecodeDiffHunk[]): string {
+  if (hunks.length === 0) {
+    return "No differences found.";
+  }
+  return hunks
+    .map((hunk) =>
+      [
+        `@@ expected 0x${hunk.expectedOffset.toString(
+          16
+        )}, actual 0x${hunk.actualOffset.toString(16)} @@ ` +
+          (hunk.explained
+            ? `known cause: ${hunk.causes.join(", ")}`
+            : hunk.causes.length
+            ? `unknown cause, overlaps with: ${hunk.causes.join(", ")}`
+            : "unknown cause"),
+        ...hunk.expected.map((line) => `- ${line}`),
+        ...hunk.actual.map((line) => `+ ${line}`),
+      ].join("\n")
+    )
+    .join("\n");
+}
+
+function disassembleWithMetadata(
+  bytecode: string,
+  metadataLength: number
+): Instruction[] {
+  const code = bytecode.startsWith("0x") ? bytecode.slice(2) : bytecode;
+  const codeLength = code.length / 2 - metadataLength;
+  const instructions = disassemble(code.slice(0, codeLength * 2));
+  if (metadataLength > 0) {
+    instructions.push({
+      offset: codeLength,
+      size: metadataLength,
+      name: "METADATA",
+      pushData: code.slice(codeLength * 2),
+    });
+  }
+  return instructions;
+}
+
+function formatInstruction({ name, pushData }: Instruction): string {
+  return pushData === undefined ? name : `${name} 0x${pushData}`;
+}
+
+function formatInstructionWithOffset(instruction: Instruction): string {
+  return `0x${instruction.offset
+    .toString(16)
+    .padStart(4, "0")} ${formatInstruction(instruction)}`;
+}
+
+function byteLength(bytecode: string): number {
+  return (bytecode.length - (bytecode.startsWith("0x") ? 2 : 0)) / 2;
+}
+
+/**
+ * Returns the index pairs of the matching elements of a and b, in order, using the Myers diff
+ * algorithm on the region between the common prefix and suffix. If the edit distance of that region
+ * exceeds MAX_EDIT_DISTANCE, the whole region is left unmatched.
+ */
+function alignSequences(a: string[], b: string[]): [number, number][] {
+  let prefixLength = 0;
+  while (
+    prefixLength < a.length &&
+    prefixLength < b.length &&
+    a[prefixLength] === b[prefixLength]
+  ) {
+    prefixLength++;
+  }
+  let suffixLength = 0;
+  while (
+    suffixLength < a.length - prefixLength &&
+    suffixLength < b.length - prefixLength &&
+    a[a.length - 1 - suffixLength] === b[b.length - 1 - suffixLength]
+  ) {
+    suffixLength++;
+  }
+
+  const middleMatches =
+    myersMatches(
+      a.slice(prefixLength, a.length - suffixLength),
+      b.slice(prefixLength, b.length - suffixLength)
+    ) ?? [];
+
+  return [
+    ..._.range(prefixLength).map((i): [number, number] => [i, i]),
+    ...middleMatches.map(([i, j]): [number, number] => [
+      prefixLength + i,
+      prefixLength + j,
+    ]),
+    ..._.range(suffixLength).map((i): [number, number] => [
+      a.length - suffixLength + i,
+      b.length - suffixLength + i,
+    ]),
+  ];
+}
+
+function myersMatches(a: string[], b: string[]): [number, number][] | null {
+  const [n, m] = [a.length, b.length];
+  // trace[d] holds the furthest x of each diagonal k in [-d, d] before step d, at index k + d
+  const trace: Int32Array[] = [];
+  let v = new Int32Array(3); // diagonals [-1, 1]
+
+  for (let d = 0; d <= Math.min(n + m, MAX_EDIT_DISTANCE); d++) {
+    const previous = v;
+    const previousD = Math.max(d - 1, 0);
+    const get = (k: number) =>
+      k >= -previousD - 1 && k <= previousD + 1
+        ? previous[k + previousD + 1]
+        : -1;
+    v = new Int32Array(2 * d + 3);
+    trace.push(previous);
+
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && get(k - 1) < get(k + 1))
+          ? get(k + 1)
+          : get(k - 1) + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[k + d + 1] = x;
+      if (x >= n && y >= m) {
+        return backtrack(trace, n, m);
+      }
+    }
+  }
+  return null;
+}
+
+function backtrack(
+  trace: Int32Array[],
+  n: number,
+  m: number
+): [number, number][] {
+  const matches: [number, number][] = [];
+  let [x, y] = [n, m];
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const previous = trace[d];
+    const previousD = Math.max(d - 1, 0);
+    const get = (k: number) =>
+      k >= -previousD - 1 && k <= previousD + 1
+        ? previous[k + previousD + 1]
+        : -1;
+    const k = x - y;
+    const previousK =
+      k === -d || (k !== d && get(k - 1) < get(k + 1)) ? k + 1 : k - 1;
+    const previousX = d === 0 ? 0 : get(previousK);
+    const previousY = d === 0 ? 0 : previousX - previousK;
+    while (x > previousX && y > previousY) {
+      x--;
+      y--;
+      matches.push([x, y]);
+    }
+    [x, y] = [previousX, previousY];
+  }
+  return matches.reverse();
+}
@@ -0,0 +1,116 @@
+/**
+ * Copyright 2024 Circle Internet Group, Inc. All rights reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { task } from "hardhat/config";
+import { hardhatArgumentTypes } from "./hardhatArgumentTypes";
+import {
+  compareStorageLayouts,
+  getStorageLayout,
+  StorageLayoutProblem,
+  StorageLayoutProblemType,
+} from "./storageLayout";
+
+type TaskArguments = {
+  previousContractName?: string;
+  contractNames: string[];
+};
+
+task(
+  "checkStorageLayout",
+  "Checks that the storage layout of new implementation contracts is compatible with the previous implementation. " +
+    "Fails if a variable is removed, reordered, retyped, or if a variable is inserted before existing ones."
+)
+  .addOptionalParam(
+    "previousContractName",
+    "The previous implementation every contract is compared with. If not set, every contract is compared with the " +
+      "one before it, eg. 'FiatTokenV1 FiatTokenV1_1 FiatTokenV2'.",
+    undefined,
+    hardhatArgumentTypes.string
+  )
+  .addVariadicPositionalParam(
+    "contractNames",
+    "The new implementation contracts to check",
+    undefined,
+    hardhatArgumentTypes.string
+  )
+  .setAction(taskAction);
+
+async function taskAction({
+  previousContractName,
+  contractNames,
+}: TaskArguments) {
+  const pairs: [string, string][] = previousContractName
+    ? contractNames.map((contractName) => [previousContractName, contractName])
+    : contractNames
+        .slice(1)
+        .map((contractName, i) => [contractNames[i], contractName]);
+  if (pairs.length === 0) {
+    throw new Error(
+      "Set previousContractName or at least two contract names to compare"
+    );
+  }
+
+  const incompatibleContractNames: string[] = [];
+  for (const [previous, current] of pairs) {
+    const problems = checkStorageLayout(previous, current);
+    if (
+      problems.some(({ type }) => type !== StorageLayoutProblemType.Renamed)
+    ) {
+      incompatibleContractNames.push(current);
+    }
+  }
+
+  if (incompatibleContractNames.length > 0) {
+    throw new Error(
+      `Incompatible storage layout: ${incompatibleContractNames.join(", ")}`
+    );
+  }
+}
+
+/**
+ * Compares the storage layouts of two contracts and logs the problems found.
+ */
+export function checkStorageLayout(
+  previousContractName: string,
+  contractName: string
+): StorageLayoutProblem[] {
+  const problems = compareStorageLayouts(
+    getStorageLayout(previousContractName),
+    getStorageLayout(contractName)
+  );
+  const errors = problems.filter(
+    ({ type }) => type !== StorageLayoutProblemType.Renamed
+  );
+
+  if (errors.length > 0) {
+    console.warn(
+      "\x1b[31m",
+      `\nWARNING: storage layout of ${contractName} is incompatible with ${previousContractName}.`
+    );
+  } else {
+    console.log(
+      "\x1b[32m",
+      `\nstorage layout of ${contractName} is compatible with ${previousContractName}.`
+    );
+  }
+  if (problems.length > 0) {
+    console.log("\x1b[0m");
+    console.table(problems);
+  }
+  return problems;
+}
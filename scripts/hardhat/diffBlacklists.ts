@@ -0,0 +1,260 @@
+/**
+ * Copyright 2024 Circle Internet Group, Inc. All rights reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from "fs";
+import { task } from "hardhat/config";
+import { HardhatRuntimeEnvironment } from "hardhat/types";
+import { hardhatArgumentTypes } from "./hardhatArgumentTypes";
+import { readBlacklistFile } from "../../utils";
+import {
+  BlacklistEntry,
+  replayBlacklistEvents,
+} from "./downloadBlacklistedAccounts";
+import { toUniqueChecksumAddresses } from "./validateAccountsToBlacklist";
+
+enum DiffFormat {
+  Table = "table",
+  Json = "json",
+  Csv = "csv",
+}
+
+type TaskArguments = {
+  baseFilepath?: string;
+  targetFilepath?: string;
+  proxyAddress?: string;
+  startBlockNumber: number;
+  baseBlockNumber?: number;
+  targetBlockNumber?: number;
+  format: DiffFormat;
+  outputFilepath?: string;
+  expectEmpty: boolean;
+};
+
+export type BlacklistDiff = {
+  added: string[]; // accounts in the target blacklist only
+  removed: string[]; // accounts in the base blacklist only
+  unchanged: string[]; // accounts in both blacklists
+};
+
+task(
+  "diffBlacklists",
+  "Compares two blacklists, either from two blacklist files or from a FiatToken contract at two block numbers, " +
+    "and reports the accounts that were added and removed."
+)
+  .addOptionalParam(
+    "baseFilepath",
+    "The blacklist file to compare from",
+    undefined,
+    hardhatArgumentTypes.inputFile
+  )
+  .addOptionalParam(
+    "targetFilepath",
+    "The blacklist file to compare to",
+    undefined,
+    hardhatArgumentTypes.inputFile
+  )
+  .addOptionalParam(
+    "proxyAddress",
+    "The proxy address of the FiatToken contract. Compares the blacklist at baseBlockNumber and targetBlockNumber if set.",
+    undefined,
+    hardhatArgumentTypes.address
+  )
+  .addOptionalParam(
+    "startBlockNumber",
+    "The block number to start replaying events from, eg. the contract creation block number of the proxy",
+    0,
+    hardhatArgumentTypes.int
+  )
+  .addOptionalParam(
+    "baseBlockNumber",
+    "The block number to compare from",
+    undefined,
+    hardhatArgumentTypes.int
+  )
+  .addOptionalParam(
+    "targetBlockNumber",
+    "The block number to compare to",
+    undefined,
+    hardhatArgumentTypes.int
+  )
+  .addOptionalParam(
+    "format",
+    "The format of the diff",
+    DiffFormat.Table,
+    hardhatArgumentTypes.oneOf(Object.values(DiffFormat))
+  )
+  .addOptionalParam(
+    "outputFilepath",
+    "Writes the diff to this file instead of the console. Only supported with the 'json' and 'csv' formats.",
+    undefined,
+    hardhatArgumentTypes.string
+  )
+  .addFlag(
+    "expectEmpty",
+    "Fails if any account was added or removed, eg. to check that a blacklist is up to date"
+  )
+  .setAction(taskAction);
+
+async function taskAction(
+  {
+    baseFilepath,
+    targetFilepath,
+    proxyAddress,
+    startBlockNumber,
+    baseBlockNumber,
+    targetBlockNumber,
+    format,
+    outputFilepath,
+    expectEmpty,
+  }: TaskArguments,
+  hre: HardhatRuntimeEnvironment
+) {
+  if (format === DiffFormat.Table && outputFilepath) {
+    throw new Error(
+      "outputFilepath is not supported with the table format! Use the json or csv format instead."
+    );
+  }
+
+  let baseAccounts: string[];
+  let targetAccounts: string[];
+  if (baseFilepath && targetFilepath) {
+    baseAccounts = readBlacklistFile(baseFilepath);
+    targetAccounts = readBlacklistFile(targetFilepath);
+  } else if (
+    proxyAddress &&
+    baseBlockNumber !== undefined &&
+    targetBlockNumber !== undefined
+  ) {
+    [baseAccounts, targetAccounts] = await getBlacklistsAtBlockNumbers(
+      hre,
+      proxyAddress,
+      startBlockNumber,
+      baseBlockNumber,
+      targetBlockNumber
+    );
+  } else {
+    throw new Error(
+      "Either baseFilepath and targetFilepath, or proxyAddress, baseBlockNumber and targetBlockNumber must be set!"
+    );
+  }
+
+  const diff = diffBlacklists(
+    toUniqueChecksumAddresses(baseAccounts),
+    toUniqueChecksumAddresses(targetAccounts)
+  );
+
+  if (format === DiffFormat.Table) {
+    console.table([
+      ...diff.added.map((address) => ({ change: "added", address })),
+      ...diff.removed.map((address) => ({ change: "removed", address })),
+      ...diff.unchanged.map((address) => ({ change: "unchanged", address })),
+    ]);
+  } else {
+    const formattedDiff = formatBlacklistDiff(diff, format);
+    if (outputFilepath) {
+      fs.writeFileSync(outputFilepath, formattedDiff);
+      console.log(`Diff written to '${outputFilepath}'`);
+    } else {
+      console.log(formattedDiff);
+    }
+  }
+  console.log(
+    `${diff.added.length} added, ${diff.removed.length} removed, ${diff.unchanged.length} unchanged`
+  );
+
+  if (expectEmpty && (diff.added.length > 0 || diff.removed.length > 0)) {
+    throw new Error("Blacklists are different!");
+  }
+}
+
+/**
+ * Replays the blacklist of a FiatToken contract up to baseBlockNumber, and then
+ * up to targetBlockNumber.
+ */
+async function getBlacklistsAtBlockNumbers(
+  hre: HardhatRuntimeEnvironment,
+  proxyAddress: string,
+  startBlockNumber: number,
+  baseBlockNumber: number,
+  targetBlockNumber: number
+): Promise<[string[], string[]]> {
+  if (
+    startBlockNumber > baseBlockNumber ||
+    baseBlockNumber > targetBlockNumber
+  ) {
+    throw new Error(
+      "startBlockNumber <= baseBlockNumber <= targetBlockNumber must hold!"
+    );
+  }
+  const proxyAsBlacklistable = await hre.ethers.getContractAt(
+    "Blacklistable",
+    proxyAddress
+  );
+
+  const blacklistedAccounts = new Map<string, BlacklistEntry>();
+  await replayBlacklistEvents(
+    proxyAsBlacklistable,
+    startBlockNumber,
+    baseBlockNumber,
+    blacklistedAccounts
+  );
+  const baseAccounts = Array.from(blacklistedAccounts.keys());
+
+  await replayBlacklistEvents(
+    proxyAsBlacklistable,
+    baseBlockNumber + 1,
+    targetBlockNumber,
+    blacklistedAccounts
+  );
+  const targetAccounts = Array.from(blacklistedAccounts.keys());
+
+  return [baseAccounts, targetAccounts];
+}
+
+/**
+ * Compares two arrays of checksum addresses.
+ */
+export function diffBlacklists(
+  baseAccounts: string[],
+  targetAccounts: string[]
+): BlacklistDiff {
+  const baseAccountSet = new Set(baseAccounts);
+  const targetAccountSet = new Set(targetAccounts);
+  return {
+    added: targetAccounts.filter((account) => !baseAccountSet.has(account)),
+    removed: baseAccounts.filter((account) => !targetAccountSet.has(account)),
+    unchanged: targetAccounts.filter((account) => baseAccountSet.has(account)),
+  };
+}
+
+/**
+ * Serializes a blacklist diff as JSON or CSV.
+ */
+function formatBlacklistDiff(
+  diff: BlacklistDiff,
+  format: DiffFormat.Json | DiffFormat.Csv
+): string {
+  if (format === DiffFormat.Json) {
+    const indent = 2;
+    return JSON.stringify(diff, null, indent);
+  }
+  const rows = (["added", "removed", "unchanged"] as const).flatMap((change) =>
+    diff[change].map((address) => `${change},${address}`)
+  );
+  return ["change,address", ...rows].join("\n") + "\n";
+}
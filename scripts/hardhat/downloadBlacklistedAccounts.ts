@@ -16,23 +16,97 @@
  * limitations under the License.
  */
 
-import { Contract, ethers } from "ethers";
+import { Contract, ethers, Log, TopicFilter } from "ethers";
 import fs from "fs";
 import { task } from "hardhat/config";
 import { HardhatRuntimeEnvironment } from "hardhat/types";
 import _ from "lodash";
 import { hardhatArgumentTypes } from "./hardhatArgumentTypes";
-import { sleep } from "./helpers";
+import { LogScanOptions, scanLogs } from "./helpers";
 import path from "path";
+import { readBlacklistFileEntries } from "../../utils";
 
-const MAX_RETRIES = 5;
 const CHUNK_SIZE = 50000;
-const SLEEP_MS = 1000;
-const OUTPUT_FILE = path.join(__dirname, "..", "..", "blacklist.remote.json");
+const CHECKPOINT_FILE = path.join(
+  __dirname,
+  "..",
+  "..",
+  "blacklist.remote.checkpoint.json"
+);
+
+export enum DownloadMode {
+  Query = "query", // collects accounts from 'Blacklisted' events and keeps those for which isBlacklisted() is true
+  Replay = "replay", // replays 'Blacklisted' and 'UnBlacklisted' events in log order to rebuild the blacklist
+}
+
+export enum OutputFormat {
+  Json = "json", // JSON array of addresses, as read by the deploy scripts
+  JsonWithProvenance = "json-provenance", // JSON object with a header, and the 'Blacklisted' event of each address
+  Csv = "csv", // CSV file with a commented header, and the 'Blacklisted' event of each address
+}
+
+const OUTPUT_FILES: Record<OutputFormat, string> = {
+  [OutputFormat.Json]: path.join(
+    __dirname,
+    "..",
+    "..",
+    "blacklist.remote.json"
+  ),
+  [OutputFormat.JsonWithProvenance]: path.join(
+    __dirname,
+    "..",
+    "..",
+    "blacklist.remote.provenance.json"
+  ),
+  [OutputFormat.Csv]: path.join(__dirname, "..", "..", "blacklist.remote.csv"),
+};
+
+/**
+ * A blacklisted account, and the 'Blacklisted' event that blacklisted it.
+ */
+export type BlacklistEntry = {
+  address: string;
+  transactionHash?: string;
+  blockNumber?: number;
+  logIndex?: number;
+};
+
+export type BlacklistFileHeader = {
+  chainId: number;
+  proxyAddress: string;
+  mode: DownloadMode;
+  fromBlockNumber: number;
+  toBlockNumber: number;
+  generatedAt: string;
+};
 
 type TaskArguments = {
   proxyAddress: string;
+  startBlockNumber?: number;
+  targetBlockNumber?: number;
+  mode: DownloadMode;
+  spotCheckSize: number;
+  chunkSize: number;
+  format: OutputFormat;
+  restart: boolean;
+};
+
+/**
+ * Progress of a download, persisted after every fully processed chunk.
+ */
+type Checkpoint = {
+  proxyAddress: string;
+  chainId: number;
+  mode?: DownloadMode;
+  format?: OutputFormat;
   startBlockNumber: number;
+  lastProcessedRange: {
+    fromBlockNumber: number;
+    toBlockNumber: number;
+  };
+  replayedAccounts?: BlacklistEntry[]; // the replayed blacklist as of lastProcessedRange.toBlockNumber, in replay mode only
+  unBlacklistedAccounts?: string[]; // the accounts that were replayed as blacklisted, then unblacklisted, in replay mode only
+  updatedAt: string;
 };
 
 task(
@@ -45,149 +119,568 @@ task(
     undefined,
     hardhatArgumentTypes.address
   )
-  .addParam(
+  .addOptionalParam(
     "startBlockNumber",
-    "The block number to start downloading from",
+    "The block number to start downloading from. Required unless resuming from a checkpoint.",
     undefined,
     hardhatArgumentTypes.int
   )
+  .addOptionalParam(
+    "targetBlockNumber",
+    "The block number at which the blacklist is downloaded. Defaults to the latest block.",
+    undefined,
+    hardhatArgumentTypes.int
+  )
+  .addOptionalParam(
+    "mode",
+    "Checks isBlacklisted() for every blacklisted account if set to 'query'. " +
+      "Rebuilds the blacklist from 'Blacklisted' and 'UnBlacklisted' events if set to 'replay'.",
+    DownloadMode.Query,
+    hardhatArgumentTypes.oneOf(Object.values(DownloadMode))
+  )
+  .addOptionalParam(
+    "spotCheckSize",
+    "In replay mode, the number of randomly sampled blacklisted accounts, and of randomly sampled unblacklisted accounts, " +
+      "to check against isBlacklisted() at the target block",
+    0,
+    hardhatArgumentTypes.int
+  )
+  .addOptionalParam(
+    "chunkSize",
+    "The maximum number of blocks to query events for at once. Halved whenever the RPC rejects a range.",
+    CHUNK_SIZE,
+    hardhatArgumentTypes.int
+  )
+  .addOptionalParam(
+    "format",
+    "The format of the output file. 'json' writes an array of addresses to blacklist.remote.json. " +
+      "'json-provenance' and 'csv' also record the 'Blacklisted' event of each address.",
+    OutputFormat.Json,
+    hardhatArgumentTypes.oneOf(Object.values(OutputFormat))
+  )
+  .addFlag(
+    "restart",
+    "Ignores any existing checkpoint, overwrites the output file and starts downloading from startBlockNumber"
+  )
   .setAction(taskAction);
 
 async function taskAction(
-  { proxyAddress, startBlockNumber }: TaskArguments,
+  {
+    proxyAddress,
+    startBlockNumber,
+    targetBlockNumber,
+    mode,
+    spotCheckSize,
+    chunkSize,
+    format,
+    restart,
+  }: TaskArguments,
   hre: HardhatRuntimeEnvironment
 ) {
-  if (fs.existsSync(OUTPUT_FILE)) {
+  if (chunkSize < 1) {
+    throw new Error("chunkSize must be at least 1!");
+  }
+  const outputFile = OUTPUT_FILES[format];
+  if (mode === DownloadMode.Replay) {
+    console.log(
+      `NOTE: Running in replay mode. '${outputFile}' will be overwritten with the replayed blacklist.`
+    );
+  } else if (fs.existsSync(outputFile)) {
     console.log(
-      `NOTE: '${OUTPUT_FILE}' exists. Will continue appending results to the file.`
+      restart
+        ? `NOTE: '${outputFile}' exists. It will be overwritten since --restart is set.`
+        : `NOTE: '${outputFile}' exists. Will continue appending results to the file.`
     );
   }
 
+  const chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
+  const checkpoint = restart
+    ? null
+    : readCheckpoint(proxyAddress, chainId, mode, format, CHECKPOINT_FILE);
+
+  const replayedAccounts = new Map<string, BlacklistEntry>();
+  const unBlacklistedAccounts = new Set<string>();
+  if (checkpoint) {
+    if (
+      startBlockNumber !== undefined &&
+      startBlockNumber !== checkpoint.startBlockNumber
+    ) {
+      throw new Error(
+        `Checkpoint '${CHECKPOINT_FILE}' was recorded from block ${checkpoint.startBlockNumber}, not ${startBlockNumber}! ` +
+          "Omit startBlockNumber to resume, or pass --restart to start over."
+      );
+    }
+    startBlockNumber = checkpoint.startBlockNumber;
+    checkpoint.replayedAccounts?.forEach((entry) =>
+      replayedAccounts.set(entry.address, entry)
+    );
+    checkpoint.unBlacklistedAccounts?.forEach((account) =>
+      unBlacklistedAccounts.add(account)
+    );
+    console.log(
+      `Resuming from checkpoint '${CHECKPOINT_FILE}'. ` +
+        `Blocks [${startBlockNumber}, ${checkpoint.lastProcessedRange.toBlockNumber}] were already processed.`
+    );
+  } else if (startBlockNumber === undefined) {
+    throw new Error(
+      "startBlockNumber must be set when there is no checkpoint to resume from!"
+    );
+  } else if (
+    restart &&
+    mode === DownloadMode.Query &&
+    fs.existsSync(outputFile)
+  ) {
+    fs.rmSync(outputFile);
+  }
+  const firstBlockNumber = startBlockNumber;
+  const fromBlockNumber = checkpoint
+    ? checkpoint.lastProcessedRange.toBlockNumber + 1
+    : startBlockNumber;
+  const toBlockNumber =
+    targetBlockNumber ?? (await hre.ethers.provider.getBlockNumber());
+
   const proxyAsBlacklistable = await hre.ethers.getContractAt(
     "Blacklistable",
     proxyAddress
   );
 
-  const latestBlockNumber = await hre.ethers.provider.getBlockNumber();
-  let fromBlockNumber = startBlockNumber;
-  let toBlockNumber = Math.min(
-    latestBlockNumber,
-    startBlockNumber + CHUNK_SIZE
+  if (mode === DownloadMode.Replay && fromBlockNumber > toBlockNumber + 1) {
+    throw new Error(
+      `Checkpoint '${CHECKPOINT_FILE}' is already past the target block ${toBlockNumber}! ` +
+        "Pass --restart to replay from startBlockNumber."
+    );
+  }
+  if (fromBlockNumber > toBlockNumber) {
+    console.log(`Already up to date with block ${toBlockNumber}`);
+  }
+
+  await scanLogs(
+    (chunkFromBlockNumber, chunkToBlockNumber) =>
+      proxyAsBlacklistable.queryFilter(
+        mode === DownloadMode.Replay
+          ? getBlacklistEventsFilter(proxyAsBlacklistable)
+          : proxyAsBlacklistable.filters.Blacklisted(),
+        chunkFromBlockNumber,
+        chunkToBlockNumber
+      ),
+    fromBlockNumber,
+    toBlockNumber,
+    async (events, chunkFromBlockNumber, chunkToBlockNumber) => {
+      if (mode === DownloadMode.Replay) {
+        applyBlacklistEvents(
+          proxyAsBlacklistable,
+          events,
+          replayedAccounts,
+          unBlacklistedAccounts
+        );
+      } else {
+        const blacklistedEntries = await getBlacklistedEntries(
+          proxyAsBlacklistable,
+          events,
+          toBlockNumber
+        );
+        appendBlacklistEntries(outputFile, format, blacklistedEntries, {
+          chainId,
+          proxyAddress,
+          mode,
+          fromBlockNumber: firstBlockNumber,
+          toBlockNumber: chunkToBlockNumber,
+          generatedAt: new Date().toISOString(),
+        });
+      }
+      writeCheckpoint(CHECKPOINT_FILE, {
+        proxyAddress,
+        chainId,
+        mode,
+        format,
+        startBlockNumber: firstBlockNumber,
+        lastProcessedRange: {
+          fromBlockNumber: chunkFromBlockNumber,
+          toBlockNumber: chunkToBlockNumber,
+        },
+        replayedAccounts:
+          mode === DownloadMode.Replay
+            ? Array.from(replayedAccounts.values())
+            : undefined,
+        unBlacklistedAccounts:
+          mode === DownloadMode.Replay
+            ? Array.from(unBlacklistedAccounts)
+            : undefined,
+        updatedAt: new Date().toISOString(),
+      });
+    },
+    { initialChunkSize: chunkSize, maxChunkSize: chunkSize }
   );
 
-  do {
-    await saveBlacklistedAccounts(
-      proxyAsBlacklistable,
-      fromBlockNumber,
-      toBlockNumber
+  if (mode === DownloadMode.Replay) {
+    console.log(
+      `>> ${replayedAccounts.size} accounts are blacklisted at block ${toBlockNumber}`
+    );
+    writeBlacklistEntries(
+      outputFile,
+      format,
+      Array.from(replayedAccounts.values()),
+      {
+        chainId,
+        proxyAddress,
+        mode,
+        fromBlockNumber: firstBlockNumber,
+        toBlockNumber,
+        generatedAt: new Date().toISOString(),
+      }
     );
-    fromBlockNumber = toBlockNumber + 1;
-    toBlockNumber = Math.min(latestBlockNumber, toBlockNumber + CHUNK_SIZE);
 
-    // Sleep for a bit to avoid blasting the RPC.
-    await sleep(SLEEP_MS);
-  } while (
-    toBlockNumber <= latestBlockNumber &&
-    fromBlockNumber < toBlockNumber
+    if (spotCheckSize > 0) {
+      await spotCheckReplayedAccounts(
+        proxyAsBlacklistable,
+        replayedAccounts,
+        unBlacklistedAccounts,
+        spotCheckSize,
+        toBlockNumber
+      );
+    }
+  }
+}
+
+/**
+ * Reads the checkpoint file, if any.
+ * @throws error if the checkpoint was recorded for a different proxy, chain, mode or format,
+ * or if the output file it refers to is missing.
+ */
+function readCheckpoint(
+  proxyAddress: string,
+  chainId: number,
+  mode: DownloadMode,
+  format: OutputFormat,
+  checkpointFilePath: string
+): Checkpoint | null {
+  if (!fs.existsSync(checkpointFilePath)) {
+    return null;
+  }
+  const checkpoint: Checkpoint = JSON.parse(
+    fs.readFileSync(checkpointFilePath, "utf-8")
   );
+
+  if (ethers.getAddress(checkpoint.proxyAddress) !== proxyAddress) {
+    throw new Error(
+      `Checkpoint '${checkpointFilePath}' was recorded for proxy '${checkpoint.proxyAddress}', not '${proxyAddress}'! ` +
+        "Remove the checkpoint or pass --restart to start over."
+    );
+  }
+  if (checkpoint.chainId !== chainId) {
+    throw new Error(
+      `Checkpoint '${checkpointFilePath}' was recorded on chain ${checkpoint.chainId}, not ${chainId}! ` +
+        "Remove the checkpoint or pass --restart to start over."
+    );
+  }
+  const checkpointMode = checkpoint.mode || DownloadMode.Query;
+  if (checkpointMode !== mode) {
+    throw new Error(
+      `Checkpoint '${checkpointFilePath}' was recorded in ${checkpointMode} mode, not ${mode} mode! ` +
+        "Remove the checkpoint or pass --restart to start over."
+    );
+  }
+  const checkpointFormat = checkpoint.format || OutputFormat.Json;
+  if (checkpointFormat !== format) {
+    throw new Error(
+      `Checkpoint '${checkpointFilePath}' was recorded for the ${checkpointFormat} format, not the ${format} format! ` +
+        "Remove the checkpoint or pass --restart to start over."
+    );
+  }
+  if (mode === DownloadMode.Query && !fs.existsSync(OUTPUT_FILES[format])) {
+    throw new Error(
+      `Checkpoint '${checkpointFilePath}' exists but '${OUTPUT_FILES[format]}' does not! ` +
+        "Remove the checkpoint or pass --restart to start over."
+    );
+  }
+  return checkpoint;
 }
 
 /**
- * Saves all accounts that were blacklisted in [fromBlockNumber, toBlockNumber]
- * AND are still blacklisted in storage.
+ * Writes the checkpoint file. The file is written to a temporary location first
+ * so that a crash mid-write never leaves a truncated checkpoint behind.
  */
-async function saveBlacklistedAccounts(
+function writeCheckpoint(checkpointFilePath: string, checkpoint: Checkpoint) {
+  const indent = 2;
+  const tmpFilePath = checkpointFilePath.replace(/\.json$/, ".tmp.json");
+  fs.writeFileSync(tmpFilePath, JSON.stringify(checkpoint, null, indent));
+  fs.renameSync(tmpFilePath, checkpointFilePath);
+}
+
+/**
+ * Returns the accounts from the 'Blacklisted' events that are still blacklisted
+ * in storage at blockTag, along with their latest 'Blacklisted' event.
+ */
+async function getBlacklistedEntries(
   proxyAsBlacklistable: Contract,
-  fromBlockNumber: number,
-  toBlockNumber: number
-) {
-  console.log(
-    `Querying events in range [${fromBlockNumber}, ${toBlockNumber}]`
-  );
-  const rawBlacklistedEvents = await getBlacklistedEventsRetryWithBackoff(
-    proxyAsBlacklistable,
-    fromBlockNumber,
-    toBlockNumber
-  );
+  rawBlacklistedEvents: Log[],
+  blockTag: number
+): Promise<BlacklistEntry[]> {
   if (rawBlacklistedEvents.length <= 0) {
-    return;
+    return [];
   }
   console.log(`>> Found ${rawBlacklistedEvents.length} 'Blacklisted' events!`);
 
-  const maybeBlacklistedAccounts = _.uniq(
-    rawBlacklistedEvents.map((event) => {
-      const log = proxyAsBlacklistable.interface.parseLog(event);
-      return log?.args[0];
-    })
-  );
-  const blacklistedAccounts = [];
-  for (const account of maybeBlacklistedAccounts) {
-    if (await proxyAsBlacklistable.isBlacklisted(account)) {
-      blacklistedAccounts.push(account);
+  const maybeBlacklistedEntries = new Map<string, BlacklistEntry>();
+  for (const event of _.sortBy(rawBlacklistedEvents, [
+    "blockNumber",
+    "index",
+  ])) {
+    const log = proxyAsBlacklistable.interface.parseLog(event);
+    if (log) {
+      const entry = toBlacklistEntry(log.args[0], event);
+      maybeBlacklistedEntries.set(entry.address, entry);
+    }
+  }
+  const blacklistedEntries = [];
+  for (const [account, entry] of maybeBlacklistedEntries) {
+    if (await proxyAsBlacklistable.isBlacklisted(account, { blockTag })) {
+      blacklistedEntries.push(entry);
     }
   }
 
   console.log(
-    `>> Found ${blacklistedAccounts.length} unique & currently blacklisted accounts`
+    `>> Found ${blacklistedEntries.length} unique & currently blacklisted accounts`
   );
-  if (blacklistedAccounts.length <= 0) {
+  return blacklistedEntries;
+}
+
+/**
+ * Applies all 'Blacklisted' and 'UnBlacklisted' events that were emitted in
+ * [fromBlockNumber, toBlockNumber] to blacklistedAccounts, in log order.
+ */
+export async function replayBlacklistEvents(
+  proxyAsBlacklistable: Contract,
+  fromBlockNumber: number,
+  toBlockNumber: number,
+  blacklistedAccounts: Map<string, BlacklistEntry>,
+  options?: LogScanOptions
+): Promise<void> {
+  const filter = getBlacklistEventsFilter(proxyAsBlacklistable);
+  await scanLogs(
+    (fromBlockNumber, toBlockNumber) =>
+      proxyAsBlacklistable.queryFilter(filter, fromBlockNumber, toBlockNumber),
+    fromBlockNumber,
+    toBlockNumber,
+    (events) =>
+      applyBlacklistEvents(proxyAsBlacklistable, events, blacklistedAccounts),
+    options
+  );
+}
+
+/**
+ * Returns a filter that matches both 'Blacklisted' and 'UnBlacklisted' events.
+ */
+function getBlacklistEventsFilter(proxyAsBlacklistable: Contract): TopicFilter {
+  const blacklistedTopic = proxyAsBlacklistable.interface.getEvent(
+    "Blacklisted"
+  )?.topicHash;
+  const unBlacklistedTopic = proxyAsBlacklistable.interface.getEvent(
+    "UnBlacklisted"
+  )?.topicHash;
+  if (!blacklistedTopic || !unBlacklistedTopic) {
+    throw new Error("Blacklistable events not found in contract ABI!");
+  }
+  return [[blacklistedTopic, unBlacklistedTopic]];
+}
+
+/**
+ * Applies 'Blacklisted' and 'UnBlacklisted' events to blacklistedAccounts, in log order.
+ * If given, unBlacklistedAccounts tracks the accounts that were removed from blacklistedAccounts.
+ */
+function applyBlacklistEvents(
+  proxyAsBlacklistable: Contract,
+  rawEvents: Log[],
+  blacklistedAccounts: Map<string, BlacklistEntry>,
+  unBlacklistedAccounts?: Set<string>
+) {
+  if (rawEvents.length <= 0) {
     return;
   }
+  console.log(
+    `>> Found ${rawEvents.length} 'Blacklisted' and 'UnBlacklisted' events!`
+  );
 
-  appendBlacklistedAccounts(blacklistedAccounts);
+  const sortedEvents = _.sortBy(rawEvents, ["blockNumber", "index"]);
+  for (const event of sortedEvents) {
+    const log = proxyAsBlacklistable.interface.parseLog(event);
+    if (!log) {
+      continue;
+    }
+    const entry = toBlacklistEntry(log.args[0], event);
+    if (log.name === "Blacklisted") {
+      blacklistedAccounts.set(entry.address, entry);
+      unBlacklistedAccounts?.delete(entry.address);
+    } else if (blacklistedAccounts.delete(entry.address)) {
+      unBlacklistedAccounts?.add(entry.address);
+    }
+  }
 }
 
 /**
- * Appends blacklisted accounts to a JSON file, deduplicating accounts.
+ * Returns the blacklist entry for an account blacklisted by the given event.
  */
-function appendBlacklistedAccounts(blacklistedAccounts: string[]) {
-  let previousBlacklistedAccounts = [];
-  try {
-    previousBlacklistedAccounts = JSON.parse(
-      fs.readFileSync(OUTPUT_FILE, "utf-8")
+function toBlacklistEntry(account: string, event: Log): BlacklistEntry {
+  return {
+    address: ethers.getAddress(account),
+    transactionHash: event.transactionHash,
+    blockNumber: event.blockNumber,
+    logIndex: event.index,
+  };
+}
+
+/**
+ * Compares a random sample of the replayed accounts against isBlacklisted() at blockTag,
+ * and a random sample of the unblacklisted accounts, so that an account dropped from the
+ * replayed blacklist by mistake can be caught as well.
+ * @throws error if any of the sampled accounts has a different blacklist state on chain
+ */
+async function spotCheckReplayedAccounts(
+  proxyAsBlacklistable: Contract,
+  replayedAccounts: Map<string, BlacklistEntry>,
+  unBlacklistedAccounts: Set<string>,
+  spotCheckSize: number,
+  blockTag: number
+) {
+  const sampledAccounts = _.sampleSize(
+    Array.from(replayedAccounts.keys()),
+    spotCheckSize
+  );
+  const sampledUnBlacklistedAccounts = _.sampleSize(
+    Array.from(unBlacklistedAccounts),
+    spotCheckSize
+  );
+  console.log(
+    `Spot checking ${sampledAccounts.length} blacklisted and ${sampledUnBlacklistedAccounts.length} ` +
+      `unblacklisted accounts against isBlacklisted() at block ${blockTag}`
+  );
+
+  const mismatchedAccounts = [];
+  for (const account of sampledAccounts) {
+    if (!(await proxyAsBlacklistable.isBlacklisted(account, { blockTag }))) {
+      mismatchedAccounts.push(account);
+    }
+  }
+  const mismatchedUnBlacklistedAccounts = [];
+  for (const account of sampledUnBlacklistedAccounts) {
+    if (await proxyAsBlacklistable.isBlacklisted(account, { blockTag })) {
+      mismatchedUnBlacklistedAccounts.push(account);
+    }
+  }
+  if (mismatchedAccounts.length !== 0) {
+    throw new Error(
+      `${
+        mismatchedAccounts.length
+      } replayed accounts are not blacklisted on chain! ${JSON.stringify(
+        mismatchedAccounts
+      )}`
     );
-  } catch (e) {
-    console.error(
-      `Error found while parsing ${OUTPUT_FILE}. Overwriting its contents!`,
-      e
+  }
+  if (mismatchedUnBlacklistedAccounts.length !== 0) {
+    throw new Error(
+      `${
+        mismatchedUnBlacklistedAccounts.length
+      } unblacklisted accounts are still blacklisted on chain! ${JSON.stringify(
+        mismatchedUnBlacklistedAccounts
+      )}`
     );
   }
+  console.log(">> All sampled accounts verified!");
+}
 
-  const indent = 2;
-  const accountsToWrite = _.chain(previousBlacklistedAccounts)
-    .concat(blacklistedAccounts)
-    .map(ethers.getAddress)
-    .uniq()
-    .value();
+/**
+ * Appends blacklist entries to the output file, deduplicating accounts.
+ */
+function appendBlacklistEntries(
+  outputFile: string,
+  format: OutputFormat,
+  blacklistEntries: BlacklistEntry[],
+  header: BlacklistFileHeader
+) {
+  let previousBlacklistEntries: BlacklistEntry[] = [];
+  if (fs.existsSync(outputFile)) {
+    try {
+      previousBlacklistEntries = readBlacklistFileEntries(outputFile).entries;
+    } catch (e) {
+      console.error(
+        `Error found while parsing ${outputFile}. Overwriting its contents!`,
+        e
+      );
+    }
+  }
 
-  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(accountsToWrite, null, indent));
+  writeBlacklistEntries(
+    outputFile,
+    format,
+    _.concat(previousBlacklistEntries, blacklistEntries),
+    header
+  );
 }
 
 /**
- * Get all blacklisted events that were emitted in [fromBlockNumber, toBlockNumber]
- * @throws error if RPC fails after MAX_RETRIES counts
+ * Writes blacklist entries to the output file, deduplicating accounts. If an account
+ * appears more than once, the last entry is kept.
  */
-async function getBlacklistedEventsRetryWithBackoff(
-  proxyAsBlacklistable: Contract,
-  fromBlockNumber: number,
-  toBlockNumber: number
+function writeBlacklistEntries(
+  outputFile: string,
+  format: OutputFormat,
+  blacklistEntries: BlacklistEntry[],
+  header: BlacklistFileHeader
 ) {
-  let tries = 0;
-  let error;
+  const entriesByAddress = new Map<string, BlacklistEntry>();
+  for (const entry of blacklistEntries) {
+    const address = ethers.getAddress(entry.address);
+    entriesByAddress.set(address, { ...entry, address });
+  }
 
-  while (tries < MAX_RETRIES) {
-    await sleep(tries * SLEEP_MS);
-    try {
-      return await proxyAsBlacklistable.queryFilter(
-        proxyAsBlacklistable.filters.Blacklisted(),
-        fromBlockNumber,
-        toBlockNumber
+  fs.writeFileSync(
+    outputFile,
+    formatBlacklistFile(Array.from(entriesByAddress.values()), header, format)
+  );
+}
+
+/**
+ * Serializes blacklist entries into one of the formats read by readBlacklistFileEntries.
+ */
+export function formatBlacklistFile(
+  blacklistEntries: BlacklistEntry[],
+  header: BlacklistFileHeader,
+  format: OutputFormat
+): string {
+  const indent = 2;
+  switch (format) {
+    case OutputFormat.Json:
+      return JSON.stringify(
+        blacklistEntries.map((entry) => entry.address),
+        null,
+        indent
+      );
+    case OutputFormat.JsonWithProvenance:
+      return JSON.stringify(
+        { header, accounts: blacklistEntries },
+        null,
+        indent
+      );
+    case OutputFormat.Csv: {
+      const columns: (keyof BlacklistEntry)[] = [
+        "address",
+        "transactionHash",
+        "blockNumber",
+        "logIndex",
+      ];
+      return (
+        _.chain(header)
+          .toPairs()
+          .map(([key, value]) => `# ${key}: ${value}`)
+          .concat(columns.join(","))
+          .concat(
+            blacklistEntries.map((entry) =>
+              columns.map((column) => entry[column] ?? "").join(",")
+            )
+          )
+          .join("\n")
+          .value() + "\n"
       );
-    } catch (e) {
-      error = e;
-      tries += 1;
     }
   }
-
-  throw error;
 }
@@ -0,0 +1,287 @@
+/**
+ * Copyright 2024 Circle Internet Group, Inc. All rights reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { ethers } from "ethers";
+import fs from "fs";
+import { task } from "hardhat/config";
+import { HardhatRuntimeEnvironment } from "hardhat/types";
+import _ from "lodash";
+import path from "path";
+import { hardhatArgumentTypes } from "./hardhatArgumentTypes";
+import { streamBlacklistFile } from "../../utils";
+import {
+  AccountState,
+  readAccountStates,
+  readInitializedVersion,
+  readPackedAccountStates,
+} from "./batchReader";
+
+export enum BalanceSource {
+  Auto = "auto", // storage if the proxy is initialized as FiatTokenV2_2, balanceOf otherwise
+  Storage = "storage", // decodes the packed balanceAndBlacklistStates mapping of FiatTokenV2_2
+  BalanceOf = "balanceOf", // calls isBlacklisted() and balanceOf()
+}
+
+export enum BalancesFormat {
+  Json = "json",
+  Csv = "csv",
+}
+
+// Value of _initializedVersion after initializeV2_2()
+const V2_2_INITIALIZED_VERSION = 3;
+
+const OUTPUT_FILES: Record<BalancesFormat, string> = {
+  [BalancesFormat.Json]: path.join(
+    __dirname,
+    "..",
+    "..",
+    "blacklist.remote.balances.json"
+  ),
+  [BalancesFormat.Csv]: path.join(
+    __dirname,
+    "..",
+    "..",
+    "blacklist.remote.balances.csv"
+  ),
+};
+
+export type BlacklistedBalance = {
+  address: string;
+  isBlacklisted: boolean;
+  balance: string;
+  formattedBalance: string;
+};
+
+export type BlacklistedBalancesHeader = {
+  chainId: number;
+  proxyAddress: string;
+  blockNumber: number;
+  source: Exclude<BalanceSource, BalanceSource.Auto>;
+  decimals: number;
+  totalBalance: string; // sum of the balances of the accounts that are blacklisted at blockNumber
+  formattedTotalBalance: string;
+  generatedAt: string;
+};
+
+type TaskArguments = {
+  proxyAddress: string;
+  blacklistFilepath: string;
+  blockNumber?: number;
+  source: BalanceSource;
+  format: BalancesFormat;
+  outputFilepath?: string;
+  batchSize: number;
+  concurrency: number;
+};
+
+task(
+  "exportBlacklistedBalances",
+  "Exports the balance of every account in a blacklist file at a block number, " +
+    "and the total balance of the accounts that are blacklisted"
+)
+  .addParam(
+    "proxyAddress",
+    "The proxy address of the FiatToken contract",
+    undefined,
+    hardhatArgumentTypes.address
+  )
+  .addOptionalParam(
+    "blacklistFilepath",
+    "The blacklist file with the accounts to export, eg. the output of downloadBlacklistedAccounts",
+    path.join(__dirname, "..", "..", "blacklist.remote.json"),
+    hardhatArgumentTypes.string
+  )
+  .addOptionalParam(
+    "blockNumber",
+    "The block number to read the balances at. Defaults to the latest block.",
+    undefined,
+    hardhatArgumentTypes.int
+  )
+  .addOptionalParam(
+    "source",
+    "How to read the balances. 'storage' decodes the packed balanceAndBlacklistStates slots of a FiatTokenV2_2 proxy " +
+      "with eth_getStorageAt. 'auto' uses 'storage' if _initializedVersion shows that initializeV2_2() was run.",
+    BalanceSource.Auto,
+    hardhatArgumentTypes.oneOf(Object.values(BalanceSource))
+  )
+  .addOptionalParam(
+    "format",
+    "The format of the output file",
+    BalancesFormat.Json,
+    hardhatArgumentTypes.oneOf(Object.values(BalancesFormat))
+  )
+  .addOptionalParam(
+    "outputFilepath",
+    "The file to write the balances to. Defaults to blacklist.remote.balances.json or blacklist.remote.balances.csv.",
+    undefined,
+    hardhatArgumentTypes.string
+  )
+  .addOptionalParam(
+    "batchSize",
+    "The number of accounts to read per JSON-RPC batch request",
+    100,
+    hardhatArgumentTypes.int
+  )
+  .addOptionalParam(
+    "concurrency",
+    "The number of batch requests to send in parallel",
+    4,
+    hardhatArgumentTypes.int
+  )
+  .setAction(taskAction);
+
+async function taskAction(
+  {
+    proxyAddress,
+    blacklistFilepath,
+    blockNumber,
+    source,
+    format,
+    outputFilepath,
+    batchSize,
+    concurrency,
+  }: TaskArguments,
+  hre: HardhatRuntimeEnvironment
+) {
+  const accounts: string[] = [];
+  for await (const account of streamBlacklistFile(blacklistFilepath)) {
+    accounts.push(account);
+  }
+  console.log(`Read ${accounts.length} accounts from '${blacklistFilepath}'`);
+
+  const blockTag = blockNumber ?? (await hre.ethers.provider.getBlockNumber());
+  const chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
+  const proxyAsV1 = await hre.ethers.getContractAt("FiatTokenV1", proxyAddress);
+  const decimals = Number(await proxyAsV1.decimals({ blockTag }));
+
+  if (source === BalanceSource.Auto) {
+    source = (await usesPackedBalanceAndBlacklistStates(
+      hre,
+      proxyAddress,
+      blockTag
+    ))
+      ? BalanceSource.Storage
+      : BalanceSource.BalanceOf;
+  }
+  console.log(`Reading balances at block ${blockTag} using '${source}'...`);
+
+  const readOptions = {
+    blockTag,
+    batchSize,
+    concurrency,
+    onProgress: (readCount: number, totalCount: number) =>
+      console.log(`>> Read ${readCount}/${totalCount} accounts`),
+  };
+  const accountStates: AccountState[] =
+    source === BalanceSource.Storage
+      ? await readPackedAccountStates(hre, proxyAddress, accounts, readOptions)
+      : await readAccountStates(hre, proxyAddress, accounts, {
+          ...readOptions,
+          includeBalances: true,
+        });
+
+  const balances: BlacklistedBalance[] = accountStates.map(
+    ({ address, isBlacklisted, balance = BigInt(0) }) => ({
+      address,
+      isBlacklisted,
+      balance: balance.toString(),
+      formattedBalance: ethers.formatUnits(balance, decimals),
+    })
+  );
+  const totalBalance = accountStates
+    .filter((state) => state.isBlacklisted)
+    .reduce((total, state) => total + (state.balance ?? BigInt(0)), BigInt(0));
+
+  const header: BlacklistedBalancesHeader = {
+    chainId,
+    proxyAddress,
+    blockNumber: blockTag,
+    source,
+    decimals,
+    totalBalance: totalBalance.toString(),
+    formattedTotalBalance: ethers.formatUnits(totalBalance, decimals),
+    generatedAt: new Date().toISOString(),
+  };
+
+  const notBlacklistedCount = balances.filter((b) => !b.isBlacklisted).length;
+  if (notBlacklistedCount > 0) {
+    console.log(
+      `WARNING: ${notBlacklistedCount} accounts are not blacklisted at block ${blockTag}, and are excluded from the total.`
+    );
+  }
+
+  const outputFile = outputFilepath ?? OUTPUT_FILES[format];
+  fs.writeFileSync(
+    outputFile,
+    formatBlacklistedBalances(balances, header, format)
+  );
+  console.log(`Balances written to '${outputFile}'`);
+  console.log(
+    `Total balance of blacklisted accounts: ${header.formattedTotalBalance} (${header.totalBalance})`
+  );
+}
+
+/**
+ * Checks whether the proxy uses the FiatTokenV2_2 storage layout, where the blacklist state
+ * is packed into the high bit of balanceAndBlacklistStates, from the _initializedVersion set by
+ * initializeV2_2().
+ */
+async function usesPackedBalanceAndBlacklistStates(
+  hre: HardhatRuntimeEnvironment,
+  proxyAddress: string,
+  blockTag: number
+): Promise<boolean> {
+  return (
+    (await readInitializedVersion(hre, proxyAddress, blockTag)) >=
+    V2_2_INITIALIZED_VERSION
+  );
+}
+
+/**
+ * Serializes the balances as a JSON object with a header, or as a CSV file with a commented header,
+ * in the same layout as the blacklist files read by readBlacklistFileEntries.
+ */
+export function formatBlacklistedBalances(
+  balances: BlacklistedBalance[],
+  header: BlacklistedBalancesHeader,
+  format: BalancesFormat
+): string {
+  if (format === BalancesFormat.Json) {
+    const indent = 2;
+    return JSON.stringify({ header, accounts: balances }, null, indent);
+  }
+  const columns: (keyof BlacklistedBalance)[] = [
+    "address",
+    "isBlacklisted",
+    "balance",
+    "formattedBalance",
+  ];
+  return (
+    _.chain(header)
+      .toPairs()
+      .map(([key, value]) => `# ${key}: ${value}`)
+      .concat(columns.join(","))
+      .concat(
+        balances.map((balance) =>
+          columns.map((column) => balance[column]).join(",")
+        )
+      )
+      .join("\n")
+      .value() + "\n"
+  );
+}
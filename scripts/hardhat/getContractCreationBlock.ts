@@ -16,18 +16,57 @@
  * limitations under the License.
  */
 
+import fs from "fs";
+import { ethers } from "ethers";
 import { task } from "hardhat/config";
 import { hardhatArgumentTypes } from "./hardhatArgumentTypes";
 import { HardhatRuntimeEnvironment } from "hardhat/types";
-import { sleep } from "./helpers";
+import _ from "lodash";
+import { mapWithConcurrency } from "./helpers";
+import { ValuesFormat } from "./readValuesFromContract";
+import {
+  findGethCreationTrace,
+  findParityCreationTrace,
+  GethTransactionTrace,
+  ParityTransactionTrace,
+  TraceFormat,
+} from "./verifyOnChainBytecode";
 
 type TaskArguments = {
   contractAddress: string;
+  fromBlock: number;
+  toBlock?: number;
+  concurrency: number;
+  traceFormat?: TraceFormat;
+  format: ValuesFormat;
+  outputFilePath?: string;
+};
+
+export enum ContractStatus {
+  Created = "created",
+  SelfDestructed = "selfdestructed", // the contract has no code at toBlock
+}
+
+export type ContractCreation = {
+  contractAddress: string;
+  status: ContractStatus;
+  blockNumber: number; // eg. for downloadBlacklistedAccounts --start-block-number
+  transactionHash?: string; // eg. for verifyOnChainBytecode --contract-creation-tx-hash
+  deployer?: string; // the sender of the creation transaction
+  creator?: string; // the account executing the creation, eg. a factory contract
+  selfDestructBlockNumber?: number; // the first block without code, if selfdestructed
+};
+
+type SearchOptions = {
+  fromBlock?: number;
+  toBlock?: number;
+  concurrency?: number; // number of blocks probed in parallel
+  traceFormat?: TraceFormat;
 };
 
 task(
   "getContractCreationBlock",
-  "Gets the block number that a contract is created"
+  "Gets the block number that a contract is created, and the transaction creating it"
 )
   .addPositionalParam(
     "contractAddress",
@@ -35,66 +74,337 @@ task(
     undefined,
     hardhatArgumentTypes.address
   )
+  .addOptionalParam(
+    "fromBlock",
+    "The first block to search",
+    0,
+    hardhatArgumentTypes.int
+  )
+  .addOptionalParam(
+    "toBlock",
+    "The last block to search. Defaults to the latest block.",
+    undefined,
+    hardhatArgumentTypes.int
+  )
+  .addOptionalParam(
+    "concurrency",
+    "The number of blocks to probe in parallel. Each round narrows the searched range by concurrency + 1.",
+    4,
+    hardhatArgumentTypes.int
+  )
+  .addOptionalParam(
+    "traceFormat",
+    "The format of the block traces used to find contracts created by another contract: " +
+      "'geth' for debug_traceBlockByNumber, 'parity' for trace_block. If not set, trace_block is used when " +
+      "debug_traceBlockByNumber fails.",
+    undefined,
+    hardhatArgumentTypes.oneOf(Object.values(TraceFormat))
+  )
+  .addOptionalParam(
+    "format",
+    "The format to print the result in",
+    ValuesFormat.Text,
+    hardhatArgumentTypes.oneOf(Object.values(ValuesFormat))
+  )
+  .addOptionalParam(
+    "outputFilePath",
+    "Writes the result as JSON to this file",
+    undefined,
+    hardhatArgumentTypes.string
+  )
   .setAction(taskAction);
 
 async function taskAction(
-  { contractAddress }: TaskArguments,
+  {
+    contractAddress,
+    fromBlock,
+    toBlock,
+    concurrency,
+    traceFormat,
+    format,
+    outputFilePath,
+  }: TaskArguments,
   hre: HardhatRuntimeEnvironment
 ) {
-  const endBlock = await hre.ethers.provider.getBlockNumber();
-  const creationBlock = await getContractCreationBlock(
-    hre,
-    contractAddress,
-    0,
-    endBlock
+  if (concurrency < 1) {
+    throw new Error("concurrency must be at least 1!");
+  }
+  const creation = await getContractCreation(hre, contractAddress, {
+    fromBlock,
+    toBlock,
+    concurrency,
+    traceFormat,
+  });
+
+  const indent = 2;
+  if (outputFilePath) {
+    fs.writeFileSync(outputFilePath, JSON.stringify(creation, null, indent));
+  }
+  if (format === ValuesFormat.Json) {
+    console.log(JSON.stringify(creation, null, indent));
+    return;
+  }
+
+  console.log(
+    `Contract '${contractAddress}' was created in block number ${creation.blockNumber}`
   );
-  if (await isContractCreatedAtBlock(hre, contractAddress, creationBlock)) {
+  if (creation.status === ContractStatus.SelfDestructed) {
     console.log(
-      `Contract '${contractAddress}' was created in block number ${creationBlock}`
+      `Contract '${contractAddress}' was selfdestructed, it has no code since block number ${creation.selfDestructBlockNumber}`
     );
-  } else {
+  }
+  if (creation.transactionHash) {
+    console.log(`Creation transaction: ${creation.transactionHash}`);
+    console.log(`Deployer: ${creation.deployer}`);
+    if (creation.creator !== creation.deployer) {
+      console.log(`Created by contract: ${creation.creator}`);
+    }
+  }
+  console.log(
+    `\ndownloadBlacklistedAccounts: --start-block-number ${creation.blockNumber}`
+  );
+  if (creation.transactionHash) {
     console.log(
-      `Could not find contract creation block for contract '${contractAddress}'`
+      `verifyOnChainBytecode: --contract-creation-tx-hash ${creation.transactionHash}`
     );
   }
 }
 
 /**
- * Searches for the creation block for a given contract using binary search.
- * Adapted from https://levelup.gitconnected.com/how-to-get-smart-contract-creation-block-number-7f22f8952be0.
+ * Finds the block a contract is created in, and the transaction creating it.
+ *
+ * The block is found by probing for the code of the contract in parallel, narrowing [fromBlock, toBlock]
+ * by concurrency + 1 each round. A contract without code at toBlock is reported as selfdestructed
+ * if any probe of the range finds its code, so a contract that only lived between probes is not found.
+ * @throws error if no contract is found, or if the contract already exists at fromBlock
  */
-async function getContractCreationBlock(
+export async function getContractCreation(
   hre: HardhatRuntimeEnvironment,
   contractAddress: string,
-  startBlock: number,
-  endBlock: number
-) {
-  await sleep(500);
-  console.log(`Searching in [${startBlock}, ${endBlock}]`);
-  if (startBlock === endBlock) {
-    return startBlock;
-  }
-  const midBlock = Math.floor((startBlock + endBlock) / 2);
-  if (await isContractCreatedAtBlock(hre, contractAddress, midBlock)) {
-    return getContractCreationBlock(hre, contractAddress, startBlock, midBlock);
-  } else {
-    return getContractCreationBlock(
+  options: SearchOptions = {}
+): Promise<ContractCreation> {
+  const { fromBlock = 0, concurrency = 4, traceFormat } = options;
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error("invalid concurrency");
+  }
+  const toBlock =
+    options.toBlock ?? (await hre.ethers.provider.getBlockNumber());
+  if (fromBlock > toBlock) {
+    throw new Error(`fromBlock ${fromBlock} is after toBlock ${toBlock}`);
+  }
+  const hasCode = async (blockNumber: number) =>
+    (await hre.ethers.provider.getCode(contractAddress, blockNumber)) !== "0x";
+
+  let status = ContractStatus.Created;
+  let lastBlockWithCode = toBlock;
+  let selfDestructBlockNumber: number | undefined;
+  if (!(await hasCode(toBlock))) {
+    const probes = getProbes(fromBlock, toBlock, concurrency);
+    const probeResults = await Promise.all(probes.map(hasCode));
+    const index = probeResults.indexOf(true);
+    if (index === -1) {
+      throw new Error(
+        `No contract found at '${contractAddress}' in [${fromBlock}, ${toBlock}]. ` +
+          "If it was selfdestructed, narrow the range with fromBlock and toBlock."
+      );
+    }
+    status = ContractStatus.SelfDestructed;
+    lastBlockWithCode = probes[index];
+    selfDestructBlockNumber = await findFirstBlock(
+      lastBlockWithCode + 1,
+      toBlock,
+      concurrency,
+      async (blockNumber) => !(await hasCode(blockNumber))
+    );
+  }
+
+  if (fromBlock > 0 && (await hasCode(fromBlock))) {
+    throw new Error(
+      `Contract '${contractAddress}' already exists at block ${fromBlock}, it was created before fromBlock`
+    );
+  }
+  const blockNumber = await findFirstBlock(
+    fromBlock,
+    lastBlockWithCode,
+    concurrency,
+    hasCode
+  );
+
+  return {
+    contractAddress,
+    status,
+    blockNumber,
+    ...(await findCreationTransaction(
+      hre,
+      contractAddress,
+      blockNumber,
+      concurrency,
+      traceFormat
+    )),
+    selfDestructBlockNumber,
+  };
+}
+
+/**
+ * Returns the first block in [fromBlock, toBlock] matching a predicate that holds for every block
+ * after it, assuming that it holds at toBlock.
+ */
+async function findFirstBlock(
+  fromBlock: number,
+  toBlock: number,
+  concurrency: number,
+  predicate: (blockNumber: number) => Promise<boolean>
+): Promise<number> {
+  let [low, high] = [fromBlock, toBlock];
+  while (low < high) {
+    console.log(`Searching in [${low}, ${high}]`);
+    const probes = getProbes(low, high, concurrency);
+    const results = await Promise.all(probes.map(predicate));
+    const index = results.indexOf(true);
+    if (index === -1) {
+      low = probes[probes.length - 1] + 1;
+    } else {
+      high = probes[index];
+      low = index > 0 ? probes[index - 1] + 1 : low;
+    }
+  }
+  return low;
+}
+
+/**
+ * Returns up to count blocks in [fromBlock, toBlock - 1] splitting [fromBlock, toBlock] into
+ * count + 1 even parts, eg. the midpoint if count is 1.
+ */
+function getProbes(
+  fromBlock: number,
+  toBlock: number,
+  count: number
+): number[] {
+  const size = toBlock - fromBlock;
+  if (size <= 0) {
+    return [];
+  }
+  return _.uniq(
+    _.range(1, count + 1).map(
+      (i) => fromBlock + Math.floor((size * i) / (count + 1))
+    )
+  );
+}
+
+/**
+ * Finds the transaction creating a contract in a block. Contracts created by a transaction are
+ * found in the receipts, and contracts created by another contract are found in the block traces.
+ */
+async function findCreationTransaction(
+  hre: HardhatRuntimeEnvironment,
+  contractAddress: string,
+  blockNumber: number,
+  concurrency: number,
+  traceFormat: TraceFormat | undefined
+): Promise<Pick<ContractCreation, "transactionHash" | "deployer" | "creator">> {
+  const block = await hre.ethers.provider.getBlock(blockNumber, true);
+  if (!block) {
+    throw new Error(`Cannot find block ${blockNumber}!`);
+  }
+  const transactions = block.prefetchedTransactions;
+
+  // ==== Contract creation transactions
+  const receipts = await mapWithConcurrency(
+    transactions.filter(({ to }) => to === null),
+    concurrency,
+    ({ hash }) => hre.ethers.provider.getTransactionReceipt(hash)
+  );
+  const receipt = receipts.find(
+    (receipt) =>
+      receipt?.status === 1 &&
+      receipt.contractAddress?.toLowerCase() === contractAddress.toLowerCase()
+  );
+  if (receipt) {
+    return {
+      transactionHash: receipt.hash,
+      deployer: receipt.from,
+      creator: receipt.from,
+    };
+  }
+
+  // ==== Contracts created by another contract
+  let creation: { transactionHash: string; creator: string } | undefined;
+  try {
+    creation = await findCreationInBlockTraces(
       hre,
       contractAddress,
-      midBlock + 1,
-      endBlock
+      blockNumber,
+      traceFormat
+    );
+  } catch (e) {
+    console.warn(
+      `Could not find the creation transaction, the block traces are unavailable: ${
+        (e as Error).message
+      }`
+    );
+    return {};
+  }
+  if (!creation) {
+    console.warn(
+      `Could not find the creation transaction in the traces of block ${blockNumber}`
     );
+    return {};
   }
+  const { transactionHash, creator } = creation;
+  return {
+    transactionHash,
+    deployer: transactions.find(({ hash }) => hash === transactionHash)?.from,
+    creator: ethers.getAddress(creator),
+  };
 }
 
 /**
- * Checks if a given contract is created at a given block number
+ * Finds the transaction creating a contract in the traces of a block, with
+ * debug_traceBlockByNumber and the callTracer, or with trace_block.
  */
-async function isContractCreatedAtBlock(
+async function findCreationInBlockTraces(
   hre: HardhatRuntimeEnvironment,
   contractAddress: string,
-  block: number
-) {
-  const code = await hre.ethers.provider.getCode(contractAddress, block);
-  return code.length > 2;
+  blockNumber: number,
+  traceFormat: TraceFormat | undefined
+): Promise<{ transactionHash: string; creator: string } | undefined> {
+  const blockTag = ethers.toQuantity(blockNumber);
+  if (traceFormat !== TraceFormat.Parity) {
+    try {
+      const blockTraces: {
+        txHash: string;
+        result: GethTransactionTrace;
+      }[] = await hre.ethers.provider.send("debug_traceBlockByNumber", [
+        blockTag,
+        { tracer: "callTracer" },
+      ]);
+      for (const { txHash, result } of blockTraces) {
+        const creationTrace = findGethCreationTrace(result, contractAddress);
+        if (creationTrace) {
+          return { transactionHash: txHash, creator: creationTrace.from };
+        }
+      }
+      return undefined;
+    } catch (e) {
+      if (traceFormat === TraceFormat.Geth) {
+        throw e;
+      }
+      console.warn(
+        `Could not get the block traces from debug_traceBlockByNumber, trying trace_block: ${
+          (e as Error).message
+        }`
+      );
+    }
+  }
+  const blockTraces: ParityTransactionTrace[] = await hre.ethers.provider.send(
+    "trace_block",
+    [blockTag]
+  );
+  const creationTrace = findParityCreationTrace(blockTraces, contractAddress);
+  return (
+    creationTrace && {
+      transactionHash: creationTrace.transactionHash,
+      creator: creationTrace.action.from,
+    }
+  );
 }
@@ -53,8 +53,28 @@ const oneOf = (values: unknown[]): CLIArgumentType<string> => ({
   },
 });
 
+const intList: CLIArgumentType<number[]> = {
+  name: "intList",
+  parse: (_, strValue) =>
+    strValue.split(",").map((value) => Number(value.trim())),
+  validate: (argName, value) => {
+    if (
+      !Array.isArray(value) ||
+      value.length === 0 ||
+      !value.every(Number.isInteger)
+    ) {
+      throw new HardhatError(ERRORS.ARGUMENTS.INVALID_VALUE_FOR_TYPE, {
+        value,
+        name: argName,
+        type: intList.name,
+      });
+    }
+  },
+};
+
 export const hardhatArgumentTypes = {
   ...types,
   address,
   oneOf,
+  intList,
 };
@@ -17,6 +17,7 @@
  */
 
 import { execSync } from "child_process";
+import _ from "lodash";
 
 /**
  * Utility function to trigger a sleep.
@@ -45,3 +46,217 @@ export function validateOptimizerRuns(optimizerRuns: number): void {
 export function execSyncWrapper(command: string): void {
   execSync(command);
 }
+
+export type LogScanOptions = {
+  initialChunkSize?: number; // number of blocks queried at once
+  minChunkSize?: number;
+  maxChunkSize?: number;
+  growAfterSuccesses?: number; // consecutive successful queries before the chunk size is doubled
+  maxRetries?: number; // retries for errors that are not range errors
+  baseDelayMs?: number;
+  maxDelayMs?: number;
+  chunkDelayMs?: number; // delay between chunks to avoid blasting the RPC
+};
+
+const DEFAULT_LOG_SCAN_OPTIONS: Required<LogScanOptions> = {
+  initialChunkSize: 50000,
+  minChunkSize: 1,
+  maxChunkSize: 50000,
+  growAfterSuccesses: 3,
+  maxRetries: 5,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  chunkDelayMs: 1000,
+};
+
+/**
+ * Error messages returned by RPC providers when an eth_getLogs request spans too many
+ * blocks or returns too many results.
+ */
+const LOG_RANGE_ERROR_PATTERNS = [
+  /more than \d+ results/i,
+  /too many results/i,
+  /response size (exceeded|is larger|should not greater)/i,
+  /(exceeds?|exceeded) (the )?max(imum)? block range/i,
+  /block range (is )?(too (large|wide|big)|exceeds)/i,
+  /range (is )?too (large|wide)/i,
+  /limited to a [\d,]+ (block )?range/i,
+  /query timeout exceeded/i,
+];
+
+/**
+ * Scans [fromBlockNumber, toBlockNumber] in chunks, and hands the logs of every chunk to onChunk
+ * in block order. The chunk size is halved whenever the provider rejects a range, and doubled
+ * again after a number of consecutive successes. Other errors are retried with an exponential
+ * backoff with jitter.
+ * @param fetchLogs queries the logs in [fromBlockNumber, toBlockNumber], eg. Contract.queryFilter
+ * @param onChunk called once the logs of a chunk are fetched. Errors thrown here are not retried.
+ * @throws error if a chunk size is below 1, or if RPC fails after maxRetries counts
+ */
+export async function scanLogs<T>(
+  fetchLogs: (fromBlockNumber: number, toBlockNumber: number) => Promise<T[]>,
+  fromBlockNumber: number,
+  toBlockNumber: number,
+  onChunk: (
+    logs: T[],
+    fromBlockNumber: number,
+    toBlockNumber: number
+  ) => Promise<void> | void,
+  options: LogScanOptions = {}
+): Promise<void> {
+  const {
+    initialChunkSize,
+    minChunkSize,
+    maxChunkSize,
+    growAfterSuccesses,
+    maxRetries,
+    baseDelayMs,
+    maxDelayMs,
+    chunkDelayMs,
+  } = { ...DEFAULT_LOG_SCAN_OPTIONS, ...options };
+  if (
+    [initialChunkSize, minChunkSize, maxChunkSize].some(
+      (size) => !Number.isInteger(size) || size < 1
+    )
+  ) {
+    throw new Error("invalid chunk size");
+  }
+
+  let chunkSize = Math.min(initialChunkSize, maxChunkSize);
+  let successes = 0;
+  let tries = 0;
+
+  while (fromBlockNumber <= toBlockNumber) {
+    const chunkEndBlockNumber = Math.min(
+      toBlockNumber,
+      fromBlockNumber + chunkSize - 1
+    );
+    console.log(
+      `Querying logs in range [${fromBlockNumber}, ${chunkEndBlockNumber}]`
+    );
+
+    let logs: T[];
+    try {
+      logs = await fetchLogs(fromBlockNumber, chunkEndBlockNumber);
+    } catch (e) {
+      if (isLogRangeError(e) && chunkSize > minChunkSize) {
+        chunkSize = Math.max(
+          minChunkSize,
+          Math.min(
+            getSuggestedChunkSize(e) ?? Infinity,
+            Math.floor(chunkSize / 2)
+          )
+        );
+        successes = 0;
+        console.log(`>> Range rejected, retrying with ${chunkSize} blocks`);
+        continue;
+      }
+
+      tries += 1;
+      if (tries > maxRetries) {
+        throw e;
+      }
+      await sleep(getBackoffDelayMs(tries, baseDelayMs, maxDelayMs));
+      continue;
+    }
+
+    tries = 0;
+    await onChunk(logs, fromBlockNumber, chunkEndBlockNumber);
+    fromBlockNumber = chunkEndBlockNumber + 1;
+
+    successes += 1;
+    if (successes >= growAfterSuccesses && chunkSize < maxChunkSize) {
+      chunkSize = Math.min(maxChunkSize, chunkSize * 2);
+      successes = 0;
+    }
+
+    if (fromBlockNumber <= toBlockNumber) {
+      await sleep(chunkDelayMs);
+    }
+  }
+}
+
+/**
+ * Checks if an error is a provider rejecting an eth_getLogs request because of
+ * its block range or result count.
+ */
+export function isLogRangeError(error: unknown): boolean {
+  const messages = getErrorMessages(error);
+  return LOG_RANGE_ERROR_PATTERNS.some((pattern) =>
+    messages.some((message) => pattern.test(message))
+  );
+}
+
+/**
+ * Returns the chunk size suggested by the provider in a range error, if any.
+ * eg. "... this block range should work: [0x10a1b2c, 0x10a2a57]"
+ */
+export function getSuggestedChunkSize(error: unknown): number | undefined {
+  for (const message of getErrorMessages(error)) {
+    const match = message.match(/\[(0x[0-9a-f]+),\s*(0x[0-9a-f]+)\]/i);
+    if (match) {
+      const suggestedChunkSize =
+        parseInt(match[2], 16) - parseInt(match[1], 16);
+      if (suggestedChunkSize > 0) {
+        return suggestedChunkSize + 1;
+      }
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Returns the delay before the given retry, doubling with every try up to maxDelayMs.
+ * Half of the delay is randomized so that concurrent clients do not retry in lockstep.
+ */
+export function getBackoffDelayMs(
+  tries: number,
+  baseDelayMs: number,
+  maxDelayMs: number,
+  random: () => number = Math.random
+): number {
+  const delayMs = Math.min(maxDelayMs, baseDelayMs * 2 ** (tries - 1));
+  return Math.round(delayMs / 2 + (random() * delayMs) / 2);
+}
+
+/**
+ * Collects the messages of an error and the RPC errors wrapped inside it.
+ */
+function getErrorMessages(error: unknown, depth = 0): string[] {
+  if (error == null || typeof error !== "object" || depth > 3) {
+    return typeof error === "string" ? [error] : [];
+  }
+  const { message, shortMessage, error: innerError, info } = error as Record<
+    string,
+    unknown
+  >;
+  return _.chain([message, shortMessage])
+    .filter(_.isString)
+    .concat(getErrorMessages(innerError, depth + 1))
+    .concat(getErrorMessages((info as { error?: unknown })?.error, depth + 1))
+    .value();
+}
+
+/**
+ * Maps items with an async function, running at most `concurrency` calls at a time.
+ * The results are returned in the same order as the items.
+ */
+export async function mapWithConcurrency<T, R>(
+  items: T[],
+  concurrency: number,
+  fn: (item: T, index: number) => Promise<R>
+): Promise<R[]> {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error("invalid concurrency");
+  }
+  const results = new Array<R>(items.length);
+  let nextIndex = 0;
+  const workers = _.range(Math.min(concurrency, items.length)).map(async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
@@ -0,0 +1,402 @@
+/**
+ * Copyright 2024 Circle Internet Group, Inc. All rights reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { ethers } from "ethers";
+import { writeFileSync } from "fs";
+import { task } from "hardhat/config";
+import { HardhatRuntimeEnvironment } from "hardhat/types";
+import _ from "lodash";
+import { decodeBalanceAndBlacklistState } from "./batchReader";
+import { hardhatArgumentTypes } from "./hardhatArgumentTypes";
+import {
+  FiatTokenProxy_SLOT_ADDRESSES,
+  readAddressFromStorageSlot,
+  ValuesFormat,
+} from "./readValuesFromContract";
+import {
+  getStorageLayout,
+  readStateVariable,
+  StorageLayout,
+  StorageValue,
+} from "./storageLayout";
+
+type TaskArguments = {
+  proxyAddress: string;
+  contractName: FiatTokenVersion;
+  accounts: string[];
+  blockTag?: string;
+  format: ValuesFormat;
+  outputFilePath?: string;
+};
+
+export const FIAT_TOKEN_VERSIONS = [
+  "FiatTokenV1",
+  "FiatTokenV1_1",
+  "FiatTokenV2",
+  "FiatTokenV2_1",
+  "FiatTokenV2_2",
+] as const;
+
+export type FiatTokenVersion = typeof FIAT_TOKEN_VERSIONS[number];
+
+export type ProxyAccountState = {
+  balance: bigint;
+  isBlacklisted: boolean;
+  mappings: Record<string, StorageValue>; // values of the mappings with a single address key
+};
+
+export type ProxyState = {
+  chainId: number;
+  proxyAddress: string;
+  blockNumber: number;
+  contractName: FiatTokenVersion; // the version whose storage layout the state is decoded with
+  admin: string;
+  implementation: string;
+  variables: Record<string, StorageValue>; // every state variable other than mappings
+  accounts: Record<string, ProxyAccountState>;
+  inconsistencies: string[]; // values that are inconsistent with contractName
+};
+
+// Value of _initializedVersion after the initializer of each version runs
+const INITIALIZED_VERSIONS: Partial<Record<FiatTokenVersion, bigint>> = {
+  FiatTokenV2: BigInt(1),
+  FiatTokenV2_1: BigInt(2),
+  FiatTokenV2_2: BigInt(3),
+};
+
+// Value returned by version(), for the versions that implement it
+const VERSIONS: Partial<Record<FiatTokenVersion, string>> = {
+  FiatTokenV2_1: "2",
+  FiatTokenV2_2: "2",
+};
+
+const versionInterface = new ethers.Interface([
+  "function version() view returns (string)",
+]);
+
+task(
+  "readProxyState",
+  "Decodes the state of a FiatTokenProxy straight from storage with the storage layout of a FiatToken version, " +
+    "and reports the values that are inconsistent with that version."
+)
+  .addParam(
+    "proxyAddress",
+    "The proxy address of the FiatToken contract",
+    undefined,
+    hardhatArgumentTypes.address
+  )
+  .addOptionalParam(
+    "contractName",
+    "The FiatToken version whose storage layout is used",
+    "FiatTokenV2_2",
+    hardhatArgumentTypes.oneOf([...FIAT_TOKEN_VERSIONS])
+  )
+  .addOptionalParam(
+    "blockTag",
+    "The block number, hash or tag (eg. 'finalized') to read the state at. Defaults to the latest block.",
+    undefined,
+    hardhatArgumentTypes.string
+  )
+  .addOptionalParam(
+    "format",
+    "The format to print the state in",
+    ValuesFormat.Text,
+    hardhatArgumentTypes.oneOf(Object.values(ValuesFormat))
+  )
+  .addOptionalParam(
+    "outputFilePath",
+    "Writes the state as JSON to this file",
+    undefined,
+    hardhatArgumentTypes.string
+  )
+  .addOptionalVariadicPositionalParam(
+    "accounts",
+    "The accounts to read the balance, blacklist state and other mappings of",
+    [],
+    hardhatArgumentTypes.address
+  )
+  .setAction(taskAction);
+
+async function taskAction(
+  {
+    proxyAddress,
+    contractName,
+    accounts,
+    blockTag,
+    format,
+    outputFilePath,
+  }: TaskArguments,
+  hre: HardhatRuntimeEnvironment
+) {
+  const state = await readProxyState(
+    hre,
+    proxyAddress,
+    contractName,
+    accounts,
+    blockTag !== undefined && /^\d+$/.test(blockTag)
+      ? Number(blockTag)
+      : blockTag
+  );
+
+  if (format === ValuesFormat.Json) {
+    console.log(formatProxyState(state));
+  } else {
+    console.log(
+      `${contractName} state of ${proxyAddress} at block ${state.blockNumber}:`
+    );
+    console.log({
+      admin: state.admin,
+      implementation: state.implementation,
+      ...state.variables,
+    });
+    if (accounts.length > 0) {
+      console.table(
+        _.map(
+          state.accounts,
+          ({ balance, isBlacklisted, mappings }, account) => ({
+            account,
+            balance: balance.toString(),
+            isBlacklisted,
+            ..._.mapValues(mappings, (value) =>
+              typeof value === "bigint" ? value.toString() : value
+            ),
+          })
+        )
+      );
+    }
+  }
+  if (outputFilePath) {
+    writeFileSync(outputFilePath, formatProxyState(state));
+    console.log(`State written to '${outputFilePath}'`);
+  }
+
+  if (state.inconsistencies.length > 0) {
+    for (const inconsistency of state.inconsistencies) {
+      console.warn("\x1b[33m", `WARNING: ${inconsistency}`);
+    }
+    throw new Error(
+      `Found ${state.inconsistencies.length} values inconsistent with ${contractName}`
+    );
+  }
+}
+
+/**
+ * Reads every state variable of a FiatTokenProxy from storage, and the values of the mappings
+ * with a single address key for the given accounts, using the storage layout of contractName.
+ */
+export async function readProxyState(
+  hre: HardhatRuntimeEnvironment,
+  proxyAddress: string,
+  contractName: FiatTokenVersion,
+  accounts: string[],
+  blockTag: ethers.BlockTag = "latest"
+): Promise<ProxyState> {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  // Read every value at the same block, even if new blocks are mined in the meantime
+  const block = await hre.ethers.provider.getBlock(blockTag);
+  if (!block) {
+    throw new Error(`Cannot find block '${blockTag}'!`);
+  }
+  const layout = getStorageLayout(contractName);
+  const read = (label: string, keys: string[] = []) =>
+    readStateVariable(hre, proxyAddress, layout, label, keys, block.number);
+
+  const [admin, implementation] = await Promise.all(
+    ["admin", "implementation"].map((functionName) =>
+      readAddressFromStorageSlot(
+        hre,
+        proxyAddress,
+        FiatTokenProxy_SLOT_ADDRESSES[functionName],
+        block.number
+      )
+    )
+  );
+
+  const variableLabels = layout.storage
+    .filter(({ type }) => layout.types?.[type].encoding !== "mapping")
+    .map(({ label }) => label);
+  const variables = _.zipObject(
+    variableLabels,
+    await Promise.all(variableLabels.map((label) => read(label)))
+  );
+
+  const mappingLabels = getAddressMappingLabels(layout);
+  const accountStates: Record<string, ProxyAccountState> = {};
+  for (const account of _.uniq(accounts.map(ethers.getAddress))) {
+    const mappings = _.zipObject(
+      mappingLabels,
+      await Promise.all(mappingLabels.map((label) => read(label, [account])))
+    );
+    accountStates[account] =
+      contractName === "FiatTokenV2_2"
+        ? {
+            ...decodeBalanceAndBlacklistState(
+              String(mappings.balanceAndBlacklistStates)
+            ),
+            mappings,
+          }
+        : {
+            balance: mappings.balanceAndBlacklistStates as bigint,
+            isBlacklisted: mappings._deprecatedBlacklisted as boolean,
+            mappings,
+          };
+  }
+
+  const state: ProxyState = {
+    chainId: Number(chainId),
+    proxyAddress: ethers.getAddress(proxyAddress),
+    blockNumber: block.number,
+    contractName,
+    admin,
+    implementation,
+    variables,
+    accounts: accountStates,
+    inconsistencies: [],
+  };
+  state.inconsistencies = await findInconsistencies(hre, state, read);
+  return state;
+}
+
+export function formatProxyState(state: ProxyState): string {
+  const indent = 2;
+  return JSON.stringify(
+    state,
+    (_key, value) => (typeof value === "bigint" ? value.toString() : value),
+    indent
+  );
+}
+
+/**
+ * Returns the labels of the mappings with a single address key, eg. balanceAndBlacklistStates.
+ */
+function getAddressMappingLabels(layout: StorageLayout): string[] {
+  const types = layout.types ?? {};
+  return layout.storage
+    .filter(({ type }) => {
+      const { encoding, key, value } = types[type];
+      return (
+        encoding === "mapping" &&
+        key !== undefined &&
+        value !== undefined &&
+        types[key].label === "address" &&
+        types[value].encoding !== "mapping"
+      );
+    })
+    .map(({ label }) => label);
+}
+
+/**
+ * Checks the state against the invariants of its FiatToken version.
+ */
+async function findInconsistencies(
+  hre: HardhatRuntimeEnvironment,
+  state: ProxyState,
+  read: (label: string, keys?: string[]) => Promise<StorageValue>
+): Promise<string[]> {
+  const { contractName, variables, accounts } = state;
+  const inconsistencies: string[] = [];
+
+  if (variables.initialized !== true) {
+    inconsistencies.push("initialized is false");
+  }
+
+  const expectedInitializedVersion = INITIALIZED_VERSIONS[contractName];
+  if (
+    expectedInitializedVersion !== undefined &&
+    variables._initializedVersion !== expectedInitializedVersion
+  ) {
+    inconsistencies.push(
+      `_initializedVersion is ${variables._initializedVersion}, expected ${expectedInitializedVersion}`
+    );
+  }
+
+  const version = await readVersion(hre, state);
+  if (version !== VERSIONS[contractName]) {
+    inconsistencies.push(
+      version === undefined
+        ? `version() is not implemented, expected "${VERSIONS[contractName]}"`
+        : `version() returned "${version}", expected ${
+            VERSIONS[contractName] === undefined
+              ? "no version()"
+              : `"${VERSIONS[contractName]}"`
+          }`
+    );
+  }
+
+  if (contractName === "FiatTokenV2_2") {
+    // initializeV2_2 blacklists the proxy itself
+    const { isBlacklisted } = decodeBalanceAndBlacklistState(
+      String(await read("balanceAndBlacklistStates", [state.proxyAddress]))
+    );
+    if (!isBlacklisted) {
+      inconsistencies.push(
+        `The proxy ${state.proxyAddress} is not blacklisted`
+      );
+    }
+  }
+
+  for (const [account, { mappings }] of Object.entries(accounts)) {
+    if (contractName === "FiatTokenV2_2") {
+      // initializeV2_2 moves every blacklisted account to balanceAndBlacklistStates
+      if (mappings._deprecatedBlacklisted === true) {
+        inconsistencies.push(
+          `${account} is still blacklisted in _deprecatedBlacklisted`
+        );
+      }
+    } else if (
+      decodeBalanceAndBlacklistState(String(mappings.balanceAndBlacklistStates))
+        .isBlacklisted
+    ) {
+      inconsistencies.push(
+        `${account} has the high bit of balanceAndBlacklistStates set, which is only used from FiatTokenV2_2`
+      );
+    }
+  }
+
+  const totalBalance = _.reduce(
+    accounts,
+    (total, { balance }) => total + balance,
+    BigInt(0)
+  );
+  if (totalBalance > (variables.totalSupply_ as bigint)) {
+    inconsistencies.push(
+      `The balances of the accounts add up to ${totalBalance}, more than totalSupply_ ${variables.totalSupply_}`
+    );
+  }
+
+  return inconsistencies;
+}
+
+/**
+ * Calls version() on the proxy, returns undefined if it is not implemented.
+ */
+async function readVersion(
+  hre: HardhatRuntimeEnvironment,
+  { proxyAddress, blockNumber }: ProxyState
+): Promise<string | undefined> {
+  try {
+    const result = await hre.ethers.provider.call({
+      to: proxyAddress,
+      data: versionInterface.encodeFunctionData("version"),
+      blockTag: blockNumber,
+    });
+    return versionInterface.decodeFunctionResult("version", result)[0];
+  } catch (e) {
+    return undefined;
+  }
+}
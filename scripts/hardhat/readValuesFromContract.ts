@@ -16,21 +16,63 @@
  * limitations under the License.
  */
 
+import { BlockTag, Contract } from "ethers";
+import { readFileSync, writeFileSync } from "fs";
 import { task } from "hardhat/config";
 import { HardhatRuntimeEnvironment } from "hardhat/types";
 import _ from "lodash";
 import { hardhatArgumentTypes } from "./hardhatArgumentTypes";
-import { Contract } from "ethers";
 
 type TaskArguments = {
   contractName: string;
   contractAddress: string;
   functionNames: string[];
+  blockTag?: string;
+  preset?: ValuesPreset;
+  format: ValuesFormat;
+  outputFilePath?: string;
+  snapshotFilePath?: string;
+};
+
+export enum ValuesPreset {
+  Roles = "roles", // every role of a FiatToken, and the admin and implementation of its proxy
+}
+
+export enum ValuesFormat {
+  Text = "text",
+  Json = "json",
+}
+
+export type ValuesSnapshot = {
+  chainId: number;
+  contractName: string;
+  contractAddress: string;
+  blockNumber: number; // the block the values were read at
+  values: Record<string, unknown>; // JSON serializable results, by function call
+};
+
+export type ValueDifference = {
+  functionCall: string;
+  snapshotValue: unknown; // undefined if the function call is missing from the snapshot
+  value: unknown; // undefined if the function call was not read
+};
+
+export const PRESET_FUNCTION_NAMES: Record<ValuesPreset, string[]> = {
+  [ValuesPreset.Roles]: [
+    "owner",
+    "pauser",
+    "blacklister",
+    "masterMinter",
+    "rescuer",
+    "admin",
+    "implementation",
+  ],
 };
 
 task(
   "readValuesFromContract",
-  "Calls a series of read-only functions with no arguments on a contract, and prints the results to console."
+  "Calls a series of read-only functions on a contract, and prints the results to console. " +
+    "Arguments are passed as 'functionName(arg1,arg2)'."
 )
   .addParam(
     "contractName",
@@ -44,42 +86,270 @@ task(
     undefined,
     hardhatArgumentTypes.address
   )
-  .addVariadicPositionalParam(
-    "functionNames",
-    "The functions to call",
+  .addOptionalParam(
+    "blockTag",
+    "The block number, hash or tag (eg. 'finalized') to read the values at. Defaults to the latest block.",
+    undefined,
+    hardhatArgumentTypes.string
+  )
+  .addOptionalParam(
+    "preset",
+    "Calls a predefined set of functions in addition to functionNames. " +
+      "'roles' reads the owner, pauser, blacklister, masterMinter, rescuer, proxy admin and implementation.",
+    undefined,
+    hardhatArgumentTypes.oneOf(Object.values(ValuesPreset))
+  )
+  .addOptionalParam(
+    "format",
+    "The format to print the values in. 'json' prints a snapshot with the chain id and block number.",
+    ValuesFormat.Text,
+    hardhatArgumentTypes.oneOf(Object.values(ValuesFormat))
+  )
+  .addOptionalParam(
+    "outputFilePath",
+    "Writes a JSON snapshot of the values to this file",
+    undefined,
+    hardhatArgumentTypes.string
+  )
+  .addOptionalParam(
+    "snapshotFilePath",
+    "Compares the values with a JSON snapshot written by outputFilePath, and fails if any value differs. " +
+      "Reads the functions in the snapshot if no functions are given.",
     undefined,
+    hardhatArgumentTypes.inputFile
+  )
+  .addOptionalVariadicPositionalParam(
+    "functionNames",
+    "The functions to call, eg. 'name' or 'balanceOf(0x...)'",
+    [],
     hardhatArgumentTypes.string
   )
   .setAction(taskAction);
 
 async function taskAction(
-  { contractName, contractAddress, functionNames }: TaskArguments,
+  {
+    contractName,
+    contractAddress,
+    functionNames,
+    blockTag,
+    preset,
+    format,
+    outputFilePath,
+    snapshotFilePath,
+  }: TaskArguments,
   hre: HardhatRuntimeEnvironment
 ) {
+  const snapshot: ValuesSnapshot | undefined = snapshotFilePath
+    ? JSON.parse(readFileSync(snapshotFilePath, "utf-8"))
+    : undefined;
+
+  const functionCalls = [
+    ...functionNames,
+    ...(preset ? PRESET_FUNCTION_NAMES[preset] : []),
+  ];
+  if (functionCalls.length === 0 && snapshot) {
+    functionCalls.push(...Object.keys(snapshot.values));
+  }
+  if (functionCalls.length === 0) {
+    throw new Error("No functions to call, set functionNames or preset");
+  }
+
+  const values = await readValuesFromContract(
+    hre,
+    contractName,
+    contractAddress,
+    functionCalls,
+    parseBlockTag(blockTag)
+  );
+
+  if (format === ValuesFormat.Json) {
+    console.log(formatValuesSnapshot(values));
+  } else {
+    console.log(values.values);
+  }
+  if (outputFilePath) {
+    writeFileSync(outputFilePath, formatValuesSnapshot(values));
+    console.log(`Snapshot written to '${outputFilePath}'`);
+  }
+
+  if (snapshot) {
+    if (
+      snapshot.chainId !== values.chainId ||
+      snapshot.contractAddress !== values.contractAddress
+    ) {
+      throw new Error(
+        `Snapshot was taken for ${snapshot.contractAddress} on chain ${snapshot.chainId}`
+      );
+    }
+    const differences = compareValuesSnapshots(snapshot, values);
+    if (differences.length > 0) {
+      const formatValue = (value: unknown) =>
+        value === undefined
+          ? "(missing)"
+          : typeof value === "string"
+          ? value
+          : JSON.stringify(value);
+      console.table(
+        differences.map(({ functionCall, snapshotValue, value }) => ({
+          functionCall,
+          snapshotValue: formatValue(snapshotValue),
+          value: formatValue(value),
+        }))
+      );
+      throw new Error(
+        `${differences.length} values differ from the snapshot taken at block ${snapshot.blockNumber}`
+      );
+    }
+    console.log(
+      `All values match the snapshot taken at block ${snapshot.blockNumber}`
+    );
+  }
+}
+
+/**
+ * Calls read-only functions on a contract at a single block. Each function call is either a
+ * function name, or a function name followed by its comma separated arguments in parentheses,
+ * eg. `balanceOf(0x...)`.
+ */
+export async function readValuesFromContract(
+  hre: HardhatRuntimeEnvironment,
+  contractName: string,
+  contractAddress: string,
+  functionCalls: string[],
+  blockTag: BlockTag = "latest"
+): Promise<ValuesSnapshot> {
   const contract = await hre.ethers.getContractAt(
     contractName,
     contractAddress
   );
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  // Read every value at the same block, even if new blocks are mined in the meantime
+  const block = await hre.ethers.provider.getBlock(blockTag);
+  if (!block) {
+    throw new Error(`Cannot find block '${blockTag}'!`);
+  }
 
-  if (contract.getDeployedCode() == null) {
-    throw new Error(`Cannot find contract at address '${contractAddress}'!`);
+  if (
+    (await hre.ethers.provider.getCode(contractAddress, block.number)) === "0x"
+  ) {
+    throw new Error(
+      `Cannot find contract at address '${contractAddress}' at block ${block.number}!`
+    );
   }
 
+  const parsedFunctionCalls = _.uniqBy(
+    functionCalls.map(parseFunctionCall),
+    "functionCall"
+  );
   const viewFunctionResults = await Promise.all(
-    functionNames.map((funcName) =>
-      conditionallyReadValues(hre, contract, contractName, funcName)
+    parsedFunctionCalls.map(({ functionName, args }) =>
+      conditionallyReadValues(
+        hre,
+        contract,
+        contractName,
+        functionName,
+        args,
+        block.number
+      )
     )
   );
 
-  const result = _.fromPairs(_.zip(functionNames, viewFunctionResults));
-  console.log(result);
+  return {
+    chainId: Number(chainId),
+    contractName,
+    contractAddress: await contract.getAddress(),
+    blockNumber: block.number,
+    values: _.fromPairs(
+      _.zip(
+        parsedFunctionCalls.map(({ functionCall }) => functionCall),
+        viewFunctionResults.map(toJsonValue)
+      )
+    ),
+  };
+}
+
+/**
+ * Returns the values that differ between a snapshot and values read later.
+ * A function call that is missing from either is reported as a difference,
+ * with an undefined snapshotValue or value.
+ */
+export function compareValuesSnapshots(
+  snapshot: ValuesSnapshot,
+  values: ValuesSnapshot
+): ValueDifference[] {
+  return _.union(Object.keys(values.values), Object.keys(snapshot.values))
+    .filter(
+      (functionCall) =>
+        !(functionCall in snapshot.values) ||
+        !(functionCall in values.values) ||
+        !_.isEqual(snapshot.values[functionCall], values.values[functionCall])
+    )
+    .map((functionCall) => ({
+      functionCall,
+      snapshotValue: snapshot.values[functionCall],
+      value: values.values[functionCall],
+    }));
+}
+
+export function formatValuesSnapshot(snapshot: ValuesSnapshot): string {
+  const indent = 2;
+  return JSON.stringify(snapshot, null, indent);
+}
+
+/**
+ * Parses a function call such as `authorizationState(0x..., 0x...)` into its
+ * function name and arguments, and formats it without whitespace.
+ */
+export function parseFunctionCall(
+  functionCall: string
+): {
+  functionCall: string;
+  functionName: string;
+  args: string[];
+} {
+  const match = functionCall.trim().match(/^(\w+)(?:\((.*)\))?$/);
+  if (!match) {
+    throw new Error(`Invalid function call '${functionCall}'!`);
+  }
+  const [, functionName, argsString] = match;
+  const args =
+    argsString === undefined || argsString.trim() === ""
+      ? []
+      : argsString.split(",").map((arg) => arg.trim());
+  return {
+    functionCall:
+      argsString === undefined
+        ? functionName
+        : `${functionName}(${args.join(",")})`,
+    functionName,
+    args,
+  };
+}
+
+function parseBlockTag(blockTag: string | undefined): BlockTag | undefined {
+  return blockTag !== undefined && /^\d+$/.test(blockTag)
+    ? Number(blockTag)
+    : blockTag;
+}
+
+/**
+ * Converts the result of a function call to a JSON serializable value.
+ */
+function toJsonValue(value: unknown): unknown {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return Array.from(value, toJsonValue);
+  }
+  return value;
 }
 
 /**
  * Memory addresses for the return data of certain read-only functions
  * on the FiatTokenProxy contract.
  */
-const FiatTokenProxy_SLOT_ADDRESSES: Record<string, string> = {
+export const FiatTokenProxy_SLOT_ADDRESSES: Record<string, string> = {
   admin: "0x10d6a54a4754c8869d6886b5f5d7fbfa5b4522237ea5c60d11bc4e7a1ff9390b",
   implementation:
     "0x7050c9e0f4ca769c69bd3a8ef740bc37934f8e2c036e5a723fd8ee048ed3f8c3",
@@ -88,29 +358,64 @@ const FiatTokenProxy_SLOT_ADDRESSES: Record<string, string> = {
 /**
  * Conditionally calls a read-only function from a contract, depending on the contractName.
  *
- * If the contract is FiatTokenProxy, and either `name()` or `implementation()` is requested,
- * then read the values from the storage addresses. Otherwise, get the result by calling the function.
+ * If either `admin()` or `implementation()` is requested on FiatTokenProxy, or on a contract
+ * without these functions such as the implementation behind a proxy, then read the values
+ * from the storage addresses. Otherwise, get the result by calling the function.
  */
 async function conditionallyReadValues(
   hre: HardhatRuntimeEnvironment,
   contract: Contract,
   contractName: string,
-  functionName: string
+  functionName: string,
+  args: string[],
+  blockTag: BlockTag
 ) {
-  if (!contract[functionName]) {
-    throw new Error(`Cannot find ${functionName} in contract!`);
-  }
-
   if (
-    contractName === "FiatTokenProxy" &&
-    ["admin", "implementation"].includes(functionName)
+    (contractName === "FiatTokenProxy" ||
+      !contract.interface.hasFunction(functionName)) &&
+    ["admin", "implementation"].includes(functionName) &&
+    args.length === 0
   ) {
-    const storageResult = await hre.ethers.provider.getStorage(
+    return readAddressFromStorageSlot(
+      hre,
       await contract.getAddress(),
-      FiatTokenProxy_SLOT_ADDRESSES[functionName]
+      FiatTokenProxy_SLOT_ADDRESSES[functionName],
+      blockTag
     );
-    return hre.ethers.getAddress("0x" + storageResult.slice(26));
   }
 
-  return await contract[functionName].staticCall();
+  if (!contract.interface.hasFunction(functionName)) {
+    throw new Error(`Cannot find ${functionName} in contract!`);
+  }
+
+  const fragment = contract.interface.getFunction(functionName, args);
+  if (!fragment) {
+    throw new Error(
+      `Cannot find ${functionName} with ${args.length} arguments in contract!`
+    );
+  }
+  // Boolean arguments would otherwise be coerced from their truthiness
+  const parsedArgs = fragment.inputs.map(({ type }, i) =>
+    type === "bool" ? args[i] === "true" : args[i]
+  );
+  return await contract
+    .getFunction(fragment)
+    .staticCall(...parsedArgs, { blockTag });
+}
+
+/**
+ * Reads an address stored in a storage slot of a contract, eg. the implementation of a proxy.
+ */
+export async function readAddressFromStorageSlot(
+  hre: HardhatRuntimeEnvironment,
+  contractAddress: string,
+  slot: string,
+  blockTag?: BlockTag
+): Promise<string> {
+  const storageResult = await hre.ethers.provider.getStorage(
+    contractAddress,
+    slot,
+    blockTag
+  );
+  return hre.ethers.getAddress("0x" + storageResult.slice(26));
 }
@@ -0,0 +1,319 @@
+/**
+ * Copyright 2024 Circle Internet Group, Inc. All rights reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from "fs";
+import path from "path";
+import { ethers } from "ethers";
+import { task } from "hardhat/config";
+import { HardhatRuntimeEnvironment } from "hardhat/types";
+import {
+  impersonateAccount,
+  setBalance,
+  stopImpersonatingAccount,
+  takeSnapshot,
+} from "@nomicfoundation/hardhat-network-helpers";
+import { hardhatArgumentTypes } from "./hardhatArgumentTypes";
+import { readBlacklistFile } from "../../utils";
+import {
+  BlacklistEntry,
+  replayBlacklistEvents,
+} from "./downloadBlacklistedAccounts";
+import { diffBlacklists } from "./diffBlacklists";
+
+type TaskArguments = {
+  targetFilepath: string;
+  proxyAddress: string;
+  startBlockNumber: number;
+  transactionsFilepath: string;
+  safeTransactionsFilepath: string;
+  dryRun: boolean;
+  forkUrl?: string;
+};
+
+export type BlacklistTransaction = {
+  to: string;
+  value: string;
+  data: string;
+  method: "blacklist" | "unBlacklist";
+  account: string;
+};
+
+export type BlacklistTransactionsFile = {
+  chainId: number;
+  blockNumber: number;
+  proxyAddress: string;
+  blacklister: string;
+  transactions: BlacklistTransaction[];
+};
+
+// See https://help.safe.global/en/articles/40841-transaction-builder
+export type SafeTransactionBuilderFile = {
+  version: string;
+  chainId: string;
+  createdAt: number;
+  meta: {
+    name: string;
+    description: string;
+    txBuilderVersion: string;
+    createdFromSafeAddress: string;
+    createdFromOwnerAddress: string;
+  };
+  transactions: {
+    to: string;
+    value: string;
+    data: string;
+    contractMethod: null;
+    contractInputsValues: null;
+  }[];
+};
+
+type DryRunResult = {
+  account: string;
+  method: BlacklistTransaction["method"];
+  succeeded: boolean;
+  gasUsed?: string;
+  error?: string;
+};
+
+const SAFE_TX_BUILDER_VERSION = "1.16.5";
+
+task(
+  "reconcileBlacklist",
+  "Compares a target blacklist with the current blacklist of a FiatToken contract, " +
+    "and prepares the unsigned blacklist(address) and unBlacklist(address) transactions for the blacklister. " +
+    "Accounts are blacklisted first, in the order of the target file, then unblacklisted."
+)
+  .addParam(
+    "targetFilepath",
+    "The file containing the accounts that should be blacklisted, in any format accepted by validateAccountsToBlacklist",
+    undefined,
+    hardhatArgumentTypes.inputFile
+  )
+  .addParam(
+    "proxyAddress",
+    "The proxy address of the FiatToken contract",
+    undefined,
+    hardhatArgumentTypes.address
+  )
+  .addOptionalParam(
+    "startBlockNumber",
+    "The block number to start replaying events from, eg. the contract creation block number of the proxy",
+    0,
+    hardhatArgumentTypes.int
+  )
+  .addOptionalParam(
+    "transactionsFilepath",
+    "The file to write the transactions to, as raw calldata",
+    path.join(__dirname, "..", "..", "blacklist.reconcile.transactions.json"),
+    hardhatArgumentTypes.string
+  )
+  .addOptionalParam(
+    "safeTransactionsFilepath",
+    "The file to write the transactions to, in the Safe transaction builder format",
+    path.join(__dirname, "..", "..", "blacklist.reconcile.safe.json"),
+    hardhatArgumentTypes.string
+  )
+  .addFlag(
+    "dryRun",
+    "Simulates the transactions as the blacklister. Must be run on the hardhat network, eg. with --fork-url."
+  )
+  .addOptionalParam(
+    "forkUrl",
+    "The RPC URL of the network to fork for the dry run",
+    undefined,
+    hardhatArgumentTypes.string
+  )
+  .setAction(taskAction);
+
+async function taskAction(
+  {
+    targetFilepath,
+    proxyAddress,
+    startBlockNumber,
+    transactionsFilepath,
+    safeTransactionsFilepath,
+    dryRun,
+    forkUrl,
+  }: TaskArguments,
+  hre: HardhatRuntimeEnvironment
+) {
+  if ((dryRun || forkUrl) && hre.network.name !== "hardhat") {
+    throw new Error(
+      "--dry-run must be run on the hardhat network, eg. '--network hardhat --fork-url <RPC URL>'"
+    );
+  }
+  if (forkUrl) {
+    console.log(`Forking ${forkUrl}...`);
+    await hre.network.provider.request({
+      method: "hardhat_reset",
+      params: [{ forking: { jsonRpcUrl: forkUrl } }],
+    });
+  }
+
+  const blockNumber = await hre.ethers.provider.getBlockNumber();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const proxyAsBlacklistable = await hre.ethers.getContractAt(
+    "Blacklistable",
+    proxyAddress
+  );
+  const blacklister = await proxyAsBlacklistable.blacklister({
+    blockTag: blockNumber,
+  });
+
+  console.log(
+    `Replaying blacklist events in [${startBlockNumber}, ${blockNumber}]...`
+  );
+  const blacklistedAccounts = new Map<string, BlacklistEntry>();
+  await replayBlacklistEvents(
+    proxyAsBlacklistable,
+    startBlockNumber,
+    blockNumber,
+    blacklistedAccounts
+  );
+
+  const diff = diffBlacklists(
+    Array.from(blacklistedAccounts.keys()).map(ethers.getAddress),
+    readBlacklistFile(targetFilepath).map(ethers.getAddress)
+  );
+  console.log(
+    `${diff.added.length} accounts to blacklist, ${diff.removed.length} accounts to unblacklist, ` +
+      `${diff.unchanged.length} accounts already blacklisted`
+  );
+
+  const transactions: BlacklistTransaction[] = [
+    ...diff.added.map((account) => ({ method: "blacklist" as const, account })),
+    ...diff.removed.map((account) => ({
+      method: "unBlacklist" as const,
+      account,
+    })),
+  ].map(({ method, account }) => ({
+    to: proxyAddress,
+    value: "0",
+    data: proxyAsBlacklistable.interface.encodeFunctionData(method, [account]),
+    method,
+    account,
+  }));
+
+  const transactionsFile: BlacklistTransactionsFile = {
+    chainId: Number(chainId),
+    blockNumber,
+    proxyAddress,
+    blacklister,
+    transactions,
+  };
+  writeJsonFile(transactionsFilepath, transactionsFile);
+  console.log(`Transactions written to '${transactionsFilepath}'`);
+
+  writeJsonFile(
+    safeTransactionsFilepath,
+    toSafeTransactionBuilderFile(transactionsFile)
+  );
+  console.log(
+    `Safe transaction builder file written to '${safeTransactionsFilepath}'`
+  );
+
+  if (dryRun) {
+    await simulateTransactions(hre, proxyAsBlacklistable, transactionsFile);
+  }
+}
+
+/**
+ * Sends the transactions from the impersonated blacklister, and checks that every
+ * account ends up with the expected blacklist state. The chain state is reverted afterwards.
+ */
+async function simulateTransactions(
+  hre: HardhatRuntimeEnvironment,
+  proxyAsBlacklistable: ethers.Contract,
+  { blacklister, transactions }: BlacklistTransactionsFile
+) {
+  console.log(`\nSimulating ${transactions.length} transactions...`);
+  const snapshot = await takeSnapshot();
+  const results: DryRunResult[] = [];
+  try {
+    await impersonateAccount(blacklister);
+    await setBalance(blacklister, ethers.parseEther("100"));
+    const signer = await hre.ethers.getSigner(blacklister);
+
+    for (const { to, data, method, account } of transactions) {
+      try {
+        const tx = await signer.sendTransaction({ to, data });
+        const receipt = await tx.wait();
+        const isBlacklisted = await proxyAsBlacklistable.isBlacklisted(account);
+        results.push({
+          account,
+          method,
+          succeeded: isBlacklisted === (method === "blacklist"),
+          gasUsed: receipt?.gasUsed.toString(),
+        });
+      } catch (e) {
+        results.push({
+          account,
+          method,
+          succeeded: false,
+          error: (e as Error).message,
+        });
+      }
+    }
+  } finally {
+    await stopImpersonatingAccount(blacklister);
+    await snapshot.restore();
+  }
+
+  console.table(results);
+  const failures = results.filter((result) => !result.succeeded);
+  if (failures.length > 0) {
+    throw new Error(`${failures.length} transactions failed in the dry run!`);
+  }
+  console.log("All transactions succeeded in the dry run");
+}
+
+/**
+ * Converts the transactions to a batch file that can be loaded into the Safe transaction builder.
+ */
+function toSafeTransactionBuilderFile({
+  chainId,
+  blockNumber,
+  proxyAddress,
+  blacklister,
+  transactions,
+}: BlacklistTransactionsFile): SafeTransactionBuilderFile {
+  return {
+    version: "1.0",
+    chainId: chainId.toString(),
+    createdAt: Date.now(),
+    meta: {
+      name: "Blacklist reconciliation",
+      description: `Reconciles the blacklist of ${proxyAddress} as of block ${blockNumber}`,
+      txBuilderVersion: SAFE_TX_BUILDER_VERSION,
+      createdFromSafeAddress: blacklister,
+      createdFromOwnerAddress: "",
+    },
+    transactions: transactions.map(({ to, value, data }) => ({
+      to,
+      value,
+      data,
+      contractMethod: null,
+      contractInputsValues: null,
+    })),
+  };
+}
+
+function writeJsonFile(filePath: string, content: unknown) {
+  const indent = 2;
+  fs.writeFileSync(filePath, JSON.stringify(content, null, indent));
+}
@@ -0,0 +1,295 @@
+/**
+ * Copyright 2024 Circle Internet Group, Inc. All rights reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { readFileSync } from "fs";
+import { task } from "hardhat/config";
+import { HardhatRuntimeEnvironment } from "hardhat/types";
+import _ from "lodash";
+import path from "path";
+import { hardhatArgumentTypes } from "./hardhatArgumentTypes";
+import { execSyncWrapper, validateOptimizerRuns } from "./helpers";
+import {
+  BytecodeComparisonResult,
+  BytecodeVerificationType,
+  getCborDecodedMetadata,
+  getContractArtifact,
+  getMetadataIpfsHash,
+  TraceFormat,
+  verifyOnChainBytecode,
+} from "./verifyOnChainBytecode";
+
+type TaskArguments = {
+  contractName: string;
+  contractAddress: string;
+  libraryName?: string;
+  libraryAddress?: string;
+  isLibrary?: boolean;
+  metadataFilePath?: string;
+  contractCreationTxHash?: string;
+  useTracesForCreationBytecode?: boolean;
+  traceFormat?: TraceFormat;
+  immutableValues?: Record<string, string>;
+  optimizerRunsCandidates?: number[];
+};
+
+export enum OptimizerRunsSource {
+  Metadata = "metadata", // the metadata file, if its hash matches the CBOR metadata
+  LocalBuild = "local build", // the settings of the current local build
+  Candidates = "candidates", // the configured candidate set
+}
+
+export type OptimizerRunsResult = {
+  optimizerRuns: number;
+  source: OptimizerRunsSource;
+  equal: boolean; // if the build reproduces the on-chain bytecode
+  results: BytecodeComparisonResult[];
+};
+
+export type CompilerSettingsSearchResult = {
+  compilerVersion?: string; // decoded from the CBOR metadata of the on-chain bytecode
+  localCompilerVersion?: string;
+  optimizerRuns: OptimizerRunsResult[];
+  matchingOptimizerRuns: number[];
+};
+
+export const DEFAULT_OPTIMIZER_RUNS_CANDIDATES = [
+  200,
+  1000,
+  10000,
+  100000,
+  999999,
+  1000000,
+  10000000,
+];
+
+// Relative to the project root. Each candidate is built into its own directory, so that forge
+// only recompiles the contracts that changed since the previous search.
+const OPTIMIZER_RUNS_BUILD_DIR = path.join("cache", "optimizerRuns");
+
+task(
+  "searchCompilerSettings",
+  "Searches for the optimizer runs that reproduce the deployed bytecode on chain."
+)
+  .addParam(
+    "contractName",
+    "The name of the contract to validate",
+    undefined,
+    hardhatArgumentTypes.string
+  )
+  .addParam(
+    "contractAddress",
+    "The address of the contract to validate",
+    undefined,
+    hardhatArgumentTypes.address
+  )
+  .addOptionalParam(
+    "libraryName",
+    "The name of the library contract the main contract uses",
+    undefined,
+    hardhatArgumentTypes.string
+  )
+  .addOptionalParam(
+    "libraryAddress",
+    "The address of the library contract",
+    undefined,
+    hardhatArgumentTypes.address
+  )
+  .addOptionalParam(
+    "isLibrary",
+    "If the contract being verified is a library contract",
+    false,
+    hardhatArgumentTypes.boolean
+  )
+  .addOptionalParam(
+    "metadataFilePath",
+    "Local file path that contains the uploaded metadata. Its optimizer runs are tried first.",
+    undefined,
+    hardhatArgumentTypes.string
+  )
+  .addOptionalParam(
+    "contractCreationTxHash",
+    "Transaction hash of the contract creation transaction, to also compare the constructor code",
+    undefined,
+    hardhatArgumentTypes.string
+  )
+  .addOptionalParam(
+    "useTracesForCreationBytecode",
+    "Use transaction traces to pull the contract creation bytecode",
+    false,
+    hardhatArgumentTypes.boolean
+  )
+  .addOptionalParam(
+    "traceFormat",
+    "The format of the transaction traces used by useTracesForCreationBytecode",
+    undefined,
+    hardhatArgumentTypes.oneOf(Object.values(TraceFormat))
+  )
+  .addOptionalParam(
+    "immutableValues",
+    "JSON object mapping the AST ids of immutable variables to their expected values",
+    undefined,
+    hardhatArgumentTypes.json
+  )
+  .addOptionalParam(
+    "optimizerRunsCandidates",
+    "Comma separated optimizer runs to try after the ones derived from the metadata and the local build",
+    DEFAULT_OPTIMIZER_RUNS_CANDIDATES,
+    hardhatArgumentTypes.intList
+  )
+  .setAction(taskAction);
+
+async function taskAction(
+  taskArguments: TaskArguments,
+  hre: HardhatRuntimeEnvironment
+): Promise<void> {
+  const {
+    compilerVersion,
+    localCompilerVersion,
+    optimizerRuns,
+  } = await searchCompilerSettings(taskArguments, hre);
+
+  console.table(
+    optimizerRuns.map(({ optimizerRuns, source, equal }) => ({
+      optimizerRuns,
+      source,
+      equal,
+    }))
+  );
+  const matchingResults = optimizerRuns.filter(({ equal }) => equal);
+  if (matchingResults.length === 0) {
+    if (
+      compilerVersion &&
+      !localCompilerVersion?.startsWith(`${compilerVersion}+`)
+    ) {
+      console.warn(
+        "\x1b[33m",
+        `\nWARNING: the contract was compiled with solc ${compilerVersion}, the local build uses ${localCompilerVersion}.`
+      );
+    }
+    throw new Error(
+      "None of the optimizer runs reproduce the on-chain bytecode"
+    );
+  }
+  console.log(
+    "\x1b[32m",
+    `\noptimizer runs reproducing the on-chain bytecode: ${matchingResults
+      .map(({ optimizerRuns }) => optimizerRuns)
+      .join(", ")}`
+  );
+}
+
+/**
+ * Builds the contract with each optimizer runs candidate, and runs a partial verification of the
+ * on-chain bytecode against each build. The optimizer runs recorded in the metadata file are tried
+ * first if its hash matches the CBOR metadata of the on-chain bytecode, then the optimizer runs of
+ * the local build, then the other candidates.
+ */
+export async function searchCompilerSettings(
+  {
+    contractName,
+    contractAddress,
+    metadataFilePath,
+    optimizerRunsCandidates = DEFAULT_OPTIMIZER_RUNS_CANDIDATES,
+    ...verificationArguments
+  }: TaskArguments,
+  hre: HardhatRuntimeEnvironment
+): Promise<CompilerSettingsSearchResult> {
+  const actualRuntimeBytecode = await hre.ethers.provider.getCode(
+    contractAddress
+  );
+  if (actualRuntimeBytecode === "0x") {
+    throw new Error(`No contract deployed at ${contractAddress}`);
+  }
+  const cborMetadata = getCborDecodedMetadata(actualRuntimeBytecode);
+  const localCompilerSettings = getContractArtifact(contractName, undefined)
+    .compilerSettings;
+
+  const candidates: [number | undefined, OptimizerRunsSource][] = [];
+  if (metadataFilePath) {
+    const rawMetadata = readFileSync(
+      path.join(__dirname, "..", "..", metadataFilePath),
+      "utf-8"
+    );
+    if ((await getMetadataIpfsHash(rawMetadata)) === cborMetadata.ipfs) {
+      candidates.push([
+        JSON.parse(rawMetadata).settings?.optimizer?.runs,
+        OptimizerRunsSource.Metadata,
+      ]);
+    } else {
+      console.warn(
+        `The hash of '${metadataFilePath}' does not match the on-chain metadata hash, ignoring its settings`
+      );
+    }
+  }
+  candidates.push(
+    [localCompilerSettings?.optimizer?.runs, OptimizerRunsSource.LocalBuild],
+    ...optimizerRunsCandidates.map((runs): [number, OptimizerRunsSource] => [
+      runs,
+      OptimizerRunsSource.Candidates,
+    ])
+  );
+
+  const optimizerRuns: OptimizerRunsResult[] = [];
+  for (const [runs, source] of _.uniqBy(candidates, ([runs]) => runs)) {
+    if (runs === undefined) {
+      continue;
+    }
+    validateOptimizerRuns(runs);
+    console.log(`Building ${contractName} with ${runs} optimizer runs...`);
+    const results = await verifyOnChainBytecode(
+      {
+        ...verificationArguments,
+        contractName,
+        contractAddress,
+        verificationType: BytecodeVerificationType.Partial,
+        foundryArtifactsDir: buildWithOptimizerRuns(runs),
+      },
+      hre
+    );
+    optimizerRuns.push({
+      optimizerRuns: runs,
+      source,
+      equal: results.every(({ equal }) => equal),
+      results,
+    });
+  }
+
+  return {
+    compilerVersion: cborMetadata.solc,
+    localCompilerVersion: localCompilerSettings?.compilerVersion,
+    optimizerRuns,
+    matchingOptimizerRuns: optimizerRuns
+      .filter(({ equal }) => equal)
+      .map(({ optimizerRuns }) => optimizerRuns),
+  };
+}
+
+/**
+ * Builds the contracts with the given optimizer runs into a directory dedicated to them, and
+ * returns the directory of the foundry artifacts relative to the project root.
+ */
+function buildWithOptimizerRuns(optimizerRuns: number): string {
+  const buildDir = path.join(OPTIMIZER_RUNS_BUILD_DIR, String(optimizerRuns));
+  const projectRoot = path.join(__dirname, "..", "..");
+  execSyncWrapper(
+    `forge build --optimizer-runs ${optimizerRuns} ` +
+      `--out ${path.join(projectRoot, buildDir, "out")} ` +
+      `--cache-path ${path.join(projectRoot, buildDir, "cache")}`
+  );
+  return path.join(buildDir, "out");
+}
@@ -0,0 +1,585 @@
+/**
+ * Copyright 2024 Circle Internet Group, Inc. All rights reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from "fs";
+import path from "path";
+import { ethers } from "ethers";
+import { task } from "hardhat/config";
+import { HardhatRuntimeEnvironment } from "hardhat/types";
+import {
+  impersonateAccount,
+  setBalance,
+  setStorageAt,
+  stopImpersonatingAccount,
+  takeSnapshot,
+} from "@nomicfoundation/hardhat-network-helpers";
+import _ from "lodash";
+import { hardhatArgumentTypes } from "./hardhatArgumentTypes";
+import { readBlacklistFile } from "../../utils";
+import { readAccountStates } from "./batchReader";
+import { scanLogs } from "./helpers";
+import {
+  compareValuesSnapshots,
+  FiatTokenProxy_SLOT_ADDRESSES,
+  PRESET_FUNCTION_NAMES,
+  readAddressFromStorageSlot,
+  readValuesFromContract,
+  ValuesPreset,
+} from "./readValuesFromContract";
+import {
+  getMappingSlot,
+  getStateVariableSlot,
+  getStorageLayout,
+  readStateVariable,
+} from "./storageLayout";
+
+type TaskArguments = {
+  proxyAddress: string;
+  forkUrl?: string;
+  forkBlockNumber?: number;
+  blacklistFilepath: string;
+  newSymbol?: string;
+  upgraderOwner?: string;
+  expectedVersion?: string;
+  sampleSize: number;
+  sampleBlockRange: number;
+  reportFilepath?: string;
+  accounts: string[];
+};
+
+export type UpgradeSimulationOptions = {
+  accountsToBlacklist: string[];
+  newSymbol?: string; // defaults to the current symbol
+  upgraderOwner?: string; // the account deploying the upgrader, defaults to the first signer
+  expectedVersion?: string; // the value version() should return after the upgrade
+  accounts?: string[]; // the accounts to compare the balance of
+  allowances?: [string, string][]; // the owner and spender pairs to compare the allowance of
+};
+
+export type InvariantResult = {
+  name: string;
+  passed: boolean;
+  details: string[]; // the values violating the invariant, or the values checked
+};
+
+export type UpgradeSimulationReport = {
+  chainId: number;
+  blockNumber: number; // the block the upgrade is simulated on
+  proxyAddress: string;
+  proxyAdmin: string;
+  upgraderOwner: string;
+  implementation?: string; // the deployed FiatTokenV2_2
+  upgrader?: string; // the deployed V2_2Upgrader
+  upgradeGasUsed?: string;
+  passed: boolean;
+  invariants: InvariantResult[];
+};
+
+// Funds the upgrader needs to run its sanity tests, see V2_2Upgrader.upgrade()
+const UPGRADER_BALANCE = 2e5;
+
+task(
+  "simulateUpgrade",
+  "Rehearses the V2.2 upgrade of a FiatTokenProxy on the hardhat network, eg. on a fork with --fork-url. " +
+    "Deploys FiatTokenV2_2 and V2_2Upgrader, runs upgrade() as the impersonated proxy admin and upgrader owner, " +
+    "and checks that the totalSupply, balances, allowances, roles and blacklist are preserved, and the version is bumped. " +
+    "The chain state is reverted afterwards."
+)
+  .addParam(
+    "proxyAddress",
+    "The proxy address of the FiatToken contract",
+    undefined,
+    hardhatArgumentTypes.address
+  )
+  .addOptionalParam(
+    "forkUrl",
+    "The RPC URL of the network to fork",
+    undefined,
+    hardhatArgumentTypes.string
+  )
+  .addOptionalParam(
+    "forkBlockNumber",
+    "The block number to fork at. Defaults to the latest block.",
+    undefined,
+    hardhatArgumentTypes.int
+  )
+  .addOptionalParam(
+    "blacklistFilepath",
+    "The accounts to blacklist, in any format accepted by validateAccountsToBlacklist",
+    path.join(__dirname, "..", "..", "blacklist.remote.json"),
+    hardhatArgumentTypes.string
+  )
+  .addOptionalParam(
+    "newSymbol",
+    "The symbol set by the upgrade. Defaults to the current symbol.",
+    undefined,
+    hardhatArgumentTypes.string
+  )
+  .addOptionalParam(
+    "upgraderOwner",
+    "The account to deploy the contracts and call upgrade() from, eg. the deployer. Defaults to the first signer.",
+    undefined,
+    hardhatArgumentTypes.address
+  )
+  .addOptionalParam(
+    "expectedVersion",
+    "The value version() should return after the upgrade",
+    undefined,
+    hardhatArgumentTypes.string
+  )
+  .addOptionalParam(
+    "sampleSize",
+    "The number of accounts and allowances to sample from the recent Transfer and Approval events",
+    20,
+    hardhatArgumentTypes.int
+  )
+  .addOptionalParam(
+    "sampleBlockRange",
+    "The number of blocks to sample the Transfer and Approval events from",
+    1000,
+    hardhatArgumentTypes.int
+  )
+  .addOptionalParam(
+    "reportFilepath",
+    "Writes a JSON report of the simulation to this file",
+    undefined,
+    hardhatArgumentTypes.string
+  )
+  .addOptionalVariadicPositionalParam(
+    "accounts",
+    "Accounts to compare the balance of, in addition to the sampled accounts",
+    [],
+    hardhatArgumentTypes.address
+  )
+  .setAction(taskAction);
+
+async function taskAction(
+  {
+    proxyAddress,
+    forkUrl,
+    forkBlockNumber,
+    blacklistFilepath,
+    newSymbol,
+    upgraderOwner,
+    expectedVersion,
+    sampleSize,
+    sampleBlockRange,
+    reportFilepath,
+    accounts,
+  }: TaskArguments,
+  hre: HardhatRuntimeEnvironment
+) {
+  if (hre.network.name !== "hardhat") {
+    throw new Error(
+      "simulateUpgrade must be run on the hardhat network, eg. '--network hardhat --fork-url <RPC URL>'"
+    );
+  }
+  if (forkUrl) {
+    console.log(
+      `Forking ${forkUrl} at block ${forkBlockNumber ?? "latest"}...`
+    );
+    await hre.network.provider.request({
+      method: "hardhat_reset",
+      params: [
+        { forking: { jsonRpcUrl: forkUrl, blockNumber: forkBlockNumber } },
+      ],
+    });
+  }
+
+  const sample = await sampleAccountsFromEvents(
+    hre,
+    proxyAddress,
+    sampleSize,
+    sampleBlockRange
+  );
+  const report = await simulateUpgrade(hre, proxyAddress, {
+    accountsToBlacklist: readBlacklistFile(blacklistFilepath).map(
+      ethers.getAddress
+    ),
+    newSymbol,
+    upgraderOwner,
+    expectedVersion,
+    accounts: _.uniq([...accounts, ...sample.accounts]),
+    allowances: sample.allowances,
+  });
+
+  console.table(
+    report.invariants.map(({ name, passed, details }) => ({
+      invariant: name,
+      result: passed ? "pass" : "fail",
+      details: details.join("; "),
+    }))
+  );
+
+  if (reportFilepath) {
+    const indent = 2;
+    fs.writeFileSync(reportFilepath, JSON.stringify(report, null, indent));
+    console.log(`\nReport written to '${reportFilepath}'`);
+  }
+
+  if (!report.passed) {
+    throw new Error(
+      `Upgrade simulation failed: ${
+        report.invariants.filter(({ passed }) => !passed).length
+      } invariants violated`
+    );
+  }
+  console.log("Upgrade simulation passed");
+}
+
+/**
+ * Runs a V2_2Upgrader upgrade of a FiatTokenProxy on the hardhat network, and checks the state
+ * of the proxy before and after the upgrade. The chain state is reverted afterwards.
+ *
+ * The upgrader is funded by writing its balance to storage, without changing the totalSupply.
+ * The funds are moved to the upgrader owner by upgrade(), so its balance is not compared.
+ */
+export async function simulateUpgrade(
+  hre: HardhatRuntimeEnvironment,
+  proxyAddress: string,
+  options: UpgradeSimulationOptions
+): Promise<UpgradeSimulationReport> {
+  const blockNumber = await hre.ethers.provider.getBlockNumber();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const proxyAdmin = await readAddressFromStorageSlot(
+    hre,
+    proxyAddress,
+    FiatTokenProxy_SLOT_ADDRESSES.admin,
+    blockNumber
+  );
+  const upgraderOwner =
+    options.upgraderOwner ?? (await hre.ethers.getSigners())[0].address;
+  const accounts = (options.accounts ?? []).filter(
+    (account) => account.toLowerCase() !== upgraderOwner.toLowerCase()
+  );
+  const functionCalls = [
+    "totalSupply",
+    "version",
+    ...PRESET_FUNCTION_NAMES[ValuesPreset.Roles],
+    ...accounts.map((account) => `balanceOf(${account})`),
+    ...(options.allowances ?? []).map(
+      ([owner, spender]) => `allowance(${owner},${spender})`
+    ),
+  ];
+  const layout = getStorageLayout("FiatTokenV2_2");
+  const readInitializedVersion = (blockTag?: number) =>
+    readStateVariable(
+      hre,
+      proxyAddress,
+      layout,
+      "_initializedVersion",
+      [],
+      blockTag
+    );
+
+  const report: UpgradeSimulationReport = {
+    chainId: Number(chainId),
+    blockNumber,
+    proxyAddress,
+    proxyAdmin,
+    upgraderOwner,
+    passed: false,
+    invariants: [],
+  };
+
+  console.log(
+    `Reading the state of ${proxyAddress} at block ${blockNumber}...`
+  );
+  const valuesBefore = await readValuesFromContract(
+    hre,
+    "FiatTokenV2_1",
+    proxyAddress,
+    functionCalls,
+    blockNumber
+  );
+  const blacklistedBefore = (
+    await readAccountStates(
+      hre,
+      proxyAddress,
+      _.uniq([...options.accountsToBlacklist, ...accounts]),
+      { blockTag: blockNumber }
+    )
+  )
+    .filter(({ isBlacklisted }) => isBlacklisted)
+    .map(({ address }) => address);
+  const initializedVersionBefore = await readInitializedVersion(blockNumber);
+
+  const snapshot = await takeSnapshot();
+  try {
+    for (const account of [proxyAdmin, upgraderOwner]) {
+      await impersonateAccount(account);
+      await setBalance(account, ethers.parseEther("100"));
+    }
+    const adminSigner = await hre.ethers.getSigner(proxyAdmin);
+    const ownerSigner = await hre.ethers.getSigner(upgraderOwner);
+
+    console.log("Deploying FiatTokenV2_2 and V2_2Upgrader...");
+    const signatureChecker = await hre.ethers.deployContract(
+      "SignatureChecker",
+      ownerSigner
+    );
+    const implementation = await hre.ethers.deployContract("FiatTokenV2_2", {
+      signer: ownerSigner,
+      libraries: { SignatureChecker: await signatureChecker.getAddress() },
+    });
+    const upgrader = await hre.ethers.deployContract(
+      "V2_2Upgrader",
+      [
+        proxyAddress,
+        await implementation.getAddress(),
+        proxyAdmin,
+        options.accountsToBlacklist,
+        options.newSymbol ?? (await readSymbol(hre, proxyAddress)),
+      ],
+      ownerSigner
+    );
+    report.implementation = await implementation.getAddress();
+    report.upgrader = await upgrader.getAddress();
+
+    await setStorageAt(
+      proxyAddress,
+      getMappingSlot(
+        "address",
+        report.upgrader,
+        getStateVariableSlot(layout, "balanceAndBlacklistStates")
+      ),
+      UPGRADER_BALANCE
+    );
+    const proxy = await hre.ethers.getContractAt(
+      "FiatTokenProxy",
+      proxyAddress
+    );
+    await proxy.connect(adminSigner).getFunction("changeAdmin")(
+      report.upgrader
+    );
+
+    console.log("Running upgrade()...");
+    try {
+      const receipt = await (
+        await upgrader.connect(ownerSigner).getFunction("upgrade")()
+      ).wait();
+      report.upgradeGasUsed = receipt?.gasUsed.toString();
+      report.invariants.push({
+        name: "upgrade() succeeds",
+        passed: true,
+        details: [`gas used: ${report.upgradeGasUsed}`],
+      });
+    } catch (e) {
+      report.invariants.push({
+        name: "upgrade() succeeds",
+        passed: false,
+        details: [(e as Error).message],
+      });
+      return report;
+    }
+
+    console.log("Checking the invariants...");
+    const valuesAfter = await readValuesFromContract(
+      hre,
+      "FiatTokenV2_2",
+      proxyAddress,
+      functionCalls
+    );
+    report.invariants.push(
+      ...checkValueInvariants(
+        compareValuesSnapshots(valuesBefore, valuesAfter),
+        valuesAfter.values.implementation as string,
+        report.implementation
+      )
+    );
+
+    const notBlacklisted = (
+      await readAccountStates(
+        hre,
+        proxyAddress,
+        _.uniq([...blacklistedBefore, ...options.accountsToBlacklist])
+      )
+    )
+      .filter(({ isBlacklisted }) => !isBlacklisted)
+      .map(({ address }) => `${address} is not blacklisted`);
+    report.invariants.push({
+      name: "blacklisted accounts still blacklisted",
+      passed: notBlacklisted.length === 0,
+      details: notBlacklisted,
+    });
+
+    const initializedVersionAfter = await readInitializedVersion();
+    const versionBefore = valuesBefore.values.version;
+    const versionAfter = valuesAfter.values.version;
+    report.invariants.push({
+      name: "version bumped",
+      passed:
+        (initializedVersionAfter as bigint) >
+          (initializedVersionBefore as bigint) &&
+        (options.expectedVersion === undefined ||
+          versionAfter === options.expectedVersion),
+      details: [
+        `_initializedVersion: ${initializedVersionBefore} -> ${initializedVersionAfter}`,
+        `version(): ${JSON.stringify(versionBefore)} -> ${JSON.stringify(
+          versionAfter
+        )}`,
+      ],
+    });
+  } finally {
+    for (const account of [proxyAdmin, upgraderOwner]) {
+      await stopImpersonatingAccount(account);
+    }
+    await snapshot.restore();
+  }
+
+  report.passed = report.invariants.every(({ passed }) => passed);
+  return report;
+}
+
+/**
+ * Checks the values read with readValuesFromContract before and after the upgrade.
+ * Only the implementation is expected to change.
+ */
+function checkValueInvariants(
+  differences: ReturnType<typeof compareValuesSnapshots>,
+  implementation: string,
+  expectedImplementation: string
+): InvariantResult[] {
+  const describeDifferences = (filter: (functionCall: string) => boolean) =>
+    differences
+      .filter(({ functionCall }) => filter(functionCall))
+      .map(
+        ({ functionCall, snapshotValue, value }) =>
+          `${functionCall}: ${JSON.stringify(
+            snapshotValue
+          )} -> ${JSON.stringify(value)}`
+      );
+  const roleFunctionNames = PRESET_FUNCTION_NAMES[ValuesPreset.Roles].filter(
+    (functionName) => functionName !== "implementation"
+  );
+
+  const describedDifferences: [string, string[]][] = [
+    [
+      "totalSupply unchanged",
+      describeDifferences((functionCall) => functionCall === "totalSupply"),
+    ],
+    [
+      "balances preserved",
+      describeDifferences((functionCall) =>
+        functionCall.startsWith("balanceOf(")
+      ),
+    ],
+    [
+      "allowances preserved",
+      describeDifferences((functionCall) =>
+        functionCall.startsWith("allowance(")
+      ),
+    ],
+    [
+      "roles preserved",
+      describeDifferences((functionCall) =>
+        roleFunctionNames.includes(functionCall)
+      ),
+    ],
+  ];
+
+  return [
+    {
+      name: "implementation upgraded",
+      passed:
+        implementation.toLowerCase() === expectedImplementation.toLowerCase(),
+      details: [`implementation: ${implementation}`],
+    },
+    ...describedDifferences.map(([name, details]) => ({
+      name,
+      passed: details.length === 0,
+      details,
+    })),
+  ];
+}
+
+/**
+ * Samples accounts from the Transfer events, and owner and spender pairs from the Approval
+ * events emitted by a FiatToken in the last sampleBlockRange blocks.
+ */
+async function sampleAccountsFromEvents(
+  hre: HardhatRuntimeEnvironment,
+  proxyAddress: string,
+  sampleSize: number,
+  sampleBlockRange: number
+): Promise<{ accounts: string[]; allowances: [string, string][] }> {
+  const proxyAsFiatToken = await hre.ethers.getContractAt(
+    "FiatTokenV2_1",
+    proxyAddress
+  );
+  const toBlockNumber = await hre.ethers.provider.getBlockNumber();
+  const fromBlockNumber = Math.max(0, toBlockNumber - sampleBlockRange + 1);
+
+  const accounts = new Set<string>();
+  const allowances = new Map<string, [string, string]>();
+  await scanLogs(
+    (chunkFromBlockNumber, chunkToBlockNumber) =>
+      hre.ethers.provider.getLogs({
+        address: proxyAddress,
+        topics: [
+          [
+            ethers.id("Transfer(address,address,uint256)"),
+            ethers.id("Approval(address,address,uint256)"),
+          ],
+        ],
+        fromBlock: chunkFromBlockNumber,
+        toBlock: chunkToBlockNumber,
+      }),
+    fromBlockNumber,
+    toBlockNumber,
+    (logs) => {
+      for (const log of logs) {
+        const event = proxyAsFiatToken.interface.parseLog(log);
+        if (event?.name === "Transfer") {
+          accounts.add(event.args.from);
+          accounts.add(event.args.to);
+        } else if (event?.name === "Approval") {
+          allowances.set(`${event.args.owner},${event.args.spender}`, [
+            event.args.owner,
+            event.args.spender,
+          ]);
+        }
+      }
+    },
+    { chunkDelayMs: 0 }
+  );
+  accounts.delete(ethers.ZeroAddress);
+
+  console.log(
+    `Sampled ${Math.min(sampleSize, accounts.size)} of ${
+      accounts.size
+    } accounts and ${Math.min(sampleSize, allowances.size)} of ${
+      allowances.size
+    } allowances in [${fromBlockNumber}, ${toBlockNumber}]`
+  );
+  return {
+    accounts: _.sampleSize(Array.from(accounts), sampleSize),
+    allowances: _.sampleSize(Array.from(allowances.values()), sampleSize),
+  };
+}
+
+async function readSymbol(
+  hre: HardhatRuntimeEnvironment,
+  proxyAddress: string
+): Promise<string> {
+  const proxyAsFiatToken = await hre.ethers.getContractAt(
+    "FiatTokenV2_1",
+    proxyAddress
+  );
+  return proxyAsFiatToken.symbol();
+}
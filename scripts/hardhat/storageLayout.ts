@@ -0,0 +1,377 @@
+/**
+ * Copyright 2024 Circle Internet Group, Inc. All rights reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {
+  AbiCoder,
+  BlockTag,
+  fromTwos,
+  getAddress,
+  keccak256,
+  toBeHex,
+  toUtf8String,
+} from "ethers";
+import { readFileSync } from "fs";
+import { HardhatRuntimeEnvironment } from "hardhat/types";
+import _ from "lodash";
+import path from "path";
+
+// Storage layout as output by solc, @see {@link https://docs.soliditylang.org/en/v0.6.12/miscellaneous.html#json-output}
+export type StorageLayoutEntry = {
+  astId: number;
+  contract: string; // "<source path>:<contract name>" of the contract declaring the variable
+  label: string;
+  offset: number; // in bytes, from the lower-order end of the slot
+  slot: string;
+  type: string; // key of the type in StorageLayout.types
+};
+
+export type StorageLayoutType = {
+  encoding: "inplace" | "mapping" | "dynamic_array" | "bytes";
+  label: string;
+  numberOfBytes: string;
+  key?: string; // for mappings
+  value?: string; // for mappings
+  base?: string; // for arrays
+  members?: StorageLayoutEntry[]; // for structs
+};
+
+export type StorageLayout = {
+  storage: StorageLayoutEntry[];
+  types: Record<string, StorageLayoutType> | null; // null if the contract has no state variables
+};
+
+export type StorageValue = string | boolean | bigint;
+
+/**
+ * Reads the storage layout of a contract from its foundry artifact. Requires
+ * `extra-output = ["storageLayout"]` in foundry.toml.
+ */
+export function getStorageLayout(contractName: string): StorageLayout {
+  const foundryContractArtifact = JSON.parse(
+    readFileSync(
+      path.join(
+        __dirname,
+        "..",
+        "..",
+        "artifacts",
+        "foundry",
+        `${contractName}.sol`,
+        `${contractName}.json`
+      ),
+      "utf-8"
+    )
+  );
+  if (!foundryContractArtifact.storageLayout) {
+    throw new Error(
+      `Storage layout not found in the ${contractName} artifact, rebuild the contracts with forge build`
+    );
+  }
+  return foundryContractArtifact.storageLayout;
+}
+
+/**
+ * Returns the slot of the value of a mapping at the given slot for a value type key.
+ */
+export function getMappingSlot(
+  keyType: string,
+  key: string,
+  slot: bigint
+): bigint {
+  return BigInt(
+    keccak256(
+      AbiCoder.defaultAbiCoder().encode([keyType, "uint256"], [key, slot])
+    )
+  );
+}
+
+/**
+ * Returns the slot of a state variable in a storage layout.
+ */
+export function getStateVariableSlot(
+  layout: StorageLayout,
+  label: string
+): bigint {
+  return BigInt(findStateVariable(layout, label).slot);
+}
+
+/**
+ * Reads a state variable of a contract from storage, using its storage layout. The keys of
+ * a mapping must be given in order, eg. `[owner, spender]` for `allowed[owner][spender]`.
+ * Structs and arrays are not supported.
+ */
+export async function readStateVariable(
+  hre: HardhatRuntimeEnvironment,
+  contractAddress: string,
+  layout: StorageLayout,
+  label: string,
+  keys: string[] = [],
+  blockTag?: BlockTag
+): Promise<StorageValue> {
+  const entry = findStateVariable(layout, label);
+  if (!layout.types) {
+    throw new Error(`State variable ${label} not found in the storage layout`);
+  }
+  const readSlot = async (slot: bigint) =>
+    hre.ethers.provider.getStorage(contractAddress, slot, blockTag);
+
+  let slot = BigInt(entry.slot);
+  let type = layout.types[entry.type];
+  const remainingKeys = [...keys];
+  while (type.encoding === "mapping") {
+    const key = remainingKeys.shift();
+    if (key === undefined || !type.key || !type.value) {
+      throw new Error(`Missing key for ${type.label} ${label}`);
+    }
+    slot = getMappingSlot(layout.types[type.key].label, key, slot);
+    type = layout.types[type.value];
+  }
+  if (remainingKeys.length > 0) {
+    throw new Error(`Too many keys for ${label}`);
+  }
+
+  switch (type.encoding) {
+    case "inplace":
+      return decodeInplaceValue(
+        await readSlot(slot),
+        entry.offset,
+        Number(type.numberOfBytes),
+        type.label
+      );
+    case "bytes": {
+      const data = await readBytes(slot, readSlot);
+      return type.label === "string" ? toUtf8String(data) : data;
+    }
+    default:
+      throw new Error(
+        `Unsupported storage encoding ${type.encoding} of ${type.label} ${label}`
+      );
+  }
+}
+
+/**
+ * Decodes a value type stored at the given byte offset of a slot.
+ */
+function decodeInplaceValue(
+  slotValue: string,
+  offset: number,
+  numberOfBytes: number,
+  typeLabel: string
+): StorageValue {
+  const bits = BigInt(numberOfBytes * 8);
+  const value =
+    (BigInt(slotValue) >> BigInt(offset * 8)) &
+    ((BigInt(1) << bits) - BigInt(1));
+
+  if (typeLabel === "address" || typeLabel.startsWith("contract ")) {
+    return getAddress(toBeHex(value, 20));
+  }
+  if (typeLabel === "bool") {
+    return value !== BigInt(0);
+  }
+  if (/^uint\d+$/.test(typeLabel) || typeLabel.startsWith("enum ")) {
+    return value;
+  }
+  if (/^int\d+$/.test(typeLabel)) {
+    return fromTwos(value, bits);
+  }
+  if (/^bytes\d+$/.test(typeLabel)) {
+    return toBeHex(value, numberOfBytes);
+  }
+  throw new Error(`Unsupported type ${typeLabel}`);
+}
+
+/**
+ * Reads a string or bytes value. Values shorter than 32 bytes are stored in the slot along with
+ * their length * 2, longer values are stored from keccak256(slot) with their length * 2 + 1 in the slot.
+ * @see {@link https://docs.soliditylang.org/en/v0.6.12/internals/layout_in_storage.html#bytes-and-string}
+ */
+async function readBytes(
+  slot: bigint,
+  readSlot: (slot: bigint) => Promise<string>
+): Promise<string> {
+  const slotValue = await readSlot(slot);
+  const lengthValue = BigInt(slotValue);
+  if ((lengthValue & BigInt(1)) === BigInt(0)) {
+    const length = Number(lengthValue & BigInt(0xff)) / 2;
+    return "0x" + slotValue.slice(2, 2 + length * 2);
+  }
+
+  const length = Number((lengthValue - BigInt(1)) / BigInt(2));
+  const dataSlot = BigInt(keccak256(toBeHex(slot, 32)));
+  const words = await Promise.all(
+    Array.from({ length: Math.ceil(length / 32) }, (_, i) =>
+      readSlot(dataSlot + BigInt(i))
+    )
+  );
+  return (
+    "0x" +
+    words
+      .map((word) => word.slice(2))
+      .join("")
+      .slice(0, length * 2)
+  );
+}
+
+export enum StorageLayoutProblemType {
+  Removed = "removed",
+  Reordered = "reordered",
+  Retyped = "retyped",
+  RenamedAndRetyped = "renamed and retyped",
+  Inserted = "inserted", // eg. by a base contract inserted in the inheritance chain
+  Renamed = "renamed", // compatible, eg. when a variable is deprecated
+}
+
+export type StorageLayoutProblem = {
+  type: StorageLayoutProblemType;
+  label: string; // the variable in the previous layout, or the inserted variable
+  previous?: string; // "<label> <type> at slot <slot>, offset <offset>" in the previous layout
+  current?: string; // same in the current layout
+};
+
+/**
+ * Compares the storage layout of a new implementation with the layout of the previous one.
+ * Variables are matched by their position and label, and their types are compared structurally
+ * since type identifiers contain AST ids. Every problem other than a rename breaks the upgrade.
+ */
+export function compareStorageLayouts(
+  previousLayout: StorageLayout,
+  currentLayout: StorageLayout
+): StorageLayoutProblem[] {
+  const describe = (layout: StorageLayout, entry: StorageLayoutEntry) =>
+    `${entry.label} ${describeType(layout, entry.type)} at slot ${
+      entry.slot
+    }, offset ${entry.offset}`;
+  const isAtPosition = (entry: StorageLayoutEntry, other: StorageLayoutEntry) =>
+    entry.slot === other.slot && entry.offset === other.offset;
+
+  const problems: StorageLayoutProblem[] = [];
+  for (const previousEntry of previousLayout.storage) {
+    const entryAtPosition = currentLayout.storage.find((entry) =>
+      isAtPosition(entry, previousEntry)
+    );
+    const entryWithLabel = currentLayout.storage.find(
+      (entry) => entry.label === previousEntry.label
+    );
+    const previous = describe(previousLayout, previousEntry);
+
+    let type: StorageLayoutProblemType | undefined;
+    let currentEntry: StorageLayoutEntry | undefined;
+    if (entryAtPosition?.label === previousEntry.label) {
+      currentEntry = entryAtPosition;
+      if (
+        describeType(previousLayout, previousEntry.type) !==
+        describeType(currentLayout, currentEntry.type)
+      ) {
+        type = StorageLayoutProblemType.Retyped;
+      }
+    } else if (entryWithLabel) {
+      currentEntry = entryWithLabel;
+      type = StorageLayoutProblemType.Reordered;
+    } else if (entryAtPosition) {
+      currentEntry = entryAtPosition;
+      type =
+        describeType(previousLayout, previousEntry.type) ===
+        describeType(currentLayout, currentEntry.type)
+          ? StorageLayoutProblemType.Renamed
+          : StorageLayoutProblemType.RenamedAndRetyped;
+    } else {
+      type = StorageLayoutProblemType.Removed;
+    }
+
+    if (type) {
+      problems.push({
+        type,
+        label: previousEntry.label,
+        previous,
+        current: currentEntry && describe(currentLayout, currentEntry),
+      });
+    }
+  }
+
+  // New variables must be appended after the last variable of the previous layout
+  const lastPreviousEntry = _.last(previousLayout.storage);
+  const previousLabels = new Set(
+    previousLayout.storage.map(({ label }) => label)
+  );
+  const currentLabels = new Set(
+    currentLayout.storage.map(({ label }) => label)
+  );
+  for (const entry of currentLayout.storage) {
+    // Variables taking the position of a variable that no longer exists are renames
+    const isNew =
+      !previousLabels.has(entry.label) &&
+      !previousLayout.storage.some(
+        (previousEntry) =>
+          isAtPosition(entry, previousEntry) &&
+          !currentLabels.has(previousEntry.label)
+      );
+    if (
+      isNew &&
+      lastPreviousEntry &&
+      (BigInt(entry.slot) < BigInt(lastPreviousEntry.slot) ||
+        (entry.slot === lastPreviousEntry.slot &&
+          entry.offset < lastPreviousEntry.offset))
+    ) {
+      problems.push({
+        type: StorageLayoutProblemType.Inserted,
+        label: entry.label,
+        current: describe(currentLayout, entry),
+      });
+    }
+  }
+  return problems;
+}
+
+/**
+ * Describes a type without its AST ids, eg. "mapping(address => mapping(address => uint256))".
+ */
+function describeType(layout: StorageLayout, typeId: string): string {
+  const type = layout.types?.[typeId];
+  if (!type) {
+    return typeId;
+  }
+  switch (type.encoding) {
+    case "mapping":
+      return `mapping(${describeType(
+        layout,
+        type.key as string
+      )} => ${describeType(layout, type.value as string)})`;
+    case "dynamic_array":
+      return `${describeType(layout, type.base as string)}[]`;
+    default:
+      if (type.members) {
+        return `${type.label} { ${type.members
+          .map(
+            (member) => `${describeType(layout, member.type)} ${member.label}`
+          )
+          .join("; ")} }`;
+      }
+      return type.label;
+  }
+}
+
+function findStateVariable(
+  layout: StorageLayout,
+  label: string
+): StorageLayoutEntry {
+  const entry = layout.storage.find((entry) => entry.label === label);
+  if (!entry) {
+    throw new Error(`State variable ${label} not found in the storage layout`);
+  }
+  return entry;
+}
@@ -16,28 +16,73 @@
  * limitations under the License.
  */
 
+import fs from "fs";
 import { task } from "hardhat/config";
 import { hardhatArgumentTypes } from "./hardhatArgumentTypes";
 
 import { HardhatRuntimeEnvironment } from "hardhat/types";
 import _ from "lodash";
 import path from "path";
-import { readBlacklistFile } from "../../utils";
+import { streamBlacklistFile } from "../../utils";
 import { ethers } from "ethers";
+import { AccountState, readAccountStates } from "./batchReader";
 
 type TaskArguments = {
+  blacklistFilepath: string;
   proxyAddress?: string;
-  v2_2UpgraderAddress?: string;
+  upgraderAddress?: string;
   datasourceFilepath?: string;
+  batchSize: number;
+  concurrency: number;
+  includeBalances: boolean;
+  reportFilepath?: string;
 };
 
+export type AccountsArrayComparison = {
+  source: string; // file path or contract address the accounts were retrieved from
+  passed: boolean;
+  expectedCount: number;
+  actualCount: number;
+  missing: string[]; // accounts in the blacklist file only
+  unexpected: string[]; // accounts in the source only
+  duplicates: string[]; // accounts listed more than once in the source
+};
+
+export type ProxyComparison = {
+  proxyAddress: string;
+  passed: boolean;
+  checkedCount: number;
+  notBlacklisted: Omit<AccountState, "isBlacklisted">[];
+};
+
+export type ValidationReport = {
+  chainId: number;
+  blockNumber: number;
+  blacklistFilepath: string;
+  accountCount: number;
+  passed: boolean;
+  datasource?: AccountsArrayComparison;
+  upgrader?: AccountsArrayComparison;
+  proxy?: ProxyComparison;
+};
+
+const accountsToBlacklistAbi = [
+  "function accountsToBlacklist() view returns (address[])",
+];
+
 task(
   "validateAccountsToBlacklist",
-  "Validates blacklist.remote.json by checking that " +
+  "Validates blacklist.remote.json (or any other blacklist file) by checking that " +
     "it matches with addresses retrieved from a separate datasource " +
-    "and/or it matches with V2_2Upgrader.accountsToBlacklist() " +
+    "and/or it matches with accountsToBlacklist() on an upgrader contract, eg. V2_2Upgrader " +
     "and/or the list of addresses are currently blacklisted on FiatTokenProxy."
 )
+  .addOptionalParam(
+    "blacklistFilepath",
+    "The blacklist file to validate. Accepts a JSON array of addresses, a JSON file with provenance, or a CSV file.",
+    path.join(__dirname, "..", "..", "blacklist.remote.json"),
+    hardhatArgumentTypes.string
+  )
   .addOptionalParam(
     "proxyAddress",
     "The proxy address of the FiatToken contract. Runs comparison if set.",
@@ -46,26 +91,67 @@ task(
   )
   .addOptionalParam(
     "upgraderAddress",
-    "The contract address of the deployed V2_2Upgrader. Runs comparison if set.",
+    "The address of a deployed contract exposing accountsToBlacklist(), eg. V2_2Upgrader. Runs comparison if set.",
     undefined,
     hardhatArgumentTypes.address
   )
   .addOptionalParam(
     "datasourceFilepath",
-    "The JSON file containing an array of addresses retrieved from a separate datasource. Runs comparison if set.",
+    "The file containing the addresses retrieved from a separate datasource, in any format accepted by blacklistFilepath. Runs comparison if set.",
     undefined,
     hardhatArgumentTypes.inputFile
   )
+  .addOptionalParam(
+    "batchSize",
+    "The number of accounts to check per JSON-RPC batch request when comparing with the FiatTokenProxy",
+    100,
+    hardhatArgumentTypes.int
+  )
+  .addOptionalParam(
+    "concurrency",
+    "The number of batch requests to send in parallel when comparing with the FiatTokenProxy",
+    4,
+    hardhatArgumentTypes.int
+  )
+  .addFlag(
+    "includeBalances",
+    "Also reads the balance of every account when comparing with the FiatTokenProxy"
+  )
+  .addOptionalParam(
+    "reportFilepath",
+    "Writes a JSON report of all comparisons to this file",
+    undefined,
+    hardhatArgumentTypes.string
+  )
   .setAction(taskAction);
 
 async function taskAction(
-  { proxyAddress, v2_2UpgraderAddress, datasourceFilepath }: TaskArguments,
+  {
+    blacklistFilepath,
+    proxyAddress,
+    upgraderAddress,
+    datasourceFilepath,
+    batchSize,
+    concurrency,
+    includeBalances,
+    reportFilepath,
+  }: TaskArguments,
   hre: HardhatRuntimeEnvironment
 ) {
   console.log("Validation started");
-  const expectedAccountsToBlacklist = readBlacklistFile(
-    path.join(__dirname, "..", "..", "blacklist.remote.json")
+  const expectedAccountsToBlacklist = await readAccountsFromFile(
+    blacklistFilepath
   );
+  const blockNumber = await hre.ethers.provider.getBlockNumber();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
+  const report: ValidationReport = {
+    chainId: Number(chainId),
+    blockNumber,
+    blacklistFilepath,
+    accountCount: expectedAccountsToBlacklist.length,
+    passed: true,
+  };
 
   // ==== Local state == Datasource's state
   if (datasourceFilepath) {
@@ -74,100 +160,193 @@ async function taskAction(
       `>> Expecting ${expectedAccountsToBlacklist.length} accounts to blacklist`
     );
 
-    const accountsFromDatasource = readBlacklistFile(datasourceFilepath);
+    const accountsFromDatasource = await readAccountsFromFile(
+      datasourceFilepath
+    );
     console.log(
       `>> Retrieved ${accountsFromDatasource.length} accounts from datasource`
     );
     console.log(">> Verifying accounts...");
-    verifyAccountsArrays(expectedAccountsToBlacklist, accountsFromDatasource);
-    console.log(">> All accounts verified!");
+    report.datasource = compareAccountsArrays(
+      datasourceFilepath,
+      expectedAccountsToBlacklist,
+      accountsFromDatasource
+    );
   }
 
   // ==== Local state == Upgrader state
-  if (v2_2UpgraderAddress) {
-    console.log("\nComparing local state with deployed V2_2Upgrader...");
-    const v2_2Upgrader = await hre.ethers.getContractAt(
-      "V2_2Upgrader",
-      v2_2UpgraderAddress
+  if (upgraderAddress) {
+    console.log("\nComparing local state with deployed upgrader...");
+    const upgrader = await hre.ethers.getContractAt(
+      accountsToBlacklistAbi,
+      upgraderAddress
     );
-    const accountsFromUpgrader = await v2_2Upgrader.accountsToBlacklist();
+    const accountsFromUpgrader: string[] = await upgrader.accountsToBlacklist({
+      blockTag: blockNumber,
+    });
     console.log(
-      `>> Retrieved ${accountsFromUpgrader.length} accounts from v2_2Upgrader`
+      `>> Retrieved ${accountsFromUpgrader.length} accounts from upgrader`
     );
 
     console.log(">> Verifying accounts...");
-    verifyAccountsArrays(expectedAccountsToBlacklist, accountsFromUpgrader);
-    console.log(">> All accounts verified!");
+    report.upgrader = compareAccountsArrays(
+      upgraderAddress,
+      expectedAccountsToBlacklist,
+      accountsFromUpgrader
+    );
   }
 
   // ==== Every account blacklisted
   if (proxyAddress) {
     console.log("\nComparing local state with deployed FiatTokenProxy...");
     console.log(">> Validating that all accountsToBlacklist are blacklisted");
-    const proxyAsV2_1 = await hre.ethers.getContractAt(
-      "FiatTokenV2_1",
-      proxyAddress
-    );
-
-    for (let i = 0; i < expectedAccountsToBlacklist.length; i++) {
-      if (i % 5 === 0) {
-        console.log(
-          `>> Verified ${i}/${expectedAccountsToBlacklist.length} accounts`
-        );
+    const accountStates = await readAccountStates(
+      hre,
+      proxyAddress,
+      expectedAccountsToBlacklist,
+      {
+        blockTag: blockNumber,
+        batchSize,
+        concurrency,
+        includeBalances,
+        onProgress: (readCount, totalCount) =>
+          console.log(`>> Verified ${readCount}/${totalCount} accounts`),
       }
+    );
 
-      const account = expectedAccountsToBlacklist[i];
-      if (!(await proxyAsV2_1.isBlacklisted(account))) {
-        throw new Error(`Account '${account}' is not currently blacklisted!`);
-      }
+    const notBlacklisted = accountStates
+      .filter((state) => !state.isBlacklisted)
+      .map(({ address, balance }) => ({ address, balance }));
+    report.proxy = {
+      proxyAddress,
+      passed: notBlacklisted.length === 0,
+      checkedCount: accountStates.length,
+      notBlacklisted,
+    };
+    if (notBlacklisted.length > 0) {
+      console.log(
+        `>> ${notBlacklisted.length} accounts are not currently blacklisted!`
+      );
+      console.table(
+        notBlacklisted.map(({ address, balance }) => ({
+          address,
+          ...(includeBalances && { balance: balance?.toString() }),
+        }))
+      );
+    } else {
+      console.log(">> All accounts verified!");
     }
-    console.log(">> All accounts verified!");
   }
 
+  report.passed = [report.datasource, report.upgrader, report.proxy].every(
+    (comparison) => !comparison || comparison.passed
+  );
+
+  if (reportFilepath) {
+    const indent = 2;
+    fs.writeFileSync(
+      reportFilepath,
+      JSON.stringify(
+        report,
+        (_key, value) => (typeof value === "bigint" ? value.toString() : value),
+        indent
+      )
+    );
+    console.log(`\nReport written to '${reportFilepath}'`);
+  }
+
+  if (!report.passed) {
+    throw new Error("Validation failed!");
+  }
   console.log("Validation completed");
 }
 
 /**
- * Verifies that two accounts array are both unique, and equal to each other.
+ * Reads the unique checksum addresses in a blacklist file, reporting every invalid entry.
  */
-function verifyAccountsArrays(
-  accountsArray: string[],
-  otherAccountsArray: string[]
-) {
-  console.log(`>> Converting to checksum addresses`);
-  accountsArray = accountsArray.map(ethers.getAddress);
-  otherAccountsArray = otherAccountsArray.map(ethers.getAddress);
+async function readAccountsFromFile(filepath: string): Promise<string[]> {
+  const accounts: string[] = [];
+  const invalidEntries: string[] = [];
+  for await (const account of streamBlacklistFile(filepath, {
+    onInvalidEntry: ({ value, index, line }) =>
+      invalidEntries.push(`'${value}' at index ${index} (line ${line})`),
+  })) {
+    accounts.push(account);
+  }
+  if (invalidEntries.length > 0) {
+    throw new Error(
+      `${
+        invalidEntries.length
+      } invalid addresses in '${filepath}': ${invalidEntries.join(", ")}`
+    );
+  }
+  return accounts;
+}
 
-  // Check for duplicates.
-  console.log(`>> Checking for duplicates in accountsArray`);
-  verifyUnique(accountsArray);
+/**
+ * Compares an accounts array retrieved from a source against the expected accounts,
+ * and logs the accounts that are missing, unexpected or duplicated.
+ */
+export function compareAccountsArrays(
+  source: string,
+  expectedAccounts: string[],
+  actualAccounts: string[]
+): AccountsArrayComparison {
+  const checksumAddresses = actualAccounts.map(ethers.getAddress);
+  const expectedAccountSet = new Set(expectedAccounts);
+  const actualAccountSet = new Set(checksumAddresses);
 
-  console.log(`>> Checking for duplicates in otherAccountsArray`);
-  verifyUnique(otherAccountsArray);
+  const missing = _.uniq(
+    expectedAccounts.filter((account) => !actualAccountSet.has(account))
+  );
+  const unexpected = _.uniq(
+    checksumAddresses.filter((account) => !expectedAccountSet.has(account))
+  );
+  const duplicates = findDuplicates(checksumAddresses).map(ethers.getAddress);
+  const passed =
+    expectedAccounts.length === checksumAddresses.length &&
+    missing.length === 0 &&
+    unexpected.length === 0 &&
+    duplicates.length === 0;
 
-  // Check array equality.
-  console.log(`>> Checking for array equality`);
-  if (accountsArray.length !== otherAccountsArray.length) {
-    throw new Error(
-      `Arrays have different lengths! Expected: ${accountsArray.length}, Actual: ${otherAccountsArray.length}`
+  if (passed) {
+    console.log(">> All accounts verified!");
+  } else {
+    console.log(
+      `>> Expected ${expectedAccounts.length} accounts, retrieved ${checksumAddresses.length}: ` +
+        `${missing.length} missing, ${unexpected.length} unexpected, ${duplicates.length} duplicates`
     );
   }
-  for (const account of otherAccountsArray) {
-    if (!accountsArray.includes(account)) {
-      throw new Error(`Account '${account}' not found in accountsArray!`);
-    }
-  }
+
+  return {
+    source,
+    passed,
+    expectedCount: expectedAccounts.length,
+    actualCount: checksumAddresses.length,
+    missing,
+    unexpected,
+    duplicates,
+  };
+}
+
+/**
+ * Converts an accounts array to checksum addresses, and verifies that it is unique.
+ */
+export function toUniqueChecksumAddresses(accountsArray: string[]): string[] {
+  console.log(`>> Converting to checksum addresses`);
+  const checksumAddresses = accountsArray.map(ethers.getAddress);
+
+  // Check for duplicates.
+  console.log(`>> Checking for duplicates`);
+  verifyUnique(checksumAddresses);
+  return checksumAddresses;
 }
 
 /**
  * Verifies that an accounts array is unique.
  */
 function verifyUnique(accountsArray: string[]) {
-  const duplicates = _.chain(accountsArray)
-    .groupBy((acc) => acc.toLowerCase())
-    .pickBy((group) => group.length > 1)
-    .keys()
-    .value();
+  const duplicates = findDuplicates(accountsArray);
   if (duplicates.length !== 0) {
     throw new Error(
       `${duplicates.length} duplicates detected in array! ${JSON.stringify(
@@ -176,3 +355,14 @@ function verifyUnique(accountsArray: string[]) {
     );
   }
 }
+
+/**
+ * Returns the accounts that appear more than once in an accounts array, ignoring case.
+ */
+function findDuplicates(accountsArray: string[]): string[] {
+  return _.chain(accountsArray)
+    .groupBy((acc) => acc.toLowerCase())
+    .pickBy((group) => group.length > 1)
+    .keys()
+    .value();
+}
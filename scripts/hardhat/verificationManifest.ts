@@ -0,0 +1,291 @@
+/**
+ * Copyright 2024 Circle Internet Group, Inc. All rights reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { ethers } from "ethers";
+import fs from "fs";
+import _ from "lodash";
+import path from "path";
+import {
+  ArtifactType,
+  getAlternativeArtifactTypes,
+} from "./alternativeArtifacts";
+import { validateOptimizerRuns } from "./helpers";
+import {
+  BytecodeVerificationType,
+  getContractArtifact,
+  TaskArguments as VerifyOnChainBytecodeTaskArguments,
+  TraceFormat,
+} from "./verifyOnChainBytecode";
+
+export type ManifestContract = {
+  contractName: string;
+  contractAddress: string;
+  contractCreationTxHash: string;
+  metadataFilePath?: string; // relative to the project root, defaults to verification_artifacts/<contractName>.json
+  compareMetadata?: boolean;
+  verificationType?: BytecodeVerificationType;
+  artifactType?: ArtifactType;
+  useTracesForCreationBytecode?: boolean;
+  traceFormat?: TraceFormat;
+  optimizerRuns?: number;
+  isLibrary?: boolean; // detected from the artifact if not set
+  constructorArgs?: Record<string, unknown> | unknown[];
+  immutableValues?: Record<string, string>;
+};
+
+export type VerificationManifest = {
+  network?: string; // name of a network in the hardhat config
+  rpcUrl?: string; // overrides the URL of the network
+  contracts: ManifestContract[];
+};
+
+const PROJECT_ROOT = path.join(__dirname, "..", "..");
+const VERIFICATION_ARTIFACTS_DIR = "verification_artifacts";
+
+// Runtime bytecode of libraries starts with a PUSH20 of their own address followed by ADDRESS,
+// which is zero before deployment.
+// https://docs.soliditylang.org/en/develop/contracts.html#call-protection-for-libraries
+const LIBRARY_RUNTIME_BYTECODE_PREFIX = "0x73" + "00".repeat(20) + "30";
+
+/**
+ * Reads and validates a verification manifest. Input files in the legacy format, with one
+ * top level field per contract, are converted to a manifest.
+ */
+export function readVerificationManifest(
+  filePath: string
+): VerificationManifest {
+  const input = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  const manifest = Array.isArray(input.contracts)
+    ? input
+    : migrateLegacyInput(input);
+  validateVerificationManifest(manifest);
+  return manifest;
+}
+
+/**
+ * Converts an input file in the legacy format, eg.
+ * { "FiatTokenV2_2": { "contractAddress": ..., "contractCreationTxHash": ... }, "rpcUrl": ... },
+ * to a verification manifest.
+ */
+export function migrateLegacyInput(
+  input: Record<string, unknown>
+): VerificationManifest {
+  const { rpcUrl, ...contracts } = input;
+  if (_.isEmpty(contracts)) {
+    throw new Error("Missing fields in input file!");
+  }
+  return {
+    rpcUrl: rpcUrl as string | undefined,
+    contracts: Object.entries(contracts).map(([contractName, value]) => ({
+      ...(value as Omit<ManifestContract, "contractName">),
+      contractName,
+    })),
+  };
+}
+
+/**
+ * Validates the network and every contract in a verification manifest.
+ */
+export function validateVerificationManifest(
+  manifest: VerificationManifest
+): void {
+  if (manifest.contracts.length === 0) {
+    throw new Error("No contracts in input file!");
+  }
+  if (manifest.rpcUrl !== undefined) {
+    try {
+      // Formats a URL string. Throws a TypeError if the URL string is malformed.
+      manifest.rpcUrl = new URL(manifest.rpcUrl).toString();
+    } catch (e) {
+      throw new Error("Invalid URL!");
+    }
+  }
+  if (manifest.network !== undefined && typeof manifest.network !== "string") {
+    throw new Error(`Invalid network: ${manifest.network}`);
+  }
+
+  for (const contract of manifest.contracts) {
+    const key = contract.contractName;
+    // Ensure all required fields exist
+    if (
+      !contract.contractName ||
+      !contract.contractAddress ||
+      !contract.contractCreationTxHash
+    ) {
+      throw new Error(
+        `Contract config for ${key || "unnamed contract"} contains empty fields`
+      );
+    }
+    // Validate contractAddress (must be a 20-byte address)
+    if (!ethers.isAddress(contract.contractAddress)) {
+      throw new Error(
+        `Invalid contractAddress for ${key}: ${contract.contractAddress}`
+      );
+    }
+    // Validate contractCreationTxHash (must be a 32-byte hash)
+    if (!ethers.isHexString(contract.contractCreationTxHash, 32)) {
+      throw new Error(
+        `Invalid contractCreationTxHash for ${key}: ${contract.contractCreationTxHash}`
+      );
+    }
+    // Validate verificationType if present
+    if (
+      contract.verificationType !== undefined &&
+      !Object.values(BytecodeVerificationType).includes(
+        contract.verificationType
+      )
+    ) {
+      throw new Error(
+        `Invalid verificationType for ${key}: ${contract.verificationType}`
+      );
+    }
+    // Validate artifactType if present
+    if (
+      contract.artifactType !== undefined &&
+      !getAlternativeArtifactTypes().includes(contract.artifactType)
+    ) {
+      throw new Error(
+        `Invalid artifactType for ${key}: ${contract.artifactType}`
+      );
+    }
+    // Validate traceFormat if present
+    if (
+      contract.traceFormat !== undefined &&
+      !Object.values(TraceFormat).includes(contract.traceFormat)
+    ) {
+      throw new Error(
+        `Invalid traceFormat for ${key}: ${contract.traceFormat}`
+      );
+    }
+    // Validate boolean options if present
+    for (const option of [
+      "useTracesForCreationBytecode",
+      "isLibrary",
+      "compareMetadata",
+    ] as const) {
+      if (
+        contract[option] !== undefined &&
+        typeof contract[option] !== "boolean"
+      ) {
+        throw new Error(`Invalid ${option} for ${key}: ${contract[option]}`);
+      }
+    }
+    // Validate optimizerRuns if present
+    if (contract.optimizerRuns !== undefined) {
+      try {
+        validateOptimizerRuns(contract.optimizerRuns);
+      } catch (e) {
+        throw new Error(
+          `Invalid optimizerRuns for ${key}: ${contract.optimizerRuns}`
+        );
+      }
+    }
+    // Validate JSON options if present
+    for (const option of ["constructorArgs", "immutableValues"] as const) {
+      if (
+        contract[option] !== undefined &&
+        (typeof contract[option] !== "object" || contract[option] === null)
+      ) {
+        throw new Error(
+          `Invalid ${option} for ${key}: ${JSON.stringify(contract[option])}`
+        );
+      }
+    }
+
+    // If verification type isn't "full," validate metadataFilePath (file must exist)
+    if (contract.verificationType !== BytecodeVerificationType.Full) {
+      if (
+        !fs.existsSync(path.join(PROJECT_ROOT, getMetadataFilePath(contract)))
+      ) {
+        throw new Error(
+          `Invalid metadataFilePath for ${key}: File does not exist`
+        );
+      }
+    }
+  }
+}
+
+/**
+ * Converts the contracts in a verification manifest to arguments for `verifyOnChainBytecode`.
+ * Libraries linked by a contract are looked up in the manifest by name.
+ */
+export function getVerificationTaskArguments(
+  manifest: VerificationManifest
+): VerifyOnChainBytecodeTaskArguments[] {
+  return manifest.contracts.map((contract) => {
+    const artifact = getContractArtifact(
+      contract.contractName,
+      contract.artifactType
+    );
+    const libraryNames = _.uniq(
+      Object.values(artifact.runtimeLinkReferences ?? {}).flatMap(Object.keys)
+    );
+    if (libraryNames.length > 1) {
+      throw new Error(
+        `${
+          contract.contractName
+        } links more than one library: ${libraryNames.join(", ")}`
+      );
+    }
+    const [libraryName] = libraryNames;
+    const library = manifest.contracts.find(
+      ({ contractName }) => contractName === libraryName
+    );
+    if (libraryName && !library) {
+      throw new Error(
+        `Library ${libraryName} linked by ${contract.contractName} is missing from the input file`
+      );
+    }
+
+    return {
+      contractName: contract.contractName,
+      contractAddress: contract.contractAddress,
+      libraryName,
+      libraryAddress: library?.contractAddress,
+      isLibrary:
+        contract.isLibrary ??
+        artifact.runtimeBytecode
+          .toLowerCase()
+          .startsWith(LIBRARY_RUNTIME_BYTECODE_PREFIX),
+      verificationType:
+        contract.verificationType || BytecodeVerificationType.Partial,
+      metadataFilePath:
+        contract.verificationType === BytecodeVerificationType.Full
+          ? undefined
+          : getMetadataFilePath(contract),
+      compareMetadata:
+        contract.verificationType === BytecodeVerificationType.Full
+          ? undefined
+          : contract.compareMetadata,
+      contractCreationTxHash: contract.contractCreationTxHash,
+      useTracesForCreationBytecode: contract.useTracesForCreationBytecode,
+      traceFormat: contract.traceFormat,
+      artifactType: contract.artifactType,
+      optimizerRuns: contract.optimizerRuns,
+      expectedConstructorArgs: contract.constructorArgs,
+      immutableValues: contract.immutableValues,
+    };
+  });
+}
+
+function getMetadataFilePath(contract: ManifestContract): string {
+  return (
+    contract.metadataFilePath ??
+    path.join(VERIFICATION_ARTIFACTS_DIR, `${contract.contractName}.json`)
+  );
+}
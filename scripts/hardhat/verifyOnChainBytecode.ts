@@ -18,16 +18,33 @@
 
 import bs58 from "bs58";
 import { decode } from "cbor";
-import { readFileSync } from "fs";
+import {
+  AbiCoder,
+  Interface,
+  InterfaceAbi,
+  keccak256,
+  toBeHex,
+  zeroPadValue,
+} from "ethers";
+import { existsSync, readFileSync, writeFileSync } from "fs";
 import { task } from "hardhat/config";
 import { HardhatRuntimeEnvironment, LinkReferences } from "hardhat/types";
 import Hash from "ipfs-only-hash";
 import _ from "lodash";
 import path from "path";
 import { hardhatArgumentTypes } from "./hardhatArgumentTypes";
-import { alternativeArtifacts, ArtifactType } from "./alternativeArtifacts";
+import { ArtifactType, getAlternativeArtifact } from "./alternativeArtifacts";
+import {
+  BytecodeDiffHunk,
+  diffBytecode,
+  formatBytecodeDiff,
+  KnownBytecodeRegion,
+} from "./bytecodeDiff";
 import { execSyncWrapper, validateOptimizerRuns } from "./helpers";
 
+// Relative to the project root
+const FOUNDRY_ARTIFACTS_DIR = path.join("artifacts", "foundry");
+
 export type TaskArguments = {
   contractName: string;
   contractAddress: string;
@@ -37,10 +54,18 @@ export type TaskArguments = {
   onchainBytecodeFilePath?: string;
   isLibrary?: boolean;
   metadataFilePath?: string;
+  compareMetadata?: boolean;
   contractCreationTxHash?: string;
   useTracesForCreationBytecode?: boolean;
+  traceFormat?: TraceFormat;
   artifactType?: ArtifactType;
   optimizerRuns?: number;
+  foundryArtifactsDir?: string;
+  format?: ReportFormat;
+  outputFilePath?: string;
+  showBytecodeDiff?: boolean;
+  immutableValues?: Record<string, string>;
+  expectedConstructorArgs?: Record<string, unknown> | unknown[];
 };
 
 export enum BytecodeVerificationType {
@@ -50,9 +75,29 @@ export enum BytecodeVerificationType {
 
 export enum BytecodeInputType {
   ConstructorCode = "constructor code", // Constructor bytecode (the portion that preceeds the runtime bytecode within the full creation bytecode)
+  ConstructorArguments = "constructor arguments", // ABI encoded constructor arguments at the end of the creation bytecode
   RuntimeBytecodeFull = "full runtime bytecode", // Runtime bytecode including metadata hash
   RuntimeBytecodePartial = "partial runtime bytecode", // Runtime bytecode excluding metadata hash
   MetadataHash = "metadata hash",
+  MetadataSettings = "metadata compiler settings", // Compiler version, optimizer and EVM version recorded in the metadata
+  MetadataSources = "metadata sources", // Hashes of the source files recorded in the metadata
+}
+
+export enum TraceFormat {
+  Geth = "geth", // debug_traceTransaction with the callTracer
+  Parity = "parity", // trace_transaction
+}
+
+export enum ReportFormat {
+  Text = "text", // colored console output
+  Json = "json",
+  JUnit = "junit", // JUnit XML, with one test case per comparison
+}
+
+export interface CompilerSettings {
+  compilerVersion?: string;
+  optimizer?: { enabled: boolean; runs: number };
+  evmVersion?: string;
 }
 
 export interface ContractArtifact {
@@ -60,23 +105,103 @@ export interface ContractArtifact {
   runtimeBytecode: string;
   creationLinkReferences: LinkReferences;
   runtimeLinkReferences: LinkReferences;
+  runtimeImmutableReferences?: ImmutableReferences;
+  abi?: InterfaceAbi; // required to decode the constructor arguments
+  compilerSettings?: CompilerSettings; // read from the artifact metadata, if available
+}
+
+// Positions of the immutable variables in the runtime bytecode, by AST id
+export type ImmutableReferences = Record<
+  string,
+  { start: number; length: number }[]
+>;
+
+export type ConstructorArgumentValue =
+  | string
+  | boolean
+  | ConstructorArgumentValue[];
+
+export type ConstructorArgument = {
+  name: string;
+  type: string;
+  value: ConstructorArgumentValue; // numbers are converted to decimal strings
+  expectedValue?: unknown; // if an expected value was supplied
+  equal?: boolean; // if the value matches the expected value
+};
+
+// The fields of the solc metadata JSON that are verified
+interface ContractMetadata {
+  compiler?: { version?: string };
+  settings?: {
+    optimizer?: { enabled: boolean; runs: number };
+    evmVersion?: string;
+    remappings?: string[];
+  };
+  sources: Record<string, { keccak256: string; urls?: string[] }>;
 }
 
-interface GethTransactionTrace {
+export interface GethTransactionTrace {
   from: string;
-  to: string;
+  to?: string; // unset for a failed contract creation
   gas: string;
   gasUsed: string;
   input: string;
   output?: string;
+  error?: string;
   type: string;
   value?: string;
   calls?: GethTransactionTrace[];
 }
 
-type BytecodeComparisonResult = {
+export interface ParityTransactionTrace {
+  action: {
+    from: string;
+    to?: string;
+    init?: string; // set for "create" traces
+    input?: string; // set for "call" traces
+    callType?: string;
+    creationMethod?: string;
+    gas: string;
+    value: string;
+  };
+  result?: {
+    address?: string; // set for "create" traces
+    code?: string;
+    output?: string;
+    gasUsed: string;
+  } | null;
+  error?: string;
+  subtraces: number;
+  traceAddress: number[];
+  transactionHash: string;
+  type: string; // "call", "create", "suicide" or "reward"
+}
+
+// A compiler setting or source file that differs between the local build and the metadata
+export type MetadataDifference = {
+  name: string; // the compiler setting, or the path of the source file
+  expected?: string; // local value, unset if the source file does not exist locally
+  actual: string; // value recorded in the metadata
+};
+
+export type BytecodeComparisonResult = {
   type: BytecodeInputType;
   equal: boolean; // if the inputs are identical
+  diff?: BytecodeDiffHunk[]; // the differing instructions, for a runtime bytecode mismatch with showBytecodeDiff
+  maskedImmutables?: string[]; // AST ids of the immutable variables excluded from a partial runtime bytecode comparison
+  constructorArguments?: ConstructorArgument[]; // the constructor arguments decoded from the contract creation transaction
+  metadataDifferences?: MetadataDifference[]; // the differing compiler settings or source files, for a metadata mismatch
+};
+
+export type BytecodeVerificationReport = {
+  contractName: string;
+  contractAddress: string;
+  chainId: number;
+  verificationType: BytecodeVerificationType;
+  artifactType?: ArtifactType;
+  compilerSettings?: CompilerSettings;
+  results: BytecodeComparisonResult[];
+  passed: boolean; // if all the comparisons succeeded
 };
 
 task(
@@ -131,6 +256,13 @@ task(
     undefined,
     hardhatArgumentTypes.string
   )
+  .addOptionalParam(
+    "compareMetadata",
+    "Parses the metadata file and compares its compiler version, optimizer settings, EVM version and source file hashes " +
+      "with the local build and contracts. Requires metadataFilePath.",
+    false,
+    hardhatArgumentTypes.boolean
+  )
   .addOptionalParam(
     "contractCreationTxHash",
     "Transaction hash of the contract creation transaction",
@@ -143,6 +275,13 @@ task(
     false,
     hardhatArgumentTypes.boolean
   )
+  .addOptionalParam(
+    "traceFormat",
+    "The format of the transaction traces used by useTracesForCreationBytecode: 'geth' for debug_traceTransaction, " +
+      "'parity' for trace_transaction. If not set, trace_transaction is used when debug_traceTransaction fails.",
+    undefined,
+    hardhatArgumentTypes.oneOf(Object.values(TraceFormat))
+  )
   .addOptionalParam(
     "artifactType",
     "The type of artifact to use for verification",
@@ -155,17 +294,81 @@ task(
     undefined,
     hardhatArgumentTypes.int
   )
+  .addOptionalParam(
+    "foundryArtifactsDir",
+    "Local directory that contains the foundry build output to verify against",
+    FOUNDRY_ARTIFACTS_DIR,
+    hardhatArgumentTypes.string
+  )
+  .addOptionalParam(
+    "showBytecodeDiff",
+    "Disassembles and aligns the expected and actual runtime bytecode on a mismatch, and reports the differing instructions",
+    false,
+    hardhatArgumentTypes.boolean
+  )
+  .addOptionalParam(
+    "immutableValues",
+    "JSON object mapping the AST ids of immutable variables to their expected values, eg. " +
+      '\'{"12":"0x0b2c639c533813f4aa9d7837caf62653d097ff85","15":"constructor:_decimals"}\'. ' +
+      "A value is either a number, a hex string left-padded to 32 bytes, or 'constructor:<name or index>' " +
+      "to use a constructor argument decoded from the contract creation transaction. " +
+      "Immutable variables without a value are masked in partial verification.",
+    undefined,
+    hardhatArgumentTypes.json
+  )
+  .addOptionalParam(
+    "expectedConstructorArgs",
+    "JSON object mapping constructor parameter names to their expected values, or JSON array of the expected values in order, " +
+      'eg. \'{"implementationContract":"0x0b2c639c533813f4aa9d7837caf62653d097ff85"}\'. ' +
+      "Requires contractCreationTxHash.",
+    undefined,
+    hardhatArgumentTypes.json
+  )
+  .addOptionalParam(
+    "format",
+    "The format of the verification report. 'json' and 'junit' include the contract, chain id and compiler settings.",
+    ReportFormat.Text,
+    hardhatArgumentTypes.oneOf(Object.values(ReportFormat))
+  )
+  .addOptionalParam(
+    "outputFilePath",
+    "Local file path to write the 'json' or 'junit' verification report to, instead of the console",
+    undefined,
+    hardhatArgumentTypes.string
+  )
   .setAction(taskAction);
 
 /**
- * Wrapper function to pretty print the results of `verifyOnChainBytecode`.
+ * Wrapper function to print the results of `verifyOnChainBytecode` in the requested format.
+ * Fails if any of the comparisons failed.
  */
 async function taskAction(
   taskArguments: TaskArguments,
   hre: HardhatRuntimeEnvironment
 ): Promise<void> {
   const results = await verifyOnChainBytecode(taskArguments, hre);
-  logBytecodeComparisonResults(results);
+  const { format = ReportFormat.Text, outputFilePath } = taskArguments;
+
+  if (format === ReportFormat.Text) {
+    logBytecodeComparisonResults(results);
+  } else {
+    const report = await createBytecodeVerificationReport(
+      taskArguments,
+      results,
+      hre
+    );
+    const formattedReport = formatBytecodeVerificationReports([report], format);
+    if (outputFilePath) {
+      writeFileSync(outputFilePath, formattedReport);
+      console.log(`Verification report written to '${outputFilePath}'`);
+    } else {
+      console.log(formattedReport);
+    }
+  }
+
+  if (results.some(({ equal }) => !equal)) {
+    throw new Error("Bytecode verification failed");
+  }
 }
 
 /**
@@ -179,6 +382,7 @@ async function taskAction(
  * 1) With solc v6 and v7, there's an anomoly where constants(strings) used by the constructor is added between `runtime_bytecode` and `constructor_arguments`
  * 2) Runtime bytecode of contracts using external libraries has the address of the external library embedded
  * 3) Runtime bytecode of library contracts has its own address embedded after the first PUSH instruction
+ * 4) Runtime bytecode of contracts with immutable variables has their values embedded by the constructor
  */
 export async function verifyOnChainBytecode(
   {
@@ -190,10 +394,16 @@ export async function verifyOnChainBytecode(
     onchainBytecodeFilePath,
     isLibrary,
     metadataFilePath,
+    compareMetadata,
     contractCreationTxHash,
     useTracesForCreationBytecode,
+    traceFormat,
     artifactType,
     optimizerRuns,
+    foundryArtifactsDir,
+    showBytecodeDiff,
+    immutableValues,
+    expectedConstructorArgs,
   }: TaskArguments,
   hre: HardhatRuntimeEnvironment
 ): Promise<BytecodeComparisonResult[]> {
@@ -201,7 +411,7 @@ export async function verifyOnChainBytecode(
     validateOptimizerRuns(optimizerRuns);
     execSyncWrapper(`forge build --optimizer-runs ${optimizerRuns}`);
   }
-  const bytecodeComparisonResults = [];
+  const bytecodeComparisonResults: BytecodeComparisonResult[] = [];
 
   // Getting contract bytecode from blockchain or local file input
   let actualRuntimeBytecode;
@@ -214,19 +424,34 @@ export async function verifyOnChainBytecode(
     actualRuntimeBytecode = await hre.ethers.provider.getCode(contractAddress);
   }
 
-  const contractArtifact = getContractArtifact(contractName, artifactType);
+  const contractArtifact = getContractArtifact(
+    contractName,
+    artifactType,
+    foundryArtifactsDir
+  );
   const expectedCreationBytecode = contractArtifact.creationBytecode;
   let expectedRuntimeBytecode = contractArtifact.runtimeBytecode;
   const creationLinkReferences = contractArtifact.creationLinkReferences;
   const runtimeLinkReferences = contractArtifact.runtimeLinkReferences;
 
+  if (compareMetadata && !metadataFilePath) {
+    throw new Error("metadataFilePath is required to compare the metadata");
+  }
+  if (expectedConstructorArgs && !contractCreationTxHash) {
+    throw new Error(
+      "contractCreationTxHash is required to verify the constructor arguments"
+    );
+  }
+
   // ==== Compare constructor code between contract on chain and locally compiled version
+  let constructorArguments: ConstructorArgument[] | undefined;
   if (contractCreationTxHash) {
     const actualCreationBytecode = await getContractCreationBytecode(
       hre,
       contractAddress,
       contractCreationTxHash,
-      useTracesForCreationBytecode
+      useTracesForCreationBytecode,
+      traceFormat
     );
     const constructorCodeEndIndex = getConstructorCodeEndIndex(
       expectedCreationBytecode,
@@ -236,14 +461,52 @@ export async function verifyOnChainBytecode(
       runtimeLinkReferences
     );
 
-    bytecodeComparisonResults.push({
+    const constructorCodeComparisonResult: BytecodeComparisonResult = {
       type: BytecodeInputType.ConstructorCode,
       equal:
         // actual bytecode on chain
         actualCreationBytecode.slice(0, constructorCodeEndIndex) ===
         // expected bytecode from local compilation
         expectedCreationBytecode.slice(0, constructorCodeEndIndex),
-    });
+    };
+    bytecodeComparisonResults.push(constructorCodeComparisonResult);
+
+    // ==== Decode the constructor arguments, and compare them with the expected values
+    // The arguments usually follow the locally compiled creation bytecode. Otherwise, if the constructor code
+    // matches, they are searched for after the runtime bytecode, as solc v6 and v7 may add constants in between.
+    if (contractArtifact.abi) {
+      constructorArguments =
+        decodeConstructorArguments(
+          contractArtifact.abi,
+          actualCreationBytecode,
+          expectedCreationBytecode.length,
+          expectedCreationBytecode.length
+        ) ??
+        (constructorCodeComparisonResult.equal && constructorCodeEndIndex >= 0
+          ? decodeConstructorArguments(
+              contractArtifact.abi,
+              actualCreationBytecode,
+              constructorCodeEndIndex + expectedRuntimeBytecode.length - 2
+            )
+          : undefined);
+    } else if (expectedConstructorArgs) {
+      throw new Error("ABI not available to decode the constructor arguments");
+    }
+    if (expectedConstructorArgs) {
+      const comparedConstructorArguments = compareConstructorArguments(
+        constructorArguments,
+        expectedConstructorArgs
+      );
+      bytecodeComparisonResults.push({
+        type: BytecodeInputType.ConstructorArguments,
+        equal:
+          comparedConstructorArguments !== undefined &&
+          comparedConstructorArguments.every(({ equal }) => equal !== false),
+        constructorArguments: comparedConstructorArguments,
+      });
+    } else if (constructorArguments && constructorArguments.length > 0) {
+      constructorCodeComparisonResult.constructorArguments = constructorArguments;
+    }
   }
 
   // ==== Replace embedded address in library contracts
@@ -286,20 +549,81 @@ export async function verifyOnChainBytecode(
     }
   }
 
+  // ==== Replace the values of immutable variables with the expected values, or mask them if unknown.
+  // The constructor writes the values of immutable variables into the runtime bytecode at deploy time.
+  // https://docs.soliditylang.org/en/v0.6.12/contracts.html#constant-and-immutable-state-variables
+  const immutableReferences = contractArtifact.runtimeImmutableReferences ?? {};
+  let maskedImmutables: string[] = [];
+  if (!_.isEmpty(immutableReferences)) {
+    const resolvedImmutableValues = resolveImmutableValues(
+      immutableReferences,
+      immutableValues ?? {},
+      (reference) => {
+        if (!contractCreationTxHash) {
+          throw new Error(
+            `contractCreationTxHash is required to use '${reference}' as an immutable value`
+          );
+        }
+        if (!constructorArguments) {
+          throw new Error("Constructor arguments could not be decoded");
+        }
+        return constructorArguments;
+      }
+    );
+    maskedImmutables = Object.keys(immutableReferences).filter(
+      (astId) => resolvedImmutableValues[astId] === undefined
+    );
+    if (
+      maskedImmutables.length > 0 &&
+      verificationType === BytecodeVerificationType.Full
+    ) {
+      throw new Error(
+        `Full verification requires the values of all immutable variables, missing AST ids: ${maskedImmutables.join(
+          ", "
+        )}`
+      );
+    }
+
+    const maskedValues = _.fromPairs(
+      maskedImmutables.map((astId) => [astId, "00".repeat(32)])
+    );
+    expectedRuntimeBytecode = replaceImmutableValues(
+      expectedRuntimeBytecode,
+      immutableReferences,
+      { ...resolvedImmutableValues, ...maskedValues }
+    );
+    actualRuntimeBytecode = replaceImmutableValues(
+      actualRuntimeBytecode,
+      immutableReferences,
+      maskedValues
+    );
+  }
+
   // ==== Compare runtime bytecode
-  if (verificationType === BytecodeVerificationType.Full) {
-    bytecodeComparisonResults.push({
-      type: BytecodeInputType.RuntimeBytecodeFull,
-      equal: expectedRuntimeBytecode === actualRuntimeBytecode,
-    });
-  } else {
-    bytecodeComparisonResults.push({
-      type: BytecodeInputType.RuntimeBytecodePartial,
-      equal:
-        removeMetadataHashAndMetadataLen(actualRuntimeBytecode) ===
-        removeMetadataHashAndMetadataLen(expectedRuntimeBytecode),
-    });
+  const runtimeBytecodeComparisonResult: BytecodeComparisonResult =
+    verificationType === BytecodeVerificationType.Full
+      ? {
+          type: BytecodeInputType.RuntimeBytecodeFull,
+          equal: expectedRuntimeBytecode === actualRuntimeBytecode,
+        }
+      : {
+          type: BytecodeInputType.RuntimeBytecodePartial,
+          equal:
+            removeMetadataHashAndMetadataLen(actualRuntimeBytecode) ===
+            removeMetadataHashAndMetadataLen(expectedRuntimeBytecode),
+        };
+  if (maskedImmutables.length > 0) {
+    runtimeBytecodeComparisonResult.maskedImmutables = maskedImmutables;
   }
+  if (showBytecodeDiff && !runtimeBytecodeComparisonResult.equal) {
+    runtimeBytecodeComparisonResult.diff = getRuntimeBytecodeDiff(
+      expectedRuntimeBytecode,
+      actualRuntimeBytecode,
+      contractArtifact,
+      isLibrary
+    );
+  }
+  bytecodeComparisonResults.push(runtimeBytecodeComparisonResult);
 
   // ==== Compare user-supplied metadata file against metadata hash in deployed bytecode
   if (metadataFilePath) {
@@ -307,10 +631,7 @@ export async function verifyOnChainBytecode(
       path.join(__dirname, "..", "..", metadataFilePath),
       "utf-8"
     );
-    const metadataHash = await Hash.of(rawMetadata); // the library output is bs58 encoded by default
-    const expectedMetadataHash = Buffer.from(
-      bs58.decode(metadataHash)
-    ).toString("hex");
+    const expectedMetadataHash = await getMetadataIpfsHash(rawMetadata);
 
     const actualMetadataHash = getCborDecodedIpfsHash(actualRuntimeBytecode);
 
@@ -318,6 +639,20 @@ export async function verifyOnChainBytecode(
       type: BytecodeInputType.MetadataHash,
       equal: expectedMetadataHash === actualMetadataHash,
     });
+
+    // ==== Compare the contents of the metadata file against the local build and sources
+    if (compareMetadata) {
+      if (!contractArtifact.compilerSettings) {
+        throw new Error(
+          `Compiler settings of the local ${contractName} artifact not found`
+        );
+      }
+      const metadata: ContractMetadata = JSON.parse(rawMetadata);
+      bytecodeComparisonResults.push(
+        compareMetadataSettings(contractArtifact.compilerSettings, metadata),
+        await compareMetadataSources(metadata)
+      );
+    }
   }
 
   return bytecodeComparisonResults;
@@ -326,19 +661,511 @@ export async function verifyOnChainBytecode(
 export function logBytecodeComparisonResults(
   results: BytecodeComparisonResult[]
 ): void {
-  for (const { type, equal } of results) {
+  for (const {
+    type,
+    equal,
+    diff,
+    maskedImmutables,
+    constructorArguments,
+    metadataDifferences,
+  } of results) {
+    if (maskedImmutables) {
+      console.warn(
+        "\x1b[33m",
+        `\nWARNING: ${type} excludes immutable variables with AST ids ${maskedImmutables.join(
+          ", "
+        )}. Supply their values through immutableValues to verify them.`
+      );
+    }
     if (!equal) {
       console.warn(
         "\x1b[31m",
         `\nWARNING: verification failed - ${type} mismatch.`
       );
+      if (diff) {
+        console.warn("\x1b[0m", `\n${formatBytecodeDiff(diff)}`);
+      }
     } else {
       console.log(
         "\x1b[32m",
         `\nverification complete - supplied ${type} is consistent with local version.`
       );
     }
+    if (constructorArguments) {
+      const formatValue = (value: unknown) =>
+        typeof value === "string" ? value : JSON.stringify(value);
+      console.log("\x1b[0m", "\nconstructor arguments:");
+      console.table(
+        constructorArguments.map(
+          ({ name, type, value, expectedValue, equal }) => ({
+            name,
+            type,
+            value: formatValue(value),
+            ...(equal !== undefined && {
+              expectedValue: formatValue(expectedValue),
+              equal,
+            }),
+          })
+        )
+      );
+    }
+    if (metadataDifferences) {
+      console.log("\x1b[0m", `\ndiffering ${type}:`);
+      console.table(metadataDifferences);
+    }
+  }
+}
+
+/**
+ * Collects the results of `verifyOnChainBytecode` along with the contract, chain id and
+ * compiler settings they were produced with.
+ */
+export async function createBytecodeVerificationReport(
+  {
+    contractName,
+    contractAddress,
+    verificationType,
+    artifactType,
+    foundryArtifactsDir,
+  }: TaskArguments,
+  results: BytecodeComparisonResult[],
+  hre: HardhatRuntimeEnvironment
+): Promise<BytecodeVerificationReport> {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  return {
+    contractName,
+    contractAddress,
+    chainId: Number(chainId),
+    verificationType,
+    artifactType,
+    compilerSettings: getContractArtifact(
+      contractName,
+      artifactType,
+      foundryArtifactsDir
+    ).compilerSettings,
+    results,
+    passed: results.every(({ equal }) => equal),
+  };
+}
+
+/**
+ * Serializes verification reports as JSON, or as JUnit XML with one test suite per contract.
+ */
+export function formatBytecodeVerificationReports(
+  reports: BytecodeVerificationReport[],
+  format: ReportFormat.Json | ReportFormat.JUnit
+): string {
+  if (format === ReportFormat.Json) {
+    const indent = 2;
+    return JSON.stringify(reports, null, indent);
+  }
+
+  const countFailures = (results: BytecodeComparisonResult[]) =>
+    results.filter(({ equal }) => !equal).length;
+  const allResults = reports.flatMap(({ results }) => results);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="verifyOnChainBytecode" tests="${
+      allResults.length
+    }" failures="${countFailures(allResults)}">`,
+  ];
+  for (const report of reports) {
+    const suiteName = `${report.contractName} (${report.contractAddress})`;
+    const properties = {
+      contractName: report.contractName,
+      contractAddress: report.contractAddress,
+      chainId: report.chainId,
+      verificationType: report.verificationType,
+      artifactType: report.artifactType,
+      compilerVersion: report.compilerSettings?.compilerVersion,
+      optimizerEnabled: report.compilerSettings?.optimizer?.enabled,
+      optimizerRuns: report.compilerSettings?.optimizer?.runs,
+      evmVersion: report.compilerSettings?.evmVersion,
+    };
+    lines.push(
+      `  <testsuite name="${escapeXml(suiteName)}" tests="${
+        report.results.length
+      }" failures="${countFailures(report.results)}">`,
+      "    <properties>",
+      ..._.chain(properties)
+        .toPairs()
+        .filter(([, value]) => value !== undefined)
+        .map(
+          ([name, value]) =>
+            `      <property name="${name}" value="${escapeXml(
+              String(value)
+            )}"/>`
+        )
+        .value(),
+      "    </properties>"
+    );
+    for (const { type, equal } of report.results) {
+      const testCase = `    <testcase classname="${escapeXml(
+        report.contractName
+      )}" name="${type}"`;
+      lines.push(
+        equal
+          ? `${testCase}/>`
+          : `${testCase}>\n      <failure message="${type} mismatch"/>\n    </testcase>`
+      );
+    }
+    lines.push("  </testsuite>");
+  }
+  lines.push("</testsuites>");
+  return lines.join("\n") + "\n";
+}
+
+function escapeXml(value: string): string {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Diffs the expected and actual runtime bytecode, annotating the regions that are known to
+ * differ at deploy time: immutable variables, library link references, the embedded address
+ * of a library, and the CBOR encoded metadata.
+ */
+function getRuntimeBytecodeDiff(
+  expectedRuntimeBytecode: string,
+  actualRuntimeBytecode: string,
+  {
+    runtimeLinkReferences,
+    runtimeImmutableReferences,
+  }: Pick<
+    ContractArtifact,
+    "runtimeLinkReferences" | "runtimeImmutableReferences"
+  >,
+  isLibrary: boolean | undefined
+): BytecodeDiffHunk[] {
+  const expectedMetadataLength = getMetadataByteLength(expectedRuntimeBytecode);
+  const knownRegions: KnownBytecodeRegion[] = [
+    ..._.flatMap(runtimeImmutableReferences ?? {}, (references, astId) =>
+      references.map((reference) => ({
+        ...reference,
+        label: `immutable variable (AST id ${astId})`,
+      }))
+    ),
+    ..._.flatMap(Object.values(runtimeLinkReferences ?? {}), (libraries) =>
+      _.flatMap(libraries, (references, libraryName) =>
+        references.map((reference) => ({
+          ...reference,
+          label: `${libraryName} library address`,
+        }))
+      )
+    ),
+    {
+      start: (expectedRuntimeBytecode.length - 2) / 2 - expectedMetadataLength,
+      length: expectedMetadataLength,
+      label: "CBOR metadata",
+    },
+  ];
+  if (isLibrary) {
+    // The library address is embedded after the first PUSH20 instruction
+    knownRegions.push({ start: 1, length: 20, label: "library self-address" });
+  }
+
+  return diffBytecode(expectedRuntimeBytecode, actualRuntimeBytecode, {
+    expectedMetadataLength,
+    actualMetadataLength: getMetadataByteLength(actualRuntimeBytecode),
+    knownRegions,
+  });
+}
+
+/**
+ * Resolves the expected values of immutable variables to 32 byte hex strings (without "0x"), by AST id.
+ * Values referencing a constructor argument are looked up in the arguments returned by getConstructorArgs.
+ */
+function resolveImmutableValues(
+  immutableReferences: ImmutableReferences,
+  immutableValues: Record<string, string>,
+  getConstructorArgs: (reference: string) => ConstructorArgument[]
+): Record<string, string> {
+  return _.mapValues(immutableValues, (value, astId) => {
+    if (!immutableReferences[astId]) {
+      throw new Error(
+        `Immutable variable with AST id ${astId} not found, expected one of: ${Object.keys(
+          immutableReferences
+        ).join(", ")}`
+      );
+    }
+
+    let word: string;
+    const stringValue = String(value);
+    if (stringValue.startsWith("constructor:")) {
+      const nameOrIndex = stringValue.slice("constructor:".length);
+      const constructorArgs = getConstructorArgs(stringValue);
+      const argument = /^\d+$/.test(nameOrIndex)
+        ? constructorArgs[Number(nameOrIndex)]
+        : constructorArgs.find(({ name }) => name === nameOrIndex);
+      if (!argument) {
+        throw new Error(`Constructor argument '${nameOrIndex}' not found`);
+      }
+      word = AbiCoder.defaultAbiCoder().encode(
+        [argument.type],
+        [argument.value]
+      );
+    } else if (/^\d+$/.test(stringValue)) {
+      word = toBeHex(BigInt(stringValue), 32);
+    } else if (/^0x[0-9a-fA-F]{0,64}$/.test(stringValue)) {
+      word = zeroPadValue(
+        stringValue.length % 2 === 0
+          ? stringValue
+          : "0x0" + stringValue.slice(2),
+        32
+      );
+    } else {
+      throw new Error(
+        `Invalid value '${stringValue}' for immutable variable with AST id ${astId}`
+      );
+    }
+    if (word.length !== 2 + 64) {
+      throw new Error(
+        `Value '${stringValue}' for immutable variable with AST id ${astId} does not fit in 32 bytes`
+      );
+    }
+    return word.slice(2).toLowerCase();
+  });
+}
+
+/**
+ * Replaces the bytes at the positions of the given immutable variables in the runtime bytecode.
+ */
+function replaceImmutableValues(
+  runtimeBytecode: string,
+  immutableReferences: ImmutableReferences,
+  values: Record<string, string>
+): string {
+  let bytecode = runtimeBytecode;
+  for (const [astId, value] of Object.entries(values)) {
+    for (const { start, length } of immutableReferences[astId]) {
+      bytecode =
+        bytecode.slice(0, 2 + start * 2) +
+        value.slice(-length * 2) +
+        bytecode.slice(2 + (start + length) * 2);
+    }
   }
+  return bytecode;
+}
+
+/**
+ * Decodes the ABI encoded constructor arguments at the end of the contract creation bytecode.
+ *
+ * solc v6 and v7 may add the constants used by the constructor between the runtime bytecode and
+ * the constructor arguments, so the arguments are taken from the first index between
+ * searchStartIndex and searchEndIndex at which the rest of the creation bytecode is their exact
+ * ABI encoding.
+ *
+ * @returns the decoded arguments, or undefined if they could not be found
+ */
+export function decodeConstructorArguments(
+  abi: InterfaceAbi,
+  creationBytecode: string,
+  searchStartIndex: number,
+  searchEndIndex = creationBytecode.length
+): ConstructorArgument[] | undefined {
+  const inputs = new Interface(abi).deploy.inputs;
+  if (inputs.length === 0) {
+    return [];
+  }
+  const abiCoder = AbiCoder.defaultAbiCoder();
+  const creationBytecodeHex = creationBytecode.toLowerCase();
+  for (let index = searchStartIndex; index <= searchEndIndex; index += 2) {
+    const encodedArguments = "0x" + creationBytecodeHex.slice(index);
+    try {
+      const values = abiCoder.decode(inputs, encodedArguments);
+      // Invalid values, eg. addresses with dirty upper bytes, only throw when accessed
+      if (abiCoder.encode(inputs, values) === encodedArguments) {
+        return inputs.map(({ name, type }, i) => ({
+          name,
+          type,
+          value: toConstructorArgumentValue(values[i]),
+        }));
+      }
+    } catch (e) {
+      // The constructor arguments do not start at this index
+    }
+  }
+  return undefined;
+}
+
+function toConstructorArgumentValue(value: unknown): ConstructorArgumentValue {
+  if (Array.isArray(value)) {
+    return value.map(toConstructorArgumentValue);
+  }
+  if (typeof value === "boolean" || typeof value === "string") {
+    return value;
+  }
+  return String(value);
+}
+
+/**
+ * Compares the decoded constructor arguments with the expected values, given by parameter name
+ * or in order. Values are compared by their ABI encoding, so that eg. addresses are case insensitive.
+ */
+function compareConstructorArguments(
+  constructorArguments: ConstructorArgument[] | undefined,
+  expectedConstructorArgs: Record<string, unknown> | unknown[]
+): ConstructorArgument[] | undefined {
+  if (!constructorArguments) {
+    return undefined;
+  }
+  // Unnamed constructor arguments are referred to by their index
+  const keys = constructorArguments.map(({ name }, i) => name || String(i));
+  const expectedValues = Array.isArray(expectedConstructorArgs)
+    ? _.fromPairs(
+        expectedConstructorArgs.map((value, i) => [keys[i] ?? String(i), value])
+      )
+    : expectedConstructorArgs;
+  const unknownKeys = Object.keys(expectedValues).filter(
+    (key) => !keys.includes(key)
+  );
+  if (unknownKeys.length > 0) {
+    throw new Error(
+      `Unknown constructor arguments: ${unknownKeys.join(
+        ", "
+      )}, expected one of: ${keys.join(", ")}`
+    );
+  }
+
+  const abiCoder = AbiCoder.defaultAbiCoder();
+  return constructorArguments.map((argument, i) => {
+    if (!(keys[i] in expectedValues)) {
+      return argument;
+    }
+    const expectedValue = expectedValues[keys[i]];
+    let encodedExpectedValue: string;
+    try {
+      encodedExpectedValue = abiCoder.encode([argument.type], [expectedValue]);
+    } catch (e) {
+      throw new Error(
+        `Invalid expected value ${JSON.stringify(
+          expectedValue
+        )} for constructor argument '${keys[i]}' of type ${argument.type}`
+      );
+    }
+    return {
+      ...argument,
+      expectedValue,
+      equal:
+        encodedExpectedValue ===
+        abiCoder.encode([argument.type], [argument.value]),
+    };
+  });
+}
+
+/**
+ * Compares the compiler version, optimizer settings and EVM version recorded in the metadata
+ * with the ones the local artifact was compiled with.
+ */
+function compareMetadataSettings(
+  compilerSettings: CompilerSettings,
+  metadata: ContractMetadata
+): BytecodeComparisonResult {
+  const settings = {
+    compilerVersion: [
+      compilerSettings.compilerVersion,
+      metadata.compiler?.version,
+    ],
+    optimizerEnabled: [
+      compilerSettings.optimizer?.enabled,
+      metadata.settings?.optimizer?.enabled,
+    ],
+    optimizerRuns: [
+      compilerSettings.optimizer?.runs,
+      metadata.settings?.optimizer?.runs,
+    ],
+    evmVersion: [compilerSettings.evmVersion, metadata.settings?.evmVersion],
+  };
+  const metadataDifferences = _.chain(settings)
+    .toPairs()
+    .filter(([, [expected, actual]]) => expected !== actual)
+    .map(([name, [expected, actual]]) => ({
+      name,
+      expected: String(expected),
+      actual: String(actual),
+    }))
+    .value();
+  return {
+    type: BytecodeInputType.MetadataSettings,
+    equal: metadataDifferences.length === 0,
+    ...(metadataDifferences.length > 0 && { metadataDifferences }),
+  };
+}
+
+/**
+ * Compares the keccak256 and IPFS hashes of the source files recorded in the metadata with
+ * the local source files. Paths that do not exist in the project root are resolved with the
+ * remappings in the metadata, then in node_modules.
+ */
+async function compareMetadataSources(
+  metadata: ContractMetadata
+): Promise<BytecodeComparisonResult> {
+  const projectRoot = path.join(__dirname, "..", "..");
+  const remappings = (metadata.settings?.remappings ?? []).map((remapping) =>
+    // Drop the optional context, eg. "context:prefix=target"
+    remapping.slice(remapping.indexOf(":") + 1).split("=")
+  );
+
+  const metadataDifferences: MetadataDifference[] = [];
+  for (const [sourcePath, { keccak256: actualHash, urls = [] }] of _.toPairs(
+    metadata.sources
+  )) {
+    const localPath = [
+      sourcePath,
+      ...remappings
+        .filter(([prefix]) => sourcePath.startsWith(prefix))
+        .map(([prefix, target]) => target + sourcePath.slice(prefix.length)),
+      path.join("node_modules", sourcePath),
+    ]
+      .map((candidate) => path.join(projectRoot, candidate))
+      .find(existsSync);
+    if (!localPath) {
+      metadataDifferences.push({ name: sourcePath, actual: actualHash });
+      continue;
+    }
+
+    const source = readFileSync(localPath);
+    const expectedHash = keccak256(source);
+    if (expectedHash !== actualHash) {
+      metadataDifferences.push({
+        name: sourcePath,
+        expected: expectedHash,
+        actual: actualHash,
+      });
+      continue;
+    }
+    const ipfsUrl = urls.find((url) => url.startsWith("dweb:/ipfs/"));
+    if (ipfsUrl) {
+      const expectedIpfsUrl = `dweb:/ipfs/${await Hash.of(source)}`;
+      if (expectedIpfsUrl !== ipfsUrl) {
+        metadataDifferences.push({
+          name: sourcePath,
+          expected: expectedIpfsUrl,
+          actual: ipfsUrl,
+        });
+      }
+    }
+  }
+  return {
+    type: BytecodeInputType.MetadataSources,
+    equal: metadataDifferences.length === 0,
+    ...(metadataDifferences.length > 0 && { metadataDifferences }),
+  };
+}
+
+/**
+ * Returns the length in bytes of the metadata at the end of the runtime bytecode, or 0 if
+ * the bytecode does not end with a valid metadata length.
+ */
+function getMetadataByteLength(runtimeBytecode: string): number {
+  const metadataLength = getContractMetadataLength(runtimeBytecode) / 2;
+  return Number.isInteger(metadataLength) &&
+    metadataLength <= (runtimeBytecode.length - 2) / 2
+    ? metadataLength
+    : 0;
 }
 
 /**
@@ -348,14 +1175,36 @@ async function getContractCreationBytecode(
   hre: HardhatRuntimeEnvironment,
   contractAddress: string,
   contractCreationTxHash: string,
-  useTracesForCreationBytecode: boolean | undefined
+  useTracesForCreationBytecode: boolean | undefined,
+  traceFormat: TraceFormat | undefined
 ): Promise<string> {
   if (useTracesForCreationBytecode) {
-    const transactionTraces: GethTransactionTrace = await hre.ethers.provider.send(
-      "debug_traceTransaction",
-      [contractCreationTxHash, { tracer: "callTracer" }]
+    if (traceFormat !== TraceFormat.Parity) {
+      try {
+        const transactionTraces: GethTransactionTrace = await hre.ethers.provider.send(
+          "debug_traceTransaction",
+          [contractCreationTxHash, { tracer: "callTracer" }]
+        );
+        return extractBytecodeFromGethTraces(
+          transactionTraces,
+          contractAddress
+        );
+      } catch (e) {
+        if (traceFormat === TraceFormat.Geth) {
+          throw e;
+        }
+        console.warn(
+          `Could not get the contract creation bytecode from debug_traceTransaction, trying trace_transaction: ${
+            (e as Error).message
+          }`
+        );
+      }
+    }
+    const transactionTraces: ParityTransactionTrace[] = await hre.ethers.provider.send(
+      "trace_transaction",
+      [contractCreationTxHash]
     );
-    return extractBytecodeFromGethTraces(transactionTraces, contractAddress);
+    return extractBytecodeFromParityTraces(transactionTraces, contractAddress);
   }
   const transaction = await hre.ethers.provider.getTransaction(
     contractCreationTxHash
@@ -367,32 +1216,80 @@ async function getContractCreationBytecode(
 }
 
 /**
- * Returns contract creation bytecode given traces
+ * Returns contract creation bytecode given traces from debug_traceTransaction with the callTracer.
  */
 export function extractBytecodeFromGethTraces(
   traces: GethTransactionTrace,
   targetContract: string
 ): string {
+  const creationTrace = findGethCreationTrace(traces, targetContract);
+  if (!creationTrace) {
+    throw new Error("Contract creation trace not found");
+  }
+  return creationTrace.input;
+}
+
+/**
+ * Returns contract creation bytecode given traces from trace_transaction.
+ */
+export function extractBytecodeFromParityTraces(
+  traces: ParityTransactionTrace[],
+  targetContract: string
+): string {
+  const creationTrace = findParityCreationTrace(traces, targetContract);
+  if (!creationTrace?.action.init) {
+    throw new Error("Contract creation trace not found");
+  }
+  return creationTrace.action.init;
+}
+
+/**
+ * Finds the successful creation of a contract in traces from the callTracer.
+ * The call tree is searched depth first, as the contract may be created by any nested call.
+ */
+export function findGethCreationTrace(
+  trace: GethTransactionTrace,
+  targetContract: string
+): GethTransactionTrace | undefined {
   if (
-    traces.to.toLowerCase() === targetContract.toLowerCase() &&
-    (traces.type === "CREATE" || traces.type === "CREATE2")
+    trace.to?.toLowerCase() === targetContract.toLowerCase() &&
+    (trace.type === "CREATE" || trace.type === "CREATE2") &&
+    !trace.error
   ) {
-    return traces.input;
+    return trace;
   }
-  if (traces.calls) {
-    for (const call of traces.calls) {
-      return extractBytecodeFromGethTraces(call, targetContract);
+  for (const call of trace.calls ?? []) {
+    const creationTrace = findGethCreationTrace(call, targetContract);
+    if (creationTrace) {
+      return creationTrace;
     }
   }
-  throw new Error("Contract creation trace not found");
+  return undefined;
+}
+
+/**
+ * Finds the successful creation of a contract in traces from trace_transaction or trace_block,
+ * which list every call in depth first order.
+ */
+export function findParityCreationTrace(
+  traces: ParityTransactionTrace[],
+  targetContract: string
+): ParityTransactionTrace | undefined {
+  return traces.find(
+    ({ type, result, error }) =>
+      type === "create" &&
+      result?.address?.toLowerCase() === targetContract.toLowerCase() &&
+      !error
+  );
 }
 
 /**
  * Returns contract artifact
  */
-function getContractArtifact(
+export function getContractArtifact(
   contractName: string,
-  artifactType: ArtifactType | undefined
+  artifactType: ArtifactType | undefined,
+  foundryArtifactsDir = FOUNDRY_ARTIFACTS_DIR
 ): ContractArtifact {
   if (artifactType !== undefined) {
     return getAlternativeArtifact(contractName, artifactType);
@@ -404,8 +1301,7 @@ function getContractArtifact(
         __dirname,
         "..",
         "..",
-        "artifacts",
-        "foundry",
+        foundryArtifactsDir,
         `${contractName}.sol`,
         `${contractName}.json`
       ),
@@ -419,57 +1315,81 @@ function getContractArtifact(
     creationLinkReferences: foundryContractArtifact.bytecode.linkReferences,
     runtimeLinkReferences:
       foundryContractArtifact.deployedBytecode.linkReferences,
+    runtimeImmutableReferences:
+      foundryContractArtifact.deployedBytecode.immutableReferences,
+    abi: foundryContractArtifact.abi,
+    compilerSettings: getCompilerSettings(foundryContractArtifact.metadata),
   };
 }
 
 /**
- * Returns contract artifact from the static alternative artifacts
+ * Returns the compiler settings recorded in the metadata of a foundry artifact
  */
-function getAlternativeArtifact(
-  contractName: string,
-  artifactType: ArtifactType
-): ContractArtifact {
-  if (!Object.values(ArtifactType).includes(artifactType)) {
-    throw new Error(`artifact type ${artifactType} not supported`);
-  }
-  const alternativeArtifactContracts = alternativeArtifacts.get(
-    artifactType as ArtifactType
-  );
-  if (alternativeArtifactContracts === undefined) {
-    throw new Error(`artifacts not found for artifact type ${artifactType}`);
-  }
-  const contractArtifact = alternativeArtifactContracts.get(contractName);
-  if (contractArtifact === undefined) {
-    throw new Error(
-      `artifact not found for contract ${contractName} for artifact type ${artifactType}`
-    );
+function getCompilerSettings(
+  metadata: string | ContractMetadata | undefined
+): CompilerSettings | undefined {
+  if (!metadata) {
+    return undefined;
   }
-
-  return contractArtifact;
+  const { compiler, settings } =
+    typeof metadata === "string" ? JSON.parse(metadata) : metadata;
+  return {
+    compilerVersion: compiler?.version,
+    optimizer: settings?.optimizer,
+    evmVersion: settings?.evmVersion,
+  };
 }
 
 /**
- * Strips the metadata hash bytes from a contract's runtime bytecode. The hash is cbor-encoded and must
- * be decoded to reveal the ipfs hash stored in the object.
- *
- * NOTE: This function only works for bytecode that are generated with "settings.metadata.bytecodeHash"
- * set to default of "ipfs".
+ * Decodes the CBOR encoded metadata at the end of a contract's runtime bytecode, which holds
+ * the hash of the metadata file and the version of the compiler.
  * @see {@link https://docs.soliditylang.org/en/latest/metadata.html#encoding-of-the-metadata-hash-in-the-bytecode}
  * for information about the metadata hash.
  */
-function getCborDecodedIpfsHash(runtimeBytecode: string): string {
+export function getCborDecodedMetadata(
+  runtimeBytecode: string
+): {
+  ipfs?: string; // hex encoded
+  solc?: string; // eg. "0.6.12", or the full version string for a prerelease compiler
+} {
   const metadataLength = getContractMetadataLength(runtimeBytecode);
   const cborBytes = runtimeBytecode.slice(
     runtimeBytecode.length - metadataLength,
     runtimeBytecode.length - 4
   );
   const decodedCborBytes = decode(Buffer.from(cborBytes, "hex"));
-  if (!decodedCborBytes.ipfs) {
+  const { ipfs, solc } = decodedCborBytes;
+  return {
+    ipfs: ipfs?.toString("hex"),
+    solc: Buffer.isBuffer(solc) ? Array.from(solc).join(".") : solc,
+  };
+}
+
+/**
+ * Returns the hex encoded IPFS hash of a metadata file, as embedded in the runtime bytecode.
+ */
+export async function getMetadataIpfsHash(
+  rawMetadata: string
+): Promise<string> {
+  const metadataHash = await Hash.of(rawMetadata); // the library output is bs58 encoded by default
+  return Buffer.from(bs58.decode(metadataHash)).toString("hex");
+}
+
+/**
+ * Strips the metadata hash bytes from a contract's runtime bytecode. The hash is cbor-encoded and must
+ * be decoded to reveal the ipfs hash stored in the object.
+ *
+ * NOTE: This function only works for bytecode that are generated with "settings.metadata.bytecodeHash"
+ * set to default of "ipfs".
+ */
+function getCborDecodedIpfsHash(runtimeBytecode: string): string {
+  const { ipfs } = getCborDecodedMetadata(runtimeBytecode);
+  if (!ipfs) {
     throw new Error(
       "IPFS hash not detected. Metadata uploaded via alternative methods."
     );
   }
-  return decodedCborBytes.ipfs.toString("hex");
+  return ipfs;
 }
 
 /**
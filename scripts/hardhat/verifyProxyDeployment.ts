@@ -0,0 +1,287 @@
+/**
+ * Copyright 2024 Circle Internet Group, Inc. All rights reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { ethers } from "ethers";
+import { writeFileSync } from "fs";
+import { task } from "hardhat/config";
+import { HardhatRuntimeEnvironment, LinkReferences } from "hardhat/types";
+import { hardhatArgumentTypes } from "./hardhatArgumentTypes";
+import {
+  FiatTokenProxy_SLOT_ADDRESSES,
+  readAddressFromStorageSlot,
+} from "./readValuesFromContract";
+import {
+  BytecodeVerificationReport,
+  BytecodeVerificationType,
+  createBytecodeVerificationReport,
+  formatBytecodeVerificationReports,
+  getContractArtifact,
+  logBytecodeComparisonResults,
+  ReportFormat,
+  TaskArguments as VerifyOnChainBytecodeTaskArguments,
+  verifyOnChainBytecode,
+} from "./verifyOnChainBytecode";
+
+type TaskArguments = {
+  proxyAddress: string;
+  proxyContractName: string;
+  implementationContractName: string;
+  verificationType: BytecodeVerificationType;
+  proxyCreationTxHash?: string;
+  implementationCreationTxHash?: string;
+  showBytecodeDiff: boolean;
+  format: ReportFormat;
+  outputFilePath?: string;
+};
+
+export type ProxyDeploymentReport = {
+  chainId: number;
+  proxyAddress: string;
+  admin: string; // read from the admin slot of the proxy
+  implementation: string; // read from the implementation slot of the proxy
+  libraries: Record<string, string>; // library addresses linked by the implementation, by library name
+  passed: boolean; // if the proxy, the implementation and all libraries are verified
+  contracts: BytecodeVerificationReport[];
+};
+
+task(
+  "verifyProxyDeployment",
+  "Verifies the bytecode of a FiatTokenProxy, its current implementation and the libraries linked by the implementation."
+)
+  .addParam(
+    "proxyAddress",
+    "The address of the proxy contract",
+    undefined,
+    hardhatArgumentTypes.address
+  )
+  .addOptionalParam(
+    "proxyContractName",
+    "The name of the proxy contract",
+    "FiatTokenProxy",
+    hardhatArgumentTypes.string
+  )
+  .addOptionalParam(
+    "implementationContractName",
+    "The name of the implementation contract the proxy is expected to point to",
+    "FiatTokenV2_2",
+    hardhatArgumentTypes.string
+  )
+  .addOptionalParam(
+    "verificationType",
+    "Checks metadata if set to 'full', skips metadata checking if set to 'partial'.",
+    BytecodeVerificationType.Partial,
+    hardhatArgumentTypes.oneOf(Object.values(BytecodeVerificationType))
+  )
+  .addOptionalParam(
+    "proxyCreationTxHash",
+    "Transaction hash of the proxy contract creation transaction. Compares the constructor code if set.",
+    undefined,
+    hardhatArgumentTypes.string
+  )
+  .addOptionalParam(
+    "implementationCreationTxHash",
+    "Transaction hash of the implementation contract creation transaction. Compares the constructor code if set.",
+    undefined,
+    hardhatArgumentTypes.string
+  )
+  .addFlag(
+    "showBytecodeDiff",
+    "Reports the differing instructions on a runtime bytecode mismatch"
+  )
+  .addOptionalParam(
+    "format",
+    "The format of the consolidated verification report",
+    ReportFormat.Text,
+    hardhatArgumentTypes.oneOf(Object.values(ReportFormat))
+  )
+  .addOptionalParam(
+    "outputFilePath",
+    "Local file path to write the 'json' or 'junit' verification report to, instead of the console",
+    undefined,
+    hardhatArgumentTypes.string
+  )
+  .setAction(taskAction);
+
+async function taskAction(
+  {
+    proxyAddress,
+    proxyContractName,
+    implementationContractName,
+    verificationType,
+    proxyCreationTxHash,
+    implementationCreationTxHash,
+    showBytecodeDiff,
+    format,
+    outputFilePath,
+  }: TaskArguments,
+  hre: HardhatRuntimeEnvironment
+) {
+  const admin = await readAddressFromStorageSlot(
+    hre,
+    proxyAddress,
+    FiatTokenProxy_SLOT_ADDRESSES.admin
+  );
+  const implementation = await readAddressFromStorageSlot(
+    hre,
+    proxyAddress,
+    FiatTokenProxy_SLOT_ADDRESSES.implementation
+  );
+  const implementationBytecode = await hre.ethers.provider.getCode(
+    implementation
+  );
+  if (implementationBytecode === "0x") {
+    throw new Error(
+      `Cannot find implementation contract at address '${implementation}'!`
+    );
+  }
+  if (format === ReportFormat.Text) {
+    console.log(`Proxy admin: ${admin}`);
+    console.log(`Proxy implementation: ${implementation}`);
+  }
+
+  // ==== Discover the libraries linked by the implementation
+  // If the implementation does not match the artifact, the library addresses cannot be read,
+  // and the implementation fails verification below.
+  let libraries: Record<string, string> = {};
+  try {
+    libraries = findLinkedLibraryAddresses(
+      implementationBytecode,
+      getContractArtifact(implementationContractName, undefined)
+        .runtimeLinkReferences
+    );
+  } catch (e) {
+    console.warn(
+      `Cannot find the libraries linked by ${implementationContractName}: ${
+        (e as Error).message
+      }`
+    );
+  }
+  const libraryNames = Object.keys(libraries);
+  if (libraryNames.length > 1) {
+    throw new Error(
+      `${implementationContractName} links more than one library: ${libraryNames.join(
+        ", "
+      )}`
+    );
+  }
+
+  const verifications: VerifyOnChainBytecodeTaskArguments[] = [
+    {
+      contractName: proxyContractName,
+      contractAddress: proxyAddress,
+      verificationType,
+      contractCreationTxHash: proxyCreationTxHash,
+      showBytecodeDiff,
+    },
+    {
+      contractName: implementationContractName,
+      contractAddress: implementation,
+      libraryName: libraryNames[0],
+      libraryAddress: libraries[libraryNames[0]],
+      verificationType,
+      contractCreationTxHash: implementationCreationTxHash,
+      showBytecodeDiff,
+    },
+    ...libraryNames.map((libraryName) => ({
+      contractName: libraryName,
+      contractAddress: libraries[libraryName],
+      isLibrary: true,
+      verificationType,
+      showBytecodeDiff,
+    })),
+  ];
+
+  const reports: BytecodeVerificationReport[] = [];
+  for (const verification of verifications) {
+    const results = await verifyOnChainBytecode(verification, hre);
+    if (format === ReportFormat.Text) {
+      console.log(
+        `\nVerifying ${verification.contractName} at ${verification.contractAddress}`
+      );
+      logBytecodeComparisonResults(results);
+    }
+    reports.push(
+      await createBytecodeVerificationReport(verification, results, hre)
+    );
+  }
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const report: ProxyDeploymentReport = {
+    chainId: Number(chainId),
+    proxyAddress,
+    admin,
+    implementation,
+    libraries,
+    passed: reports.every(({ passed }) => passed),
+    contracts: reports,
+  };
+
+  if (format === ReportFormat.Text) {
+    console.log("\x1b[0m");
+    console.table(
+      reports.map(({ contractName, contractAddress, passed }) => ({
+        contractName,
+        contractAddress,
+        passed,
+      }))
+    );
+  } else {
+    const indent = 2;
+    const formattedReport =
+      format === ReportFormat.Json
+        ? JSON.stringify(report, null, indent)
+        : formatBytecodeVerificationReports(reports, format);
+    if (outputFilePath) {
+      writeFileSync(outputFilePath, formattedReport);
+      console.log(`Verification report written to '${outputFilePath}'`);
+    } else {
+      console.log(formattedReport);
+    }
+  }
+
+  if (!report.passed) {
+    throw new Error("Deployment verification failed");
+  }
+}
+
+/**
+ * Reads the addresses of the libraries linked by a contract from its runtime bytecode,
+ * at the positions of the link references in its artifact.
+ */
+export function findLinkedLibraryAddresses(
+  runtimeBytecode: string,
+  runtimeLinkReferences: LinkReferences
+): Record<string, string> {
+  const libraries: Record<string, string> = {};
+  for (const sourceLibraries of Object.values(runtimeLinkReferences ?? {})) {
+    for (const [libraryName, positions] of Object.entries(sourceLibraries)) {
+      const addresses = new Set(
+        positions.map(({ start, length }) =>
+          runtimeBytecode.slice(2 + start * 2, 2 + (start + length) * 2)
+        )
+      );
+      if (addresses.size !== 1) {
+        throw new Error(
+          `Found ${addresses.size} different addresses for ${libraryName} in the runtime bytecode!`
+        );
+      }
+      libraries[libraryName] = ethers.getAddress("0x" + [...addresses][0]);
+    }
+  }
+  return libraries;
+}
@@ -20,32 +20,14 @@ import fs from "fs";
 import path from "path";
 import {
   logBytecodeComparisonResults,
-  TaskArguments as VerifyOnChainBytecodeTaskArguments,
   verifyOnChainBytecode,
-  BytecodeVerificationType,
 } from "./hardhat/verifyOnChainBytecode";
 import hre from "hardhat";
 import { HttpNetworkConfig } from "hardhat/types";
-import { ethers } from "ethers";
-import { ArtifactType } from "./hardhat/alternativeArtifacts";
-import { validateOptimizerRuns } from "./hardhat/helpers";
-
-type ContractInput = {
-  contractAddress: string;
-  contractCreationTxHash: string;
-  metadataFilePath: string;
-  verificationType?: BytecodeVerificationType;
-  artifactType?: ArtifactType;
-  useTracesForCreationBytecode?: boolean;
-  optimizerRuns?: number;
-};
-
-type InputObject = {
-  SignatureChecker: ContractInput;
-  FiatTokenV2_2: ContractInput;
-  FiatTokenProxy: ContractInput;
-  rpcUrl: string;
-};
+import {
+  getVerificationTaskArguments,
+  readVerificationManifest,
+} from "./hardhat/verificationManifest";
 
 const VERIFICATION_ARTIFACTS_DIR = path.join(
   __dirname,
@@ -62,17 +44,15 @@ async function main() {
     );
   }
 
-  if (hre.network.name !== "mainnet") {
-    throw new Error("Hardhat network must be set to 'mainnet'!");
-  }
-
   let failedVerification = 0;
-  const input = validateInput(inputFilePath);
-  (hre.network.config as HttpNetworkConfig).url = input.rpcUrl;
+  const manifest = readVerificationManifest(inputFilePath);
+  useManifestNetwork(manifest.network, manifest.rpcUrl);
 
-  const taskArgs = transformInputToVerifyOnChainBytecodeTaskArguments(input);
+  const taskArgs = getVerificationTaskArguments(manifest);
   for (const taskArg of taskArgs) {
-    console.log(`\n Verifying on chain bytecode for: ${taskArg.contractName}`);
+    console.log(
+      `\n Verifying on chain bytecode for: ${taskArg.contractName} (${taskArg.contractAddress})`
+    );
     const results = await verifyOnChainBytecode(taskArg, hre);
     logBytecodeComparisonResults(results);
 
@@ -88,154 +68,31 @@ async function main() {
   }
 }
 
-function validateInput(filename: string): InputObject {
-  const input = JSON.parse(fs.readFileSync(filename, "utf-8"));
-  if (
-    !input.SignatureChecker ||
-    !input.FiatTokenV2_2 ||
-    !input.FiatTokenProxy ||
-    !input.rpcUrl
-  ) {
-    throw new Error("Missing fields in input file!");
-  }
-  try {
-    // Formats a URL string. Throws a TypeError if the URL string is malformed.
-    input.rpcUrl = new URL(input.rpcUrl).toString();
-  } catch (e) {
-    throw new Error("Invalid URL!");
+/**
+ * Points the selected network at the network named in the input file, or at its RPC URL.
+ * The script must be run with --network set to a JSON-RPC network, whose URL is replaced.
+ */
+function useManifestNetwork(
+  network: string | undefined,
+  rpcUrl: string | undefined
+) {
+  if (!("url" in hre.network.config)) {
+    throw new Error(
+      "Hardhat network must be set to a JSON-RPC network with --network, eg. '--network mainnet'! " +
+        "Its URL is replaced by the rpcUrl, or by the URL of the network, set in the input file."
+    );
   }
-  for (const key of ["SignatureChecker", "FiatTokenV2_2", "FiatTokenProxy"]) {
-    const value = input[key];
-    // Ensure all required fields exist
-    if (!value.contractAddress || !value.contractCreationTxHash) {
-      throw new Error(`Contract config for ${key} contains empty fields`);
-    }
-    // Validate contractAddress (must be a 20-byte address)
-    if (!ethers.isAddress(value.contractAddress)) {
-      throw new Error(
-        `Invalid contractAddress for ${key}: ${value.contractAddress}`
-      );
-    }
-    // Validate contractCreationTxHash (must be a 32-byte hash)
-    if (!ethers.isHexString(value.contractCreationTxHash, 32)) {
-      throw new Error(
-        `Invalid contractCreationTxHash for ${key}: ${value.contractCreationTxHash}`
-      );
-    }
-    // Validate verificationType if present
-    if (
-      value.verificationType !== undefined &&
-      !Object.values(BytecodeVerificationType).includes(value.verificationType)
-    ) {
-      throw new Error(
-        `Invalid verificationType for ${key}: ${value.verificationType}`
-      );
-    }
-    // Validate artifactType if present
-    if (
-      value.artifactType !== undefined &&
-      !Object.values(ArtifactType).includes(value.artifactType)
-    ) {
-      throw new Error(`Invalid artifactType for ${key}: ${value.artifactType}`);
-    }
-    // Validate useTracesForCreationBytecode if present
-    if (
-      value.useTracesForCreationBytecode !== undefined &&
-      typeof value.useTracesForCreationBytecode !== "boolean"
-    ) {
-      throw new Error(
-        `Invalid useTracesForCreationBytecode for ${key}: ${value.useTracesForCreationBytecode}`
-      );
-    }
-    // Validate optimizerRuns if present
-    if (value.optimizerRuns !== undefined) {
-      try {
-        validateOptimizerRuns(value.optimizerRuns);
-      } catch (e) {
-        throw new Error(
-          `Invalid optimizerRuns for ${key}: ${value.optimizerRuns}`
-        );
-      }
-    }
-
-    // If verification type isn't "full," validate metadataFilePath (file must exist)
-    if (value.verificationType !== BytecodeVerificationType.Full) {
-      const metadataFilePath = path.join(
-        VERIFICATION_ARTIFACTS_DIR,
-        `${key}.json`
-      );
-      if (!fs.existsSync(metadataFilePath)) {
-        throw new Error(
-          `Invalid metadataFilePath for ${key}: File does not exist`
-        );
-      }
+  let url = rpcUrl;
+  if (!url && network && network !== hre.network.name) {
+    const networkConfig = hre.config.networks[network];
+    if (!networkConfig || !("url" in networkConfig)) {
+      throw new Error(`Network '${network}' not found in the hardhat config!`);
     }
+    url = networkConfig.url;
+  }
+  if (url) {
+    (hre.network.config as HttpNetworkConfig).url = url;
   }
-
-  return input as InputObject;
-}
-
-function transformInputToVerifyOnChainBytecodeTaskArguments(
-  input: InputObject
-): VerifyOnChainBytecodeTaskArguments[] {
-  // Impl Contract
-  const taskArgsImpl: VerifyOnChainBytecodeTaskArguments = {
-    contractName: "FiatTokenV2_2",
-    contractAddress: input.FiatTokenV2_2.contractAddress,
-    libraryName: "SignatureChecker",
-    libraryAddress: input.SignatureChecker.contractAddress,
-    isLibrary: false,
-    verificationType:
-      input.FiatTokenV2_2.verificationType || BytecodeVerificationType.Partial,
-    metadataFilePath:
-      input.FiatTokenV2_2.verificationType === BytecodeVerificationType.Full
-        ? undefined
-        : "verification_artifacts/FiatTokenV2_2.json",
-    contractCreationTxHash: input.FiatTokenV2_2.contractCreationTxHash,
-    useTracesForCreationBytecode:
-      input.FiatTokenV2_2.useTracesForCreationBytecode,
-    artifactType: input.FiatTokenV2_2.artifactType,
-    optimizerRuns: input.FiatTokenV2_2.optimizerRuns,
-  };
-
-  // Proxy
-  const taskArgsProxy: VerifyOnChainBytecodeTaskArguments = {
-    contractName: "FiatTokenProxy",
-    contractAddress: input.FiatTokenProxy.contractAddress,
-    isLibrary: false,
-    verificationType:
-      input.FiatTokenProxy.verificationType || BytecodeVerificationType.Partial,
-    metadataFilePath:
-      input.FiatTokenProxy.verificationType === BytecodeVerificationType.Full
-        ? undefined
-        : "verification_artifacts/FiatTokenProxy.json",
-    contractCreationTxHash: input.FiatTokenProxy.contractCreationTxHash,
-    useTracesForCreationBytecode:
-      input.FiatTokenProxy.useTracesForCreationBytecode,
-    artifactType: input.FiatTokenProxy.artifactType,
-    optimizerRuns: input.FiatTokenProxy.optimizerRuns,
-  };
-
-  // Signature Checker
-  const taskArgsLib: VerifyOnChainBytecodeTaskArguments = {
-    contractName: "SignatureChecker",
-    contractAddress: input.SignatureChecker.contractAddress,
-    isLibrary: true,
-    verificationType:
-      input.SignatureChecker.verificationType ||
-      BytecodeVerificationType.Partial,
-    metadataFilePath:
-      input.SignatureChecker.verificationType === BytecodeVerificationType.Full
-        ? undefined
-        : "verification_artifacts/SignatureChecker.json",
-    contractCreationTxHash: input.SignatureChecker.contractCreationTxHash,
-    useTracesForCreationBytecode:
-      input.SignatureChecker.useTracesForCreationBytecode,
-    artifactType: input.SignatureChecker.artifactType,
-    optimizerRuns: input.SignatureChecker.optimizerRuns,
-  };
-
-  return [taskArgsImpl, taskArgsProxy, taskArgsLib];
 }
 
 main().catch((error) => {
@@ -0,0 +1,139 @@
+/**
+ * Copyright 2024 Circle Internet Group, Inc. All rights reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  getAlternativeArtifact,
+  getAlternativeArtifactTypes,
+} from "../../../scripts/hardhat/alternativeArtifacts";
+
+describe("alternativeArtifacts", () => {
+  const linkReferences = {
+    "contracts/util/SignatureChecker.sol": {
+      SignatureChecker: [{ start: 2, length: 20 }],
+    },
+  };
+
+  let tmpDir: string;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "cached-artifacts-"));
+    fs.writeFileSync(
+      path.join(tmpDir, "exampleFiatTokenV2_2.json"),
+      JSON.stringify({
+        artifactType: "Example",
+        chain: "Example Chain",
+        contractName: "FiatTokenV2_2",
+        creationBytecodeFile: "exampleFiatTokenV2_2CreationBytecode.bin",
+        runtimeBytecodeFile: "exampleFiatTokenV2_2RuntimeBytecode.bin",
+        runtimeLinkReferences: linkReferences,
+      })
+    );
+    fs.writeFileSync(
+      path.join(tmpDir, "exampleFiatTokenV2_2CreationBytecode.bin"),
+      "60806040\n"
+    );
+    fs.writeFileSync(
+      path.join(tmpDir, "exampleFiatTokenProxy.json"),
+      JSON.stringify({
+        artifactType: "Example",
+        chain: "Example Chain",
+        contractName: "FiatTokenProxy",
+        creationBytecodeFile: "missing.bin",
+        runtimeBytecodeFile: "missing.bin",
+      })
+    );
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("lists the artifact types in the cached artifacts directory", () => {
+    expect(getAlternativeArtifactTypes()).to.include("OPMainnet");
+    expect(getAlternativeArtifactTypes(tmpDir)).to.deep.equal(["Example"]);
+    expect(
+      getAlternativeArtifactTypes(path.join(tmpDir, "missing"))
+    ).to.deep.equal([]);
+  });
+
+  it("reads an artifact from its descriptor", () => {
+    fs.writeFileSync(
+      path.join(tmpDir, "exampleFiatTokenV2_2RuntimeBytecode.bin"),
+      "6080"
+    );
+    expect(
+      getAlternativeArtifact("FiatTokenV2_2", "Example", tmpDir)
+    ).to.deep.equal({
+      creationBytecode: "0x60806040",
+      runtimeBytecode: "0x6080",
+      creationLinkReferences: {},
+      runtimeLinkReferences: linkReferences,
+      runtimeImmutableReferences: undefined,
+    });
+  });
+
+  it("only fails when a missing artifact is requested", () => {
+    expect(() =>
+      getAlternativeArtifact("FiatTokenProxy", "Example", tmpDir)
+    ).to.throw(
+      `Cached artifact '${path.join(tmpDir, "missing.bin")}' not found`
+    );
+    expect(() =>
+      getAlternativeArtifact("MasterMinter", "Example", tmpDir)
+    ).to.throw(
+      "artifact not found for contract MasterMinter for artifact type Example"
+    );
+    expect(() =>
+      getAlternativeArtifact("FiatTokenProxy", "OPMainnet", tmpDir)
+    ).to.throw("artifact type OPMainnet not supported");
+  });
+
+  it("only validates the descriptors of the requested artifact type", () => {
+    const brokenDir = fs.mkdtempSync(path.join(tmpDir, "broken-"));
+    for (const filename of fs.readdirSync(tmpDir)) {
+      if (filename.startsWith("example")) {
+        fs.copyFileSync(
+          path.join(tmpDir, filename),
+          path.join(brokenDir, filename)
+        );
+      }
+    }
+    fs.writeFileSync(
+      path.join(brokenDir, "brokenFiatTokenV2_2.json"),
+      JSON.stringify({ artifactType: "Broken", contractName: "FiatTokenV2_2" })
+    );
+    fs.writeFileSync(path.join(brokenDir, "unrelated.json"), "{ not json");
+
+    expect(
+      getAlternativeArtifact("FiatTokenV2_2", "Example", brokenDir)
+        .runtimeBytecode
+    ).to.equal("0x6080");
+    expect(getAlternativeArtifactTypes(brokenDir)).to.deep.equal([
+      "Broken",
+      "Example",
+    ]);
+    expect(() =>
+      getAlternativeArtifact("FiatTokenV2_2", "Broken", brokenDir)
+    ).to.throw(
+      "Invalid artifact descriptor 'brokenFiatTokenV2_2.json': missing creationBytecodeFile"
+    );
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Copyright 2024 Circle Internet Group, Inc. All rights reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import hre from "hardhat";
+import * as sinon from "sinon";
+import { Contract, JsonRpcProvider } from "ethers";
+import { HardhatRuntimeEnvironment } from "hardhat/types";
+import {
+  BALANCE_AND_BLACKLIST_STATES_SLOT,
+  decodeBalanceAndBlacklistState,
+  getBatchProvider,
+  INITIALIZED_VERSION_SLOT,
+  readAccountStates,
+  readInitializedVersion,
+  readPackedAccountStates,
+} from "../../../scripts/hardhat/batchReader";
+import {
+  getStateVariableSlot,
+  getStorageLayout,
+} from "../../../scripts/hardhat/storageLayout";
+import { HARDHAT_ACCOUNTS, POW_2_255_BN } from "../../helpers/constants";
+
+describe("batchReader", () => {
+  describe("readAccountStates", () => {
+    const accounts = HARDHAT_ACCOUNTS.slice(1, 8);
+    const blacklistedAccounts = accounts.slice(0, 4);
+
+    let fiatToken: Contract;
+    let blockNumberBeforeBlacklist: number;
+
+    before("setup", async () => {
+      const [owner] = await hre.ethers.getSigners();
+      fiatToken = await hre.ethers.deployContract("FiatTokenV1");
+      await fiatToken.initialize(
+        "USD Coin",
+        "USDC",
+        "USD",
+        6,
+        owner.address,
+        owner.address,
+        owner.address,
+        owner.address
+      );
+      await fiatToken.configureMinter(owner.address, 1000);
+      await fiatToken.mint(accounts[0], 100);
+      await fiatToken.mint(accounts[5], 200);
+      blockNumberBeforeBlacklist = await hre.ethers.provider.getBlockNumber();
+
+      for (const account of blacklistedAccounts) {
+        await fiatToken.blacklist(account);
+      }
+    });
+
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it("reads the blacklist state of every account in order", async () => {
+      const progress: number[] = [];
+      const states = await readAccountStates(
+        hre,
+        await fiatToken.getAddress(),
+        accounts,
+        {
+          batchSize: 3,
+          concurrency: 2,
+          onProgress: (readCount) => progress.push(readCount),
+        }
+      );
+
+      expect(states.map((state) => state.address)).to.deep.equal(accounts);
+      expect(states.map((state) => state.isBlacklisted)).to.deep.equal(
+        accounts.map((account) => blacklistedAccounts.includes(account))
+      );
+      expect(states.every((state) => state.balance === undefined)).to.be.true;
+      expect(progress.sort((a, b) => a - b)).to.deep.equal([3, 6, 7]);
+    });
+
+    it("reads balances and the state at a past block", async () => {
+      const states = await readAccountStates(
+        hre,
+        await fiatToken.getAddress(),
+        accounts,
+        { blockTag: blockNumberBeforeBlacklist, includeBalances: true }
+      );
+
+      expect(states.every((state) => !state.isBlacklisted)).to.be.true;
+      expect(states[0].balance).to.equal(BigInt(100));
+      expect(states[5].balance).to.equal(BigInt(200));
+      expect(states[1].balance).to.equal(BigInt(0));
+    });
+
+    it("rejects batch sizes below 1", async () => {
+      await expect(
+        readAccountStates(hre, await fiatToken.getAddress(), accounts, {
+          batchSize: 0,
+        })
+      ).to.be.rejectedWith("invalid batch size");
+    });
+
+    it("retries failed batches", async () => {
+      const call = sinon.stub(hre.ethers.provider, "call");
+      call.callThrough();
+      call.onFirstCall().rejects(new Error("socket hang up"));
+      call.onSecondCall().rejects(new Error("socket hang up"));
+
+      const states = await readAccountStates(
+        hre,
+        await fiatToken.getAddress(),
+        accounts,
+        { batchSize: 3, concurrency: 1, baseDelayMs: 1 }
+      );
+
+      expect(states.map((state) => state.isBlacklisted)).to.deep.equal(
+        accounts.map((account) => blacklistedAccounts.includes(account))
+      );
+    });
+
+    it("fails once a batch has been retried maxRetries times", async () => {
+      const call = sinon
+        .stub(hre.ethers.provider, "call")
+        .rejects(new Error("socket hang up"));
+
+      await expect(
+        readAccountStates(hre, await fiatToken.getAddress(), accounts, {
+          maxRetries: 2,
+          baseDelayMs: 1,
+        })
+      ).to.be.rejectedWith("socket hang up");
+      // Every account of the single batch is read 3 times
+      expect(call.callCount).to.equal(accounts.length * 3);
+    });
+
+    it("readInitializedVersion reads 0 before V2", async () => {
+      expect(
+        await readInitializedVersion(hre, await fiatToken.getAddress())
+      ).to.equal(0);
+    });
+
+    it("readPackedAccountStates reads the balances from the storage slots", async () => {
+      // Before V2_2, the slots only hold the balance.
+      const states = await readPackedAccountStates(
+        hre,
+        await fiatToken.getAddress(),
+        accounts,
+        { batchSize: 2 }
+      );
+
+      expect(states.every((state) => !state.isBlacklisted)).to.be.true;
+      expect(states[0].balance).to.equal(BigInt(100));
+      expect(states[5].balance).to.equal(BigInt(200));
+    });
+  });
+
+  it("uses the slots of the FiatTokenV2_2 storage layout", () => {
+    const layout = getStorageLayout("FiatTokenV2_2");
+    expect(getStateVariableSlot(layout, "balanceAndBlacklistStates")).to.equal(
+      BALANCE_AND_BLACKLIST_STATES_SLOT
+    );
+    expect(getStateVariableSlot(layout, "_initializedVersion")).to.equal(
+      INITIALIZED_VERSION_SLOT
+    );
+  });
+
+  describe("getBatchProvider", () => {
+    it("sends the HTTP headers of the network", () => {
+      const provider = getBatchProvider(
+        ({
+          network: {
+            config: {
+              url: "http://localhost:8545",
+              httpHeaders: { Authorization: "Bearer token" },
+            },
+          },
+        } as unknown) as HardhatRuntimeEnvironment,
+        10
+      ) as JsonRpcProvider;
+
+      try {
+        expect(provider._getConnection().url).to.equal("http://localhost:8545");
+        expect(provider._getConnection().getHeader("Authorization")).to.equal(
+          "Bearer token"
+        );
+      } finally {
+        provider.destroy();
+      }
+    });
+  });
+
+  describe("decodeBalanceAndBlacklistState", () => {
+    it("decodes the blacklist state from the high bit", () => {
+      expect(
+        decodeBalanceAndBlacklistState(
+          "0x" + POW_2_255_BN.addn(123).toString(16, 64)
+        )
+      ).to.deep.equal({ isBlacklisted: true, balance: BigInt(123) });
+      expect(
+        decodeBalanceAndBlacklistState(
+          "0x" + (123).toString(16).padStart(64, "0")
+        )
+      ).to.deep.equal({ isBlacklisted: false, balance: BigInt(123) });
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Copyright 2024 Circle Internet Group, Inc. All rights reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {
+  diffBytecode,
+  disassemble,
+  formatBytecodeDiff,
+} from "../../../scripts/hardhat/bytecodeDiff";
+
+describe("bytecodeDiff", () => {
+  describe("disassemble", () => {
+    it("disassembles instructions with their push data", () => {
+      expect(disassemble("0x6080604052348015600f57600080fd5b00")).to.deep.equal(
+        [
+          { offset: 0, size: 2, name: "PUSH1", pushData: "80" },
+          { offset: 2, size: 2, name: "PUSH1", pushData: "40" },
+          { offset: 4, size: 1, name: "MSTORE" },
+          { offset: 5, size: 1, name: "CALLVALUE" },
+          { offset: 6, size: 1, name: "DUP1" },
+          { offset: 7, size: 1, name: "ISZERO" },
+          { offset: 8, size: 2, name: "PUSH1", pushData: "0f" },
+          { offset: 10, size: 1, name: "JUMPI" },
+          { offset: 11, size: 2, name: "PUSH1", pushData: "00" },
+          { offset: 13, size: 1, name: "DUP1" },
+          { offset: 14, size: 1, name: "REVERT" },
+          { offset: 15, size: 1, name: "JUMPDEST" },
+          { offset: 16, size: 1, name: "STOP" },
+        ]
+      );
+    });
+
+    it("keeps unlinked library placeholders and truncated push data", () => {
+      const placeholder = "__$5f5f5f5f5f5f5f5f5f5f5f5f5f5f5f5f5f$__";
+      expect(disassemble(`0x73${placeholder}f461`)).to.deep.equal([
+        { offset: 0, size: 21, name: "PUSH20", pushData: placeholder },
+        { offset: 21, size: 1, name: "DELEGATECALL" },
+        { offset: 22, size: 3, name: "PUSH2", pushData: "" },
+      ]);
+    });
+  });
+
+  describe("diffBytecode", () => {
+    const address = "11".repeat(20);
+    const otherAddress = "22".repeat(20);
+
+    it("returns no hunks for identical bytecode", () => {
+      expect(diffBytecode("0x600160020100", "0x600160020100")).to.deep.equal(
+        []
+      );
+    });
+
+    it("annotates differing push data with the known regions", () => {
+      const hunks = diffBytecode(
+        `0x6001600201${"73" + address}5000`,
+        `0x6001600201${"73" + otherAddress}5000`,
+        {
+          knownRegions: [
+            { start: 6, length: 20, label: "SignatureChecker library address" },
+          ],
+        }
+      );
+
+      expect(hunks).to.deep.equal([
+        {
+          expectedOffset: 5,
+          actualOffset: 5,
+          expected: [`0x0005 PUSH20 0x${address}`],
+          actual: [`0x0005 PUSH20 0x${otherAddress}`],
+          causes: ["SignatureChecker library address"],
+          explained: true,
+        },
+      ]);
+      expect(formatBytecodeDiff(hunks)).to.equal(
+        "@@ expected 0x5, actual 0x5 @@ known cause: SignatureChecker library address\n" +
+          `- 0x0005 PUSH20 0x${address}\n` +
+          `+ 0x0005 PUSH20 0x${otherAddress}`
+      );
+    });
+
+    it("aligns the instructions around inserted and removed instructions", () => {
+      const hunks = diffBytecode("0x6001600201500000", "0x60015b6002010000");
+
+      expect(hunks).to.deep.equal([
+        {
+          expectedOffset: 2,
+          actualOffset: 2,
+          expected: [],
+          actual: ["0x0002 JUMPDEST"],
+          causes: [],
+          explained: false,
+        },
+        {
+          expectedOffset: 5,
+          actualOffset: 6,
+          expected: ["0x0005 POP"],
+          actual: [],
+          causes: [],
+          explained: false,
+        },
+      ]);
+      expect(formatBytecodeDiff(hunks)).to.include("unknown cause");
+    });
+
+    it("compares the metadata as a single instruction", () => {
+      const hunks = diffBytecode("0x6001a1b2c30003", "0x6001a1b2c40003", {
+        expectedMetadataLength: 5,
+        actualMetadataLength: 5,
+        knownRegions: [{ start: 2, length: 5, label: "CBOR metadata" }],
+      });
+
+      expect(hunks).to.deep.equal([
+        {
+          expectedOffset: 2,
+          actualOffset: 2,
+          expected: ["0x0002 METADATA 0xa1b2c30003"],
+          actual: ["0x0002 METADATA 0xa1b2c40003"],
+          causes: ["CBOR metadata"],
+          explained: true,
+        },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Copyright 2024 Circle Internet Group, Inc. All rights reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import hre from "hardhat";
+import _ from "lodash";
+import {
+  compareStorageLayouts,
+  getStorageLayout,
+  StorageLayout,
+  StorageLayoutEntry,
+  StorageLayoutProblemType,
+} from "../../../scripts/hardhat/storageLayout";
+
+describe("checkStorageLayout", () => {
+  let layout: StorageLayout;
+
+  before("setup", () => {
+    layout = getStorageLayout("FiatTokenV1");
+  });
+
+  function mutate(mutation: (layout: StorageLayout) => void): StorageLayout {
+    const mutatedLayout = _.cloneDeep(layout);
+    mutation(mutatedLayout);
+    return mutatedLayout;
+  }
+
+  function findEntry(layout: StorageLayout, label: string) {
+    const entry = layout.storage.find((entry) => entry.label === label);
+    if (!entry) {
+      throw new Error(`${label} not found`);
+    }
+    return entry;
+  }
+
+  it("accepts an identical layout, and new variables appended to the end", () => {
+    const appendedLayout = mutate(({ storage }) =>
+      storage.push({
+        ..._.last(storage),
+        label: "newVariable",
+        slot: "100",
+      } as StorageLayoutEntry)
+    );
+
+    expect(compareStorageLayouts(layout, layout)).to.deep.equal([]);
+    expect(compareStorageLayouts(layout, appendedLayout)).to.deep.equal([]);
+  });
+
+  it("detects reordered, retyped, removed and renamed variables", () => {
+    const problemTypes = (mutation: (layout: StorageLayout) => void) =>
+      compareStorageLayouts(layout, mutate(mutation)).map(({ type, label }) => [
+        type,
+        label,
+      ]);
+    const uint256Type = findEntry(layout, "totalSupply_").type;
+
+    expect(
+      problemTypes((layout) => {
+        const pauser = findEntry(layout, "pauser");
+        const blacklister = findEntry(layout, "blacklister");
+        [pauser.slot, blacklister.slot] = [blacklister.slot, pauser.slot];
+      })
+    ).to.deep.equal([
+      [StorageLayoutProblemType.Reordered, "pauser"],
+      [StorageLayoutProblemType.Reordered, "blacklister"],
+    ]);
+    expect(
+      problemTypes((layout) => {
+        findEntry(layout, "masterMinter").type = uint256Type;
+      })
+    ).to.deep.equal([[StorageLayoutProblemType.Retyped, "masterMinter"]]);
+    expect(
+      problemTypes((layout) => {
+        layout.storage = layout.storage.filter(
+          ({ label }) => label !== "totalSupply_"
+        );
+      })
+    ).to.deep.equal([[StorageLayoutProblemType.Removed, "totalSupply_"]]);
+    expect(
+      problemTypes((layout) => {
+        Object.assign(findEntry(layout, "blacklister"), {
+          label: "rescuer",
+          type: uint256Type,
+        });
+      })
+    ).to.deep.equal([
+      [StorageLayoutProblemType.RenamedAndRetyped, "blacklister"],
+    ]);
+    expect(
+      problemTypes((layout) => {
+        findEntry(layout, "allowed").label = "_deprecatedAllowed";
+      })
+    ).to.deep.equal([[StorageLayoutProblemType.Renamed, "allowed"]]);
+  });
+
+  it("detects variables inserted by a base contract", () => {
+    const insertedLayout = mutate(({ storage }) => {
+      for (const entry of storage) {
+        entry.slot = String(Number(entry.slot) + 1);
+      }
+      storage.unshift({ ...storage[0], label: "_base", slot: "0", offset: 0 });
+    });
+
+    const problems = compareStorageLayouts(layout, insertedLayout);
+    expect(problems).to.deep.include({
+      type: StorageLayoutProblemType.Inserted,
+      label: "_base",
+      current: "_base address at slot 0, offset 0",
+    });
+    expect(
+      problems.filter(({ type }) => type === StorageLayoutProblemType.Inserted)
+    ).to.have.length(1);
+  });
+
+  it("fails if a contract is incompatible with the previous version", async () => {
+    await hre.run("checkStorageLayout", {
+      contractNames: [
+        "FiatTokenV1",
+        "FiatTokenV1_1",
+        "FiatTokenV2",
+        "FiatTokenV2_1",
+        "FiatTokenV2_2",
+      ],
+    });
+    await expect(
+      hre.run("checkStorageLayout", {
+        previousContractName: "FiatTokenV2_2",
+        contractNames: ["UpgradedFiatTokenV2_2NewFieldsTest", "FiatTokenV1"],
+      })
+    ).to.be.rejectedWith("Incompatible storage layout: FiatTokenV1");
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Copyright 2024 Circle Internet Group, Inc. All rights reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import hre from "hardhat";
+import fs from "fs";
+import * as sinon from "sinon";
+import { HARDHAT_ACCOUNTS } from "../../helpers/constants";
+
+describe("diffBlacklists", () => {
+  const baseFilepath = "artifacts/test/diffBlacklists.base.json";
+  const targetFilepath = "artifacts/test/diffBlacklists.target.json";
+  const outputFilepath = "artifacts/test/diffBlacklists.out.json";
+  const [
+    ,
+    proxyAdmin,
+    masterMinter,
+    pauser,
+    blacklister,
+    owner,
+    alice,
+    bob,
+    charlie,
+  ] = HARDHAT_ACCOUNTS;
+
+  before("setup", () => {
+    fs.mkdirSync("artifacts/test", { recursive: true });
+    fs.writeFileSync(baseFilepath, JSON.stringify([alice, bob]));
+    fs.writeFileSync(targetFilepath, JSON.stringify([bob, charlie]));
+  });
+
+  beforeEach(() => {
+    sinon.stub(console, "log");
+    sinon.stub(console, "table");
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it("compares two blacklist files", async () => {
+    await hre.run("diffBlacklists", {
+      baseFilepath,
+      targetFilepath,
+      format: "json",
+      outputFilepath,
+    });
+
+    expect(JSON.parse(fs.readFileSync(outputFilepath, "utf-8"))).to.deep.equal({
+      added: [charlie],
+      removed: [alice],
+      unchanged: [bob],
+    });
+  });
+
+  it("lists unchanged accounts in the table format", async () => {
+    await hre.run("diffBlacklists", { baseFilepath, targetFilepath });
+
+    sinon.assert.calledOnceWithExactly(console.table as sinon.SinonStub, [
+      { change: "added", address: charlie },
+      { change: "removed", address: alice },
+      { change: "unchanged", address: bob },
+    ]);
+  });
+
+  it("rejects outputFilepath in the table format", async () => {
+    await expect(
+      hre.run("diffBlacklists", {
+        baseFilepath,
+        targetFilepath,
+        outputFilepath,
+      })
+    ).to.be.rejectedWith("outputFilepath is not supported");
+  });
+
+  it("fails on a non-empty diff with --expect-empty", async () => {
+    await expect(
+      hre.run("diffBlacklists", {
+        baseFilepath,
+        targetFilepath,
+        expectEmpty: true,
+      })
+    ).to.be.rejectedWith("Blacklists are different!");
+  });
+
+  it("passes on an empty diff with --expect-empty", async () => {
+    await hre.run("diffBlacklists", {
+      baseFilepath,
+      targetFilepath: baseFilepath,
+      expectEmpty: true,
+    });
+  });
+
+  it("compares the blacklist of a contract at two block numbers", async () => {
+    const fiatTokenV1 = await hre.ethers.deployContract("FiatTokenV1");
+    const proxy = await hre.ethers.deployContract("FiatTokenProxy", [
+      fiatTokenV1.target,
+    ]);
+    const startBlockNumber = await hre.ethers.provider.getBlockNumber();
+    await proxy.changeAdmin(proxyAdmin);
+
+    const proxyAsFiatTokenV1 = await hre.ethers.getContractAt(
+      "FiatTokenV1",
+      proxy.target as string
+    );
+    await proxyAsFiatTokenV1.initialize(
+      "USD Coin",
+      "USDC",
+      "USD",
+      6,
+      masterMinter,
+      pauser,
+      blacklister,
+      owner
+    );
+    const asBlacklister = proxyAsFiatTokenV1.connect(
+      await hre.ethers.getSigner(blacklister)
+    );
+    await asBlacklister.getFunction("blacklist")(alice);
+    await asBlacklister.getFunction("blacklist")(bob);
+    const baseBlockNumber = await hre.ethers.provider.getBlockNumber();
+    await asBlacklister.getFunction("unBlacklist")(alice);
+    await asBlacklister.getFunction("blacklist")(charlie);
+    const targetBlockNumber = await hre.ethers.provider.getBlockNumber();
+
+    await hre.run("diffBlacklists", {
+      proxyAddress: proxy.target,
+      startBlockNumber,
+      baseBlockNumber,
+      targetBlockNumber,
+      format: "json",
+      outputFilepath,
+    });
+
+    expect(JSON.parse(fs.readFileSync(outputFilepath, "utf-8"))).to.deep.equal({
+      added: [charlie],
+      removed: [alice],
+      unchanged: [bob],
+    });
+  });
+});
@@ -0,0 +1,414 @@
+/**
+ * Copyright 2024 Circle Internet Group, Inc. All rights reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import hre from "hardhat";
+import fs from "fs";
+import path from "path";
+import * as sinon from "sinon";
+import { Contract } from "ethers";
+import { HARDHAT_ACCOUNTS } from "../../helpers/constants";
+
+describe("downloadBlacklistedAccounts", () => {
+  const rootDir = path.join(__dirname, "..", "..", "..");
+  const outputFile = path.join(rootDir, "blacklist.remote.json");
+  const checkpointFile = path.join(rootDir, "blacklist.remote.checkpoint.json");
+  const [
+    ,
+    proxyAdmin,
+    masterMinter,
+    pauser,
+    blacklister,
+    owner,
+    alice,
+    bob,
+    charlie,
+    dave,
+  ] = HARDHAT_ACCOUNTS;
+
+  let proxy: Contract;
+  let proxyAddress: string;
+  let startBlockNumber: number;
+  let aliceBlockNumber: number;
+  let bobBlockNumber: number;
+
+  function download(args: Record<string, unknown> = {}) {
+    return hre.run("downloadBlacklistedAccounts", {
+      proxyAddress,
+      chunkSize: 1,
+      ...args,
+    });
+  }
+
+  function readOutputFile(): string[] {
+    return JSON.parse(fs.readFileSync(outputFile, "utf-8"));
+  }
+
+  function readCheckpointFile() {
+    return JSON.parse(fs.readFileSync(checkpointFile, "utf-8"));
+  }
+
+  function updateCheckpointFile(updates: Record<string, unknown>) {
+    fs.writeFileSync(
+      checkpointFile,
+      JSON.stringify({ ...readCheckpointFile(), ...updates })
+    );
+  }
+
+  function removeFiles() {
+    [outputFile, checkpointFile]
+      .filter((file) => fs.existsSync(file))
+      .forEach((file) => fs.rmSync(file));
+  }
+
+  before("setup", async () => {
+    // Keep any previously downloaded blacklist aside
+    [outputFile, checkpointFile]
+      .filter((file) => fs.existsSync(file))
+      .forEach((file) => fs.renameSync(file, `${file}.bak`));
+
+    const fiatTokenV1 = await hre.ethers.deployContract("FiatTokenV1");
+    proxy = await hre.ethers.deployContract("FiatTokenProxy", [
+      fiatTokenV1.target,
+    ]);
+    proxyAddress = proxy.target as string;
+    startBlockNumber = await hre.ethers.provider.getBlockNumber();
+    await proxy.changeAdmin(proxyAdmin);
+
+    const proxyAsFiatTokenV1 = await hre.ethers.getContractAt(
+      "FiatTokenV1",
+      proxyAddress
+    );
+    await proxyAsFiatTokenV1.initialize(
+      "USD Coin",
+      "USDC",
+      "USD",
+      6,
+      masterMinter,
+      pauser,
+      blacklister,
+      owner
+    );
+    const asBlacklister = proxyAsFiatTokenV1.connect(
+      await hre.ethers.getSigner(blacklister)
+    );
+    await asBlacklister.getFunction("blacklist")(alice);
+    aliceBlockNumber = await hre.ethers.provider.getBlockNumber();
+    await asBlacklister.getFunction("blacklist")(bob);
+    bobBlockNumber = await hre.ethers.provider.getBlockNumber();
+  });
+
+  beforeEach(() => {
+    removeFiles();
+    sinon.stub(console, "log");
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  after(() => {
+    removeFiles();
+    [outputFile, checkpointFile]
+      .filter((file) => fs.existsSync(`${file}.bak`))
+      .forEach((file) => fs.renameSync(`${file}.bak`, file));
+  });
+
+  it("resumes from the checkpoint", async () => {
+    await download({ startBlockNumber, targetBlockNumber: aliceBlockNumber });
+    expect(readOutputFile()).to.deep.equal([alice]);
+    expect(readCheckpointFile().lastProcessedRange.toBlockNumber).to.equal(
+      aliceBlockNumber
+    );
+
+    await download({ targetBlockNumber: bobBlockNumber });
+
+    expect(readOutputFile()).to.deep.equal([alice, bob]);
+    expect(readCheckpointFile()).to.deep.include({
+      startBlockNumber,
+      lastProcessedRange: {
+        fromBlockNumber: bobBlockNumber,
+        toBlockNumber: bobBlockNumber,
+      },
+    });
+    sinon.assert.calledWith(
+      console.log as sinon.SinonStub,
+      sinon.match(/^Resuming from checkpoint/)
+    );
+  });
+
+  it("overwrites the output file on --restart", async () => {
+    await download({ startBlockNumber, targetBlockNumber: bobBlockNumber });
+    fs.writeFileSync(outputFile, JSON.stringify([charlie]));
+
+    await download({
+      startBlockNumber: aliceBlockNumber + 1,
+      targetBlockNumber: bobBlockNumber,
+      restart: true,
+    });
+
+    expect(readOutputFile()).to.deep.equal([bob]);
+    expect(readCheckpointFile().startBlockNumber).to.equal(
+      aliceBlockNumber + 1
+    );
+  });
+
+  describe("refuses to resume", () => {
+    beforeEach(async () => {
+      await download({ startBlockNumber, targetBlockNumber: aliceBlockNumber });
+    });
+
+    it("from a different startBlockNumber", async () => {
+      await expect(
+        download({ startBlockNumber: startBlockNumber + 1 })
+      ).to.be.rejectedWith(
+        `was recorded from block ${startBlockNumber}, not ${
+          startBlockNumber + 1
+        }`
+      );
+    });
+
+    it("for a different proxy", async () => {
+      updateCheckpointFile({ proxyAddress: charlie });
+
+      await expect(download()).to.be.rejectedWith(
+        `was recorded for proxy '${charlie}', not '${proxyAddress}'`
+      );
+    });
+
+    it("on a different chain", async () => {
+      updateCheckpointFile({ chainId: 1 });
+
+      await expect(download()).to.be.rejectedWith(
+        "was recorded on chain 1, not 31337"
+      );
+    });
+
+    it("in a different mode", async () => {
+      await expect(download({ mode: "replay" })).to.be.rejectedWith(
+        "was recorded in query mode, not replay mode"
+      );
+    });
+
+    it("in a different format", async () => {
+      await expect(download({ format: "csv" })).to.be.rejectedWith(
+        "was recorded for the json format, not the csv format"
+      );
+    });
+
+    it("when the output file is missing", async () => {
+      fs.rmSync(outputFile);
+
+      await expect(download()).to.be.rejectedWith(
+        `exists but '${outputFile}' does not`
+      );
+    });
+
+    it("when the replay is already past the target block", async () => {
+      await download({
+        startBlockNumber,
+        targetBlockNumber: bobBlockNumber,
+        mode: "replay",
+        restart: true,
+      });
+
+      await expect(
+        download({ targetBlockNumber: aliceBlockNumber, mode: "replay" })
+      ).to.be.rejectedWith(
+        `is already past the target block ${aliceBlockNumber}`
+      );
+    });
+  });
+
+  describe("replay mode", () => {
+    let unBlacklistAliceBlockNumber: number;
+    let charlieBlockNumber: number;
+    let unBlacklistCharlieBlockNumber: number;
+    let reBlacklistAliceBlockNumber: number;
+
+    function replay(args: Record<string, unknown> = {}) {
+      // A single chunk per download, to skip the delay between chunks
+      return download({ mode: "replay", chunkSize: 1000, ...args });
+    }
+
+    function updateReplayedAccounts(
+      update: (
+        replayedAccounts: string[]
+      ) => {
+        replayedAccounts: string[];
+        unBlacklistedAccounts: string[];
+      }
+    ) {
+      const { replayedAccounts } = readCheckpointFile();
+      const updates = update(
+        replayedAccounts.map(({ address }: { address: string }) => address)
+      );
+      updateCheckpointFile({
+        replayedAccounts: updates.replayedAccounts.map((address) => ({
+          address,
+        })),
+        unBlacklistedAccounts: updates.unBlacklistedAccounts,
+      });
+    }
+
+    before(async () => {
+      const asBlacklister = (
+        await hre.ethers.getContractAt("FiatTokenV1", proxyAddress)
+      ).connect(await hre.ethers.getSigner(blacklister));
+
+      await asBlacklister.getFunction("unBlacklist")(alice);
+      unBlacklistAliceBlockNumber = await hre.ethers.provider.getBlockNumber();
+      await asBlacklister.getFunction("blacklist")(charlie);
+      charlieBlockNumber = await hre.ethers.provider.getBlockNumber();
+      await asBlacklister.getFunction("unBlacklist")(charlie);
+      unBlacklistCharlieBlockNumber = await hre.ethers.provider.getBlockNumber();
+      await asBlacklister.getFunction("blacklist")(alice);
+      reBlacklistAliceBlockNumber = await hre.ethers.provider.getBlockNumber();
+    });
+
+    it("replays the blacklist at intermediate target blocks", async () => {
+      const expectedAccounts: [number, string[]][] = [
+        [aliceBlockNumber, [alice]],
+        [bobBlockNumber, [alice, bob]],
+        [unBlacklistAliceBlockNumber, [bob]],
+        [charlieBlockNumber, [bob, charlie]],
+        [unBlacklistCharlieBlockNumber, [bob]],
+        [reBlacklistAliceBlockNumber, [bob, alice]],
+      ];
+      for (const [targetBlockNumber, accounts] of expectedAccounts) {
+        await replay({ startBlockNumber, targetBlockNumber, restart: true });
+        expect(readOutputFile()).to.deep.equal(accounts);
+      }
+    });
+
+    it("records the 'Blacklisted' event of each replayed account", async () => {
+      await replay({
+        startBlockNumber,
+        targetBlockNumber: reBlacklistAliceBlockNumber,
+        format: "json-provenance",
+      });
+
+      const { header, accounts } = JSON.parse(
+        fs.readFileSync(
+          path.join(rootDir, "blacklist.remote.provenance.json"),
+          "utf-8"
+        )
+      );
+      fs.rmSync(path.join(rootDir, "blacklist.remote.provenance.json"));
+      expect(header).to.include({
+        chainId: 31337,
+        proxyAddress,
+        mode: "replay",
+        fromBlockNumber: startBlockNumber,
+        toBlockNumber: reBlacklistAliceBlockNumber,
+      });
+      expect(
+        accounts.map(({ address, blockNumber }: Record<string, unknown>) => [
+          address,
+          blockNumber,
+        ])
+      ).to.deep.equal([
+        [bob, bobBlockNumber],
+        [alice, reBlacklistAliceBlockNumber],
+      ]);
+    });
+
+    it("resumes a replay from its checkpoint", async () => {
+      await replay({ startBlockNumber, targetBlockNumber: charlieBlockNumber });
+      expect(readCheckpointFile()).to.deep.include({
+        unBlacklistedAccounts: [alice],
+      });
+      expect(
+        readCheckpointFile().replayedAccounts.map(
+          ({ address }: { address: string }) => address
+        )
+      ).to.deep.equal([bob, charlie]);
+
+      await replay({ targetBlockNumber: reBlacklistAliceBlockNumber });
+
+      expect(readOutputFile()).to.deep.equal([bob, alice]);
+      expect(readCheckpointFile()).to.deep.include({
+        unBlacklistedAccounts: [charlie],
+      });
+      sinon.assert.calledWith(
+        console.log as sinon.SinonStub,
+        sinon.match(/^Resuming from checkpoint/)
+      );
+    });
+
+    it("spot checks blacklisted and unblacklisted accounts", async () => {
+      await replay({
+        startBlockNumber,
+        targetBlockNumber: reBlacklistAliceBlockNumber,
+        spotCheckSize: 10,
+      });
+
+      sinon.assert.calledWith(
+        console.log as sinon.SinonStub,
+        `Spot checking 2 blacklisted and 1 unblacklisted accounts against isBlacklisted() at block ${reBlacklistAliceBlockNumber}`
+      );
+      sinon.assert.calledWith(
+        console.log as sinon.SinonStub,
+        ">> All sampled accounts verified!"
+      );
+    });
+
+    it("fails the spot check if a replayed account is not blacklisted", async () => {
+      await replay({
+        startBlockNumber,
+        targetBlockNumber: unBlacklistCharlieBlockNumber,
+      });
+      updateReplayedAccounts((replayedAccounts) => ({
+        replayedAccounts: [...replayedAccounts, dave],
+        unBlacklistedAccounts: [charlie],
+      }));
+
+      await expect(
+        replay({
+          targetBlockNumber: reBlacklistAliceBlockNumber,
+          spotCheckSize: 10,
+        })
+      ).to.be.rejectedWith(
+        `1 replayed accounts are not blacklisted on chain! ${JSON.stringify([
+          dave,
+        ])}`
+      );
+    });
+
+    it("fails the spot check if an account dropped by the replay is still blacklisted", async () => {
+      await replay({
+        startBlockNumber,
+        targetBlockNumber: unBlacklistCharlieBlockNumber,
+      });
+      updateReplayedAccounts(() => ({
+        replayedAccounts: [],
+        unBlacklistedAccounts: [bob, charlie],
+      }));
+
+      await expect(
+        replay({
+          targetBlockNumber: reBlacklistAliceBlockNumber,
+          spotCheckSize: 10,
+        })
+      ).to.be.rejectedWith(
+        `1 unblacklisted accounts are still blacklisted on chain! ${JSON.stringify(
+          [bob]
+        )}`
+      );
+    });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Copyright 2024 Circle Internet Group, Inc. All rights reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import hre from "hardhat";
+import fs from "fs";
+import { Contract } from "ethers";
+import { HARDHAT_ACCOUNTS } from "../../helpers/constants";
+
+describe("exportBlacklistedBalances", () => {
+  const blacklistFilepath = "artifacts/test/exportBlacklistedBalances.json";
+  const outputFilepath = "artifacts/test/exportBlacklistedBalances.out.json";
+  const [
+    ,
+    proxyAdmin,
+    masterMinter,
+    pauser,
+    blacklister,
+    owner,
+    minter,
+    alice,
+    bob,
+    lostAndFound,
+  ] = HARDHAT_ACCOUNTS;
+
+  let proxy: Contract;
+
+  async function exportBalances() {
+    await hre.run("exportBlacklistedBalances", {
+      proxyAddress: proxy.target,
+      blacklistFilepath,
+      outputFilepath,
+    });
+    return JSON.parse(fs.readFileSync(outputFilepath, "utf-8"));
+  }
+
+  before("setup", async () => {
+    const fiatTokenV1 = await hre.ethers.deployContract("FiatTokenV1");
+    proxy = await hre.ethers.deployContract("FiatTokenProxy", [
+      fiatTokenV1.target,
+    ]);
+    await proxy.changeAdmin(proxyAdmin);
+
+    const proxyAsFiatTokenV1 = await hre.ethers.getContractAt(
+      "FiatTokenV1",
+      proxy.target as string
+    );
+    await proxyAsFiatTokenV1.initialize(
+      "USD Coin",
+      "USDC",
+      "USD",
+      6,
+      masterMinter,
+      pauser,
+      blacklister,
+      owner
+    );
+    await proxyAsFiatTokenV1
+      .connect(await hre.ethers.getSigner(masterMinter))
+      .getFunction("configureMinter")(minter, 1000);
+    const asMinter = proxyAsFiatTokenV1.connect(
+      await hre.ethers.getSigner(minter)
+    );
+    await asMinter.getFunction("mint")(alice, 100);
+    await asMinter.getFunction("mint")(bob, 30);
+    await proxyAsFiatTokenV1
+      .connect(await hre.ethers.getSigner(blacklister))
+      .getFunction("blacklist")(bob);
+
+    // alice is listed first, but is not blacklisted
+    fs.mkdirSync("artifacts/test", { recursive: true });
+    fs.writeFileSync(blacklistFilepath, JSON.stringify([alice, bob]));
+  });
+
+  it("reads the balances with balanceOf before V2_2", async () => {
+    const { header, accounts } = await exportBalances();
+
+    expect(header).to.include({ source: "balanceOf", totalBalance: "30" });
+    expect(
+      accounts.map(({ balance }: { balance: string }) => balance)
+    ).to.deep.equal(["100", "30"]);
+  });
+
+  it("reads the balances from storage once initialized as V2_2", async () => {
+    const signatureChecker = await hre.ethers.deployContract(
+      "SignatureChecker"
+    );
+    const fiatTokenV2_2 = await (
+      await hre.ethers.getContractFactory("FiatTokenV2_2", {
+        libraries: { SignatureChecker: signatureChecker.target },
+      })
+    ).deploy();
+    await proxy
+      .connect(await hre.ethers.getSigner(proxyAdmin))
+      .getFunction("upgradeTo")(fiatTokenV2_2.target);
+    const proxyAsFiatTokenV2_2 = await hre.ethers.getContractAt(
+      "FiatTokenV2_2",
+      proxy.target as string
+    );
+    await proxyAsFiatTokenV2_2.initializeV2("USD Coin");
+    await proxyAsFiatTokenV2_2.initializeV2_1(lostAndFound);
+    await proxyAsFiatTokenV2_2.initializeV2_2([bob], "USDC");
+
+    const { header, accounts } = await exportBalances();
+
+    expect(header).to.include({ source: "storage", totalBalance: "30" });
+    expect(
+      accounts.map(
+        ({ isBlacklisted }: { isBlacklisted: boolean }) => isBlacklisted
+      )
+    ).to.deep.equal([false, true]);
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Copyright 2024 Circle Internet Group, Inc. All rights reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import hre from "hardhat";
+import fs from "fs";
+import * as sinon from "sinon";
+import { Contract } from "ethers";
+import { mine } from "@nomicfoundation/hardhat-network-helpers";
+import { HARDHAT_ACCOUNTS } from "../../helpers/constants";
+import {
+  ContractStatus,
+  getContractCreation,
+} from "../../../scripts/hardhat/getContractCreationBlock";
+
+describe("getContractCreationBlock", () => {
+  const outputFilePath = "artifacts/test/getContractCreationBlock.json";
+  const [deployer, proxyAdmin] = HARDHAT_ACCOUNTS;
+
+  let proxy: Contract;
+  let proxyBlockNumber: number;
+  let upgrader: Contract;
+  let upgraderBlockNumber: number;
+  let helper: string;
+  let abortBlockNumber: number;
+
+  before("setup", async () => {
+    await mine(100);
+    const implementation = await hre.ethers.deployContract("FiatTokenV1");
+    proxy = await hre.ethers.deployContract("FiatTokenProxy", [
+      implementation.target,
+    ]);
+    proxyBlockNumber = await hre.ethers.provider.getBlockNumber();
+
+    // V2_2Upgrader creates a V2_2UpgraderHelper, and selfdestructs both in abortUpgrade()
+    await mine(20);
+    upgrader = await hre.ethers.deployContract("V2_2Upgrader", [
+      proxy.target,
+      implementation.target,
+      proxyAdmin,
+      [],
+      "USDC",
+    ]);
+    upgraderBlockNumber = await hre.ethers.provider.getBlockNumber();
+    helper = await upgrader.helper();
+    await proxy.changeAdmin(upgrader.target);
+    await mine(20);
+    await upgrader.abortUpgrade();
+    abortBlockNumber = await hre.ethers.provider.getBlockNumber();
+    await mine(20);
+
+    fs.mkdirSync("artifacts/test", { recursive: true });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it("finds the creation block and transaction of a contract", async () => {
+    expect(
+      await getContractCreation(hre, proxy.target as string, {
+        concurrency: 3,
+      })
+    ).to.deep.equal({
+      contractAddress: proxy.target,
+      status: ContractStatus.Created,
+      blockNumber: proxyBlockNumber,
+      transactionHash: proxy.deploymentTransaction()?.hash,
+      deployer,
+      creator: deployer,
+      selfDestructBlockNumber: undefined,
+    });
+  });
+
+  it("bisects the range with a concurrency of 1", async () => {
+    const getCode = sinon.spy(hre.ethers.provider, "getCode");
+
+    const creation = await getContractCreation(hre, proxy.target as string, {
+      concurrency: 1,
+    });
+
+    expect(creation.blockNumber).to.equal(proxyBlockNumber);
+    // Checks toBlock, then bisects ~165 blocks one probe at a time
+    expect(getCode.callCount).to.be.at.most(12);
+    await expect(
+      getContractCreation(hre, proxy.target as string, { concurrency: 0 })
+    ).to.be.rejectedWith("invalid concurrency");
+  });
+
+  it("finds selfdestructed contracts", async () => {
+    // Every block of the range is probed at once
+    const creation = await getContractCreation(hre, upgrader.target as string, {
+      fromBlock: proxyBlockNumber,
+      concurrency: 100,
+    });
+
+    expect(creation).to.include({
+      status: ContractStatus.SelfDestructed,
+      blockNumber: upgraderBlockNumber,
+      transactionHash: upgrader.deploymentTransaction()?.hash,
+      selfDestructBlockNumber: abortBlockNumber,
+    });
+  });
+
+  it("finds contracts created by another contract in the block traces", async () => {
+    const transactionHash = upgrader.deploymentTransaction()?.hash;
+    const send = sinon.stub(hre.ethers.provider, "send").callThrough();
+    send.withArgs("debug_traceBlockByNumber").resolves([
+      {
+        txHash: transactionHash,
+        result: {
+          from: deployer,
+          type: "CREATE",
+          to: upgrader.target,
+          calls: [{ from: upgrader.target, type: "CREATE", to: helper }],
+        },
+      },
+    ]);
+
+    const creation = await getContractCreation(hre, helper, {
+      fromBlock: proxyBlockNumber,
+      toBlock: abortBlockNumber - 1,
+    });
+
+    expect(send.calledWith("debug_traceBlockByNumber")).to.be.true;
+    expect(creation).to.include({
+      status: ContractStatus.Created,
+      blockNumber: upgraderBlockNumber,
+      transactionHash,
+      deployer,
+      creator: upgrader.target,
+    });
+  });
+
+  it("writes the result, and fails if no contract is found", async () => {
+    await hre.run("getContractCreationBlock", {
+      contractAddress: proxy.target,
+      fromBlock: 50,
+      outputFilePath,
+    });
+    expect(
+      JSON.parse(fs.readFileSync(outputFilePath, "utf-8"))
+    ).to.deep.include({
+      blockNumber: proxyBlockNumber,
+      transactionHash: proxy.deploymentTransaction()?.hash,
+    });
+
+    await expect(
+      getContractCreation(hre, proxyAdmin, { fromBlock: 50 })
+    ).to.be.rejectedWith(`No contract found at '${proxyAdmin}'`);
+    await expect(
+      getContractCreation(hre, proxy.target as string, {
+        fromBlock: proxyBlockNumber + 1,
+      })
+    ).to.be.rejectedWith("it was created before fromBlock");
+  });
+});
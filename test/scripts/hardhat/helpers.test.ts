@@ -0,0 +1,291 @@
+/**
+ * Copyright 2024 Circle Internet Group, Inc. All rights reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import hre from "hardhat";
+import * as sinon from "sinon";
+import { Contract, Filter, FilterByBlockHash, Log } from "ethers";
+import { mine } from "@nomicfoundation/hardhat-network-helpers";
+import {
+  getBackoffDelayMs,
+  getSuggestedChunkSize,
+  isLogRangeError,
+  LogScanOptions,
+  mapWithConcurrency,
+  scanLogs,
+} from "../../../scripts/hardhat/helpers";
+import { HARDHAT_ACCOUNTS } from "../../helpers/constants";
+
+describe("helpers", () => {
+  describe("scanLogs", () => {
+    const fastOptions: LogScanOptions = {
+      baseDelayMs: 0,
+      chunkDelayMs: 0,
+    };
+
+    let blacklistable: Contract;
+    let startBlockNumber: number;
+    let endBlockNumber: number;
+
+    before("setup", async () => {
+      const [blacklister] = await hre.ethers.getSigners();
+      blacklistable = await hre.ethers.deployContract("FiatTokenV1");
+      await blacklistable.updateBlacklister(blacklister.address);
+      startBlockNumber = await hre.ethers.provider.getBlockNumber();
+
+      for (const account of HARDHAT_ACCOUNTS.slice(1, 6)) {
+        await mine(10);
+        await blacklistable.blacklist(account);
+      }
+      endBlockNumber = await hre.ethers.provider.getBlockNumber();
+    });
+
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    /**
+     * Stubs provider.getLogs so that it rejects any request spanning more than maxRange blocks.
+     */
+    function stubRangeLimitedProvider(
+      maxRange: number,
+      errorMessage = "query returned more than 10000 results"
+    ) {
+      const getLogs = hre.ethers.provider.getLogs.bind(hre.ethers.provider);
+      return sinon
+        .stub(hre.ethers.provider, "getLogs")
+        .callsFake(async (filter: Filter | FilterByBlockHash) => {
+          const { fromBlock, toBlock } = filter as Filter;
+          if (Number(toBlock) - Number(fromBlock) + 1 > maxRange) {
+            throw new Error(errorMessage);
+          }
+          return getLogs(filter);
+        });
+    }
+
+    async function scanBlacklistedEvents(options: LogScanOptions) {
+      const chunks: [number, number][] = [];
+      const events: Log[] = [];
+      await scanLogs(
+        (fromBlockNumber, toBlockNumber) =>
+          blacklistable.queryFilter(
+            blacklistable.filters.Blacklisted(),
+            fromBlockNumber,
+            toBlockNumber
+          ),
+        startBlockNumber,
+        endBlockNumber,
+        (logs, fromBlockNumber, toBlockNumber) => {
+          chunks.push([fromBlockNumber, toBlockNumber]);
+          events.push(...logs);
+        },
+        { ...fastOptions, ...options }
+      );
+      return { chunks, events };
+    }
+
+    it("scans the entire range in chunks", async () => {
+      const { chunks, events } = await scanBlacklistedEvents({
+        initialChunkSize: 20,
+        maxChunkSize: 20,
+      });
+
+      expect(events.length).to.equal(5);
+      expect(chunks[0]).to.deep.equal([
+        startBlockNumber,
+        startBlockNumber + 19,
+      ]);
+      expect(chunks[chunks.length - 1][1]).to.equal(endBlockNumber);
+      for (let i = 1; i < chunks.length; i++) {
+        expect(chunks[i][0]).to.equal(chunks[i - 1][1] + 1);
+      }
+    });
+
+    it("halves the chunk size when the provider rejects a range", async () => {
+      const getLogsStub = stubRangeLimitedProvider(8);
+
+      const { chunks, events } = await scanBlacklistedEvents({
+        initialChunkSize: 64,
+        maxChunkSize: 64,
+        growAfterSuccesses: 100,
+      });
+
+      expect(events.length).to.equal(5);
+      // 64 -> 32 -> 16 -> 8 blocks
+      expect(getLogsStub.callCount).to.equal(3 + chunks.length);
+      for (const [fromBlockNumber, toBlockNumber] of chunks) {
+        expect(toBlockNumber - fromBlockNumber + 1).to.be.at.most(8);
+      }
+    });
+
+    it("grows the chunk size again after consecutive successes", async () => {
+      stubRangeLimitedProvider(16, "Log response size exceeded.");
+
+      const { chunks, events } = await scanBlacklistedEvents({
+        initialChunkSize: 4,
+        maxChunkSize: 16,
+        growAfterSuccesses: 2,
+      });
+
+      expect(events.length).to.equal(5);
+      const chunkSizes = chunks.map(([from, to]) => to - from + 1);
+      expect(chunkSizes.slice(0, 5)).to.deep.equal([4, 4, 8, 8, 16]);
+    });
+
+    it("uses the range suggested by the provider", async () => {
+      stubRangeLimitedProvider(
+        5,
+        "Log response size exceeded. You can make eth_getLogs requests with up to a 2K block range " +
+          "and no limit on the response size, or you can request any block range with a cap of 10K logs " +
+          "in the response. Based on your parameters, this block range should work: [0x1, 0x5]"
+      );
+
+      const { chunks } = await scanBlacklistedEvents({
+        initialChunkSize: 64,
+        maxChunkSize: 64,
+        growAfterSuccesses: 100,
+      });
+
+      expect(chunks[0]).to.deep.equal([startBlockNumber, startBlockNumber + 4]);
+    });
+
+    it("retries other errors, and throws after maxRetries", async () => {
+      const getLogsStub = sinon
+        .stub(hre.ethers.provider, "getLogs")
+        .rejects(new Error("connection reset"));
+
+      await expect(scanBlacklistedEvents({ maxRetries: 2 })).to.be.rejectedWith(
+        "connection reset"
+      );
+      expect(getLogsStub.callCount).to.equal(3);
+    });
+
+    it("does not retry errors thrown by onChunk", async () => {
+      const getLogsSpy = sinon.spy(hre.ethers.provider, "getLogs");
+
+      await expect(
+        scanLogs(
+          (fromBlockNumber, toBlockNumber) =>
+            blacklistable.queryFilter(
+              blacklistable.filters.Blacklisted(),
+              fromBlockNumber,
+              toBlockNumber
+            ),
+          startBlockNumber,
+          endBlockNumber,
+          () => {
+            throw new Error("onChunk failed");
+          },
+          fastOptions
+        )
+      ).to.be.rejectedWith("onChunk failed");
+      expect(getLogsSpy.callCount).to.equal(1);
+    });
+
+    it("rejects chunk sizes below 1", async () => {
+      for (const chunkSize of [0, -1]) {
+        await expect(
+          scanBlacklistedEvents({
+            initialChunkSize: chunkSize,
+            maxChunkSize: chunkSize,
+          })
+        ).to.be.rejectedWith("invalid chunk size");
+      }
+    });
+  });
+
+  describe("isLogRangeError", () => {
+    it("detects range errors wrapped in RPC errors", () => {
+      expect(
+        isLogRangeError({
+          message: "could not coalesce error",
+          error: {
+            code: -32005,
+            message: "query returned more than 10000 results",
+          },
+        })
+      ).to.be.true;
+      expect(
+        isLogRangeError({
+          message: "could not coalesce error",
+          info: { error: { message: "exceed maximum block range: 5000" } },
+        })
+      ).to.be.true;
+      expect(isLogRangeError(new Error("block range is too wide"))).to.be.true;
+    });
+
+    it("ignores other errors", () => {
+      expect(isLogRangeError(new Error("connection reset"))).to.be.false;
+      expect(isLogRangeError(new Error("invalid block range"))).to.be.false;
+      expect(isLogRangeError(undefined)).to.be.false;
+    });
+  });
+
+  describe("getSuggestedChunkSize", () => {
+    it("parses the range suggested by the provider", () => {
+      expect(
+        getSuggestedChunkSize(
+          new Error("this block range should work: [0x10, 0x1f]")
+        )
+      ).to.equal(16);
+      expect(getSuggestedChunkSize(new Error("too many results"))).to.be
+        .undefined;
+    });
+  });
+
+  describe("getBackoffDelayMs", () => {
+    it("doubles the delay with every try, up to maxDelayMs", () => {
+      const noJitter = () => 1;
+      expect(getBackoffDelayMs(1, 100, 1000, noJitter)).to.equal(100);
+      expect(getBackoffDelayMs(2, 100, 1000, noJitter)).to.equal(200);
+      expect(getBackoffDelayMs(3, 100, 1000, noJitter)).to.equal(400);
+      expect(getBackoffDelayMs(5, 100, 1000, noJitter)).to.equal(1000);
+    });
+
+    it("randomizes half of the delay", () => {
+      expect(getBackoffDelayMs(2, 100, 1000, () => 0)).to.equal(100);
+      expect(getBackoffDelayMs(2, 100, 1000, () => 0.5)).to.equal(150);
+    });
+  });
+
+  describe("mapWithConcurrency", () => {
+    it("returns the results in order, with bounded concurrency", async () => {
+      let running = 0;
+      let maxRunning = 0;
+      const results = await mapWithConcurrency(
+        [30, 10, 20, 0, 10],
+        2,
+        async (delayMs, index) => {
+          running++;
+          maxRunning = Math.max(maxRunning, running);
+          await new Promise((resolve) => setTimeout(resolve, delayMs));
+          running--;
+          return index * 2;
+        }
+      );
+
+      expect(results).to.deep.equal([0, 2, 4, 6, 8]);
+      expect(maxRunning).to.equal(2);
+    });
+
+    it("rejects an invalid concurrency", async () => {
+      await expect(
+        mapWithConcurrency([1], 0, async (item) => item)
+      ).to.be.rejectedWith("invalid concurrency");
+    });
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Copyright 2024 Circle Internet Group, Inc. All rights reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import hre from "hardhat";
+import fs from "fs";
+import { Contract } from "ethers";
+import { HARDHAT_ACCOUNTS } from "../../helpers/constants";
+import { readProxyState } from "../../../scripts/hardhat/readProxyState";
+
+describe("readProxyState", () => {
+  const outputFilePath = "artifacts/test/readProxyState.json";
+  // Longer than 31 bytes, so that it is stored outside of its slot
+  const name = "USD Coin with a name longer than a slot";
+  const [
+    ,
+    proxyAdmin,
+    masterMinter,
+    pauser,
+    blacklister,
+    owner,
+    minter,
+    alice,
+    bob,
+    lostAndFound,
+  ] = HARDHAT_ACCOUNTS;
+
+  let proxy: Contract;
+  let fiatTokenV2_2: Contract;
+  let v1BlockNumber: number;
+
+  before("setup", async () => {
+    const fiatTokenV1 = await hre.ethers.deployContract("FiatTokenV1");
+    proxy = await hre.ethers.deployContract("FiatTokenProxy", [
+      fiatTokenV1.target,
+    ]);
+    await proxy.changeAdmin(proxyAdmin);
+
+    const proxyAsFiatTokenV1 = await hre.ethers.getContractAt(
+      "FiatTokenV1",
+      proxy.target as string
+    );
+    await proxyAsFiatTokenV1.initialize(
+      name,
+      "USDC",
+      "USD",
+      6,
+      masterMinter,
+      pauser,
+      blacklister,
+      owner
+    );
+    await proxyAsFiatTokenV1
+      .connect(await hre.ethers.getSigner(masterMinter))
+      .getFunction("configureMinter")(minter, 1000);
+    const asMinter = proxyAsFiatTokenV1.connect(
+      await hre.ethers.getSigner(minter)
+    );
+    await asMinter.getFunction("mint")(alice, 100);
+    await asMinter.getFunction("mint")(bob, 30);
+    await proxyAsFiatTokenV1
+      .connect(await hre.ethers.getSigner(blacklister))
+      .getFunction("blacklist")(bob);
+    v1BlockNumber = await hre.ethers.provider.getBlockNumber();
+
+    // Upgrade to FiatTokenV2_2
+    const signatureChecker = await hre.ethers.deployContract(
+      "SignatureChecker"
+    );
+    fiatTokenV2_2 = await (
+      await hre.ethers.getContractFactory("FiatTokenV2_2", {
+        libraries: { SignatureChecker: signatureChecker.target },
+      })
+    ).deploy();
+    await proxy
+      .connect(await hre.ethers.getSigner(proxyAdmin))
+      .getFunction("upgradeTo")(fiatTokenV2_2.target);
+    const proxyAsFiatTokenV2_2 = await hre.ethers.getContractAt(
+      "FiatTokenV2_2",
+      proxy.target as string
+    );
+    await proxyAsFiatTokenV2_2.initializeV2(name);
+    await proxyAsFiatTokenV2_2.initializeV2_1(lostAndFound);
+    await proxyAsFiatTokenV2_2.initializeV2_2([bob], "USDC");
+    fs.mkdirSync("artifacts/test", { recursive: true });
+  });
+
+  it("decodes the state of a FiatTokenV1 proxy at a past block", async () => {
+    const state = await readProxyState(
+      hre,
+      proxy.target as string,
+      "FiatTokenV1",
+      [alice, bob],
+      v1BlockNumber
+    );
+
+    expect(state.blockNumber).to.equal(v1BlockNumber);
+    expect(state.admin).to.equal(proxyAdmin);
+    expect(state.variables).to.deep.equal({
+      _owner: owner,
+      pauser,
+      paused: false,
+      blacklister,
+      name,
+      symbol: "USDC",
+      decimals: BigInt(6),
+      currency: "USD",
+      masterMinter,
+      initialized: true,
+      totalSupply_: BigInt(130),
+    });
+    expect(state.accounts[alice]).to.deep.equal({
+      balance: BigInt(100),
+      isBlacklisted: false,
+      mappings: {
+        _deprecatedBlacklisted: false,
+        balanceAndBlacklistStates: BigInt(100),
+        minters: false,
+        minterAllowed: BigInt(0),
+      },
+    });
+    expect(state.accounts[bob]).to.include({
+      balance: BigInt(30),
+      isBlacklisted: true,
+    });
+    expect(state.inconsistencies).to.deep.equal([]);
+  });
+
+  it("decodes the packed balance and blacklist state of a FiatTokenV2_2 proxy", async () => {
+    const state = await readProxyState(
+      hre,
+      proxy.target as string,
+      "FiatTokenV2_2",
+      [alice, bob]
+    );
+
+    expect(state.implementation).to.equal(fiatTokenV2_2.target);
+    expect(state.variables).to.include({
+      _rescuer: hre.ethers.ZeroAddress,
+      _initializedVersion: BigInt(3),
+    });
+    expect(state.accounts[bob]).to.deep.equal({
+      balance: BigInt(30),
+      isBlacklisted: true,
+      mappings: {
+        _deprecatedBlacklisted: false,
+        balanceAndBlacklistStates: (BigInt(1) << BigInt(255)) + BigInt(30),
+        minters: false,
+        minterAllowed: BigInt(0),
+        _permitNonces: BigInt(0),
+      },
+    });
+    expect(state.inconsistencies).to.deep.equal([]);
+  });
+
+  it("reports the values that are inconsistent with the version", async () => {
+    await expect(
+      hre.run("readProxyState", {
+        proxyAddress: proxy.target,
+        contractName: "FiatTokenV2_2",
+        blockTag: String(v1BlockNumber),
+        accounts: [bob],
+        outputFilePath,
+      })
+    ).to.be.rejectedWith("Found 4 values inconsistent with FiatTokenV2_2");
+
+    const { inconsistencies } = JSON.parse(
+      fs.readFileSync(outputFilePath, "utf-8")
+    );
+    expect(inconsistencies).to.deep.equal([
+      "_initializedVersion is 0, expected 3",
+      'version() is not implemented, expected "2"',
+      `The proxy ${proxy.target} is not blacklisted`,
+      `${bob} is still blacklisted in _deprecatedBlacklisted`,
+    ]);
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Copyright 2024 Circle Internet Group, Inc. All rights reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import hre from "hardhat";
+import fs from "fs";
+import { Contract } from "ethers";
+import { HARDHAT_ACCOUNTS } from "../../helpers/constants";
+import {
+  compareValuesSnapshots,
+  parseFunctionCall,
+  readValuesFromContract,
+  ValuesSnapshot,
+} from "../../../scripts/hardhat/readValuesFromContract";
+
+describe("readValuesFromContract", () => {
+  const snapshotFilePath = "artifacts/test/readValuesFromContract.json";
+  const [
+    deployer,
+    proxyAdmin,
+    masterMinter,
+    pauser,
+    blacklister,
+    owner,
+    minter,
+    newPauser,
+  ] = HARDHAT_ACCOUNTS;
+
+  let implementation: Contract;
+  let proxy: Contract;
+  let fiatToken: Contract;
+
+  before("setup", async () => {
+    implementation = await hre.ethers.deployContract("FiatTokenV1_1");
+    proxy = await hre.ethers.deployContract("FiatTokenProxy", [
+      implementation.target,
+    ]);
+    await proxy.changeAdmin(proxyAdmin);
+
+    fiatToken = await hre.ethers.getContractAt(
+      "FiatTokenV1_1",
+      proxy.target as string
+    );
+    await fiatToken.initialize(
+      "USD Coin",
+      "USDC",
+      "USD",
+      6,
+      masterMinter,
+      pauser,
+      blacklister,
+      owner
+    );
+    fs.mkdirSync("artifacts/test", { recursive: true });
+  });
+
+  it("parses function calls with arguments", () => {
+    expect(parseFunctionCall("name")).to.deep.equal({
+      functionCall: "name",
+      functionName: "name",
+      args: [],
+    });
+    expect(
+      parseFunctionCall(` authorizationState(${deployer}, 0x01 )`)
+    ).to.deep.equal({
+      functionCall: `authorizationState(${deployer},0x01)`,
+      functionName: "authorizationState",
+      args: [deployer, "0x01"],
+    });
+    expect(() => parseFunctionCall("balanceOf(0x01")).to.throw(
+      "Invalid function call 'balanceOf(0x01'!"
+    );
+  });
+
+  it("calls functions with arguments at a past block", async () => {
+    const blockNumber = await hre.ethers.provider.getBlockNumber();
+    await fiatToken
+      .connect(await hre.ethers.getSigner(masterMinter))
+      .getFunction("configureMinter")(minter, 1000);
+
+    const functionCalls = [
+      `minterAllowance(${minter})`,
+      `isMinter(${minter})`,
+      "decimals",
+    ];
+    expect(
+      (
+        await readValuesFromContract(
+          hre,
+          "FiatTokenV1_1",
+          proxy.target as string,
+          functionCalls
+        )
+      ).values
+    ).to.deep.equal({
+      [functionCalls[0]]: "1000",
+      [functionCalls[1]]: true,
+      [functionCalls[2]]: "6",
+    });
+
+    const snapshot = await readValuesFromContract(
+      hre,
+      "FiatTokenV1_1",
+      proxy.target as string,
+      functionCalls,
+      blockNumber
+    );
+    expect(snapshot.blockNumber).to.equal(blockNumber);
+    expect(snapshot.values).to.deep.equal({
+      [functionCalls[0]]: "0",
+      [functionCalls[1]]: false,
+      [functionCalls[2]]: "6",
+    });
+  });
+
+  it("reads the roles of the token and its proxy", async () => {
+    await hre.run("readValuesFromContract", {
+      contractName: "FiatTokenV1_1",
+      contractAddress: proxy.target,
+      preset: "roles",
+      outputFilePath: snapshotFilePath,
+    });
+
+    const snapshot: ValuesSnapshot = JSON.parse(
+      fs.readFileSync(snapshotFilePath, "utf-8")
+    );
+    expect(snapshot).to.deep.equal({
+      chainId: 31337,
+      contractName: "FiatTokenV1_1",
+      contractAddress: proxy.target,
+      blockNumber: await hre.ethers.provider.getBlockNumber(),
+      values: {
+        owner,
+        pauser,
+        blacklister,
+        masterMinter,
+        rescuer: hre.ethers.ZeroAddress,
+        admin: proxyAdmin,
+        implementation: implementation.target,
+      },
+    });
+  });
+
+  it("detects role drift from a snapshot", async () => {
+    await hre.run("readValuesFromContract", {
+      contractName: "FiatTokenV1_1",
+      contractAddress: proxy.target,
+      snapshotFilePath,
+    });
+
+    await fiatToken
+      .connect(await hre.ethers.getSigner(owner))
+      .getFunction("updatePauser")(newPauser);
+    await expect(
+      hre.run("readValuesFromContract", {
+        contractName: "FiatTokenV1_1",
+        contractAddress: proxy.target,
+        snapshotFilePath,
+      })
+    ).to.be.rejectedWith("1 values differ from the snapshot taken at block");
+  });
+
+  it("reports values missing from either snapshot as drift", () => {
+    const snapshot = {
+      chainId: 31337,
+      contractName: "FiatTokenV1_1",
+      contractAddress: hre.ethers.ZeroAddress,
+      blockNumber: 1,
+    };
+
+    expect(
+      compareValuesSnapshots(
+        { ...snapshot, values: { owner, pauser, decimals: "6" } },
+        {
+          ...snapshot,
+          blockNumber: 2,
+          values: { owner, decimals: "18", paused: false },
+        }
+      )
+    ).to.deep.equal([
+      { functionCall: "decimals", snapshotValue: "6", value: "18" },
+      { functionCall: "paused", snapshotValue: undefined, value: false },
+      { functionCall: "pauser", snapshotValue: pauser, value: undefined },
+    ]);
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Copyright 2024 Circle Internet Group, Inc. All rights reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import hre from "hardhat";
+import fs from "fs";
+import * as sinon from "sinon";
+import { Contract } from "ethers";
+import { HARDHAT_ACCOUNTS } from "../../helpers/constants";
+import {
+  BlacklistTransactionsFile,
+  SafeTransactionBuilderFile,
+} from "../../../scripts/hardhat/reconcileBlacklist";
+
+describe("reconcileBlacklist", () => {
+  const targetFilepath = "artifacts/test/reconcileBlacklist.target.json";
+  const transactionsFilepath =
+    "artifacts/test/reconcileBlacklist.transactions.json";
+  const safeTransactionsFilepath =
+    "artifacts/test/reconcileBlacklist.safe.json";
+  const [
+    ,
+    proxyAdmin,
+    masterMinter,
+    pauser,
+    blacklister,
+    owner,
+    alice,
+    bob,
+    charlie,
+    dave,
+  ] = HARDHAT_ACCOUNTS;
+
+  let proxyAsFiatTokenV1: Contract;
+  let proxyAddress: string;
+
+  function reconcileBlacklist(dryRun = false) {
+    return hre.run("reconcileBlacklist", {
+      targetFilepath,
+      proxyAddress,
+      transactionsFilepath,
+      safeTransactionsFilepath,
+      dryRun,
+    });
+  }
+
+  before("setup", async () => {
+    const fiatTokenV1 = await hre.ethers.deployContract("FiatTokenV1");
+    const proxy = await hre.ethers.deployContract("FiatTokenProxy", [
+      fiatTokenV1.target,
+    ]);
+    proxyAddress = proxy.target as string;
+    await proxy.changeAdmin(proxyAdmin);
+
+    proxyAsFiatTokenV1 = await hre.ethers.getContractAt(
+      "FiatTokenV1",
+      proxyAddress
+    );
+    await proxyAsFiatTokenV1.initialize(
+      "USD Coin",
+      "USDC",
+      "USD",
+      6,
+      masterMinter,
+      pauser,
+      blacklister,
+      owner
+    );
+    const asBlacklister = proxyAsFiatTokenV1.connect(
+      await hre.ethers.getSigner(blacklister)
+    );
+    await asBlacklister.getFunction("blacklist")(alice);
+    await asBlacklister.getFunction("blacklist")(bob);
+
+    fs.mkdirSync("artifacts/test", { recursive: true });
+    fs.writeFileSync(targetFilepath, JSON.stringify([dave, bob, charlie]));
+  });
+
+  beforeEach(() => {
+    sinon.stub(console, "log");
+    sinon.stub(console, "table");
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it("blacklists accounts in the order of the target file, then unblacklists", async () => {
+    await reconcileBlacklist();
+
+    const transactionsFile: BlacklistTransactionsFile = JSON.parse(
+      fs.readFileSync(transactionsFilepath, "utf-8")
+    );
+    expect(transactionsFile).to.deep.include({
+      chainId: 31337,
+      proxyAddress,
+      blacklister,
+    });
+    expect(
+      transactionsFile.transactions.map(({ method, account }) => [
+        method,
+        account,
+      ])
+    ).to.deep.equal([
+      ["blacklist", dave],
+      ["blacklist", charlie],
+      ["unBlacklist", alice],
+    ]);
+    for (const {
+      to,
+      value,
+      data,
+      method,
+      account,
+    } of transactionsFile.transactions) {
+      expect(to).to.equal(proxyAddress);
+      expect(value).to.equal("0");
+      expect(data).to.equal(
+        proxyAsFiatTokenV1.interface.encodeFunctionData(method, [account])
+      );
+    }
+  });
+
+  it("writes the transactions in the Safe transaction builder format", async () => {
+    await reconcileBlacklist();
+
+    const { transactions }: BlacklistTransactionsFile = JSON.parse(
+      fs.readFileSync(transactionsFilepath, "utf-8")
+    );
+    const safeTransactionsFile: SafeTransactionBuilderFile = JSON.parse(
+      fs.readFileSync(safeTransactionsFilepath, "utf-8")
+    );
+    expect(safeTransactionsFile.chainId).to.equal("31337");
+    expect(safeTransactionsFile.meta.createdFromSafeAddress).to.equal(
+      blacklister
+    );
+    expect(safeTransactionsFile.transactions).to.deep.equal(
+      transactions.map(({ to, value, data }) => ({
+        to,
+        value,
+        data,
+        contractMethod: null,
+        contractInputsValues: null,
+      }))
+    );
+  });
+
+  it("simulates the transactions and reverts the chain state with --dry-run", async () => {
+    const blockNumber = await hre.ethers.provider.getBlockNumber();
+
+    await reconcileBlacklist(true);
+
+    sinon.assert.calledWith(
+      console.log as sinon.SinonStub,
+      "All transactions succeeded in the dry run"
+    );
+    const [results] = (console.table as sinon.SinonStub).lastCall.args;
+    expect(
+      results.map(({ method, account, succeeded }: Record<string, unknown>) => [
+        method,
+        account,
+        succeeded,
+      ])
+    ).to.deep.equal([
+      ["blacklist", dave, true],
+      ["blacklist", charlie, true],
+      ["unBlacklist", alice, true],
+    ]);
+
+    expect(await hre.ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    expect(await proxyAsFiatTokenV1.isBlacklisted(alice)).to.equal(true);
+    expect(await proxyAsFiatTokenV1.isBlacklisted(charlie)).to.equal(false);
+    expect(await proxyAsFiatTokenV1.isBlacklisted(dave)).to.equal(false);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Copyright 2024 Circle Internet Group, Inc. All rights reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import hre from "hardhat";
+import fs from "fs";
+import path from "path";
+import * as sinon from "sinon";
+import { Contract } from "ethers";
+import {
+  OptimizerRunsSource,
+  searchCompilerSettings,
+} from "../../../scripts/hardhat/searchCompilerSettings";
+import * as Helpers from "../../../scripts/hardhat/helpers";
+
+describe("searchCompilerSettings", () => {
+  const artifactFilePath =
+    "artifacts/foundry/FiatTokenProxy.sol/FiatTokenProxy.json";
+  const metadataFilePath = "artifacts/test/FiatTokenProxy.rawMetadata.json";
+  const buildDirs = ["200", "1000", "10000000"].map((runs) =>
+    path.join("cache", "optimizerRuns", runs)
+  );
+
+  let proxy: Contract;
+  let execSyncWrapperStub: sinon.SinonStub<[string], void>;
+
+  before("setup", async () => {
+    const implementation = await hre.ethers.deployContract("FiatTokenV1");
+    proxy = await hre.ethers.deployContract("FiatTokenProxy", [
+      implementation.target,
+    ]);
+
+    const artifact = JSON.parse(fs.readFileSync(artifactFilePath, "utf-8"));
+    fs.mkdirSync("artifacts/test", { recursive: true });
+    fs.writeFileSync(metadataFilePath, artifact.rawMetadata);
+  });
+
+  beforeEach(() => {
+    // Pretend that only 1000 optimizer runs reproduce the deployed bytecode
+    execSyncWrapperStub = sinon
+      .stub(Helpers, "execSyncWrapper")
+      .callsFake((command) => {
+        const [, runs, outDir] =
+          command.match(/--optimizer-runs (\d+) --out (\S+)/) ?? [];
+        const artifact = JSON.parse(fs.readFileSync(artifactFilePath, "utf-8"));
+        if (runs !== "1000") {
+          artifact.deployedBytecode.object = artifact.deployedBytecode.object.replace(
+            "0x60806040",
+            "0x60806041"
+          );
+        }
+        const artifactDir = path.join(outDir, "FiatTokenProxy.sol");
+        fs.mkdirSync(artifactDir, { recursive: true });
+        fs.writeFileSync(
+          path.join(artifactDir, "FiatTokenProxy.json"),
+          JSON.stringify(artifact)
+        );
+      });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  after(() => {
+    for (const buildDir of buildDirs) {
+      fs.rmSync(buildDir, { recursive: true, force: true });
+    }
+  });
+
+  it("tries the optimizer runs from the metadata, the local build and the candidates", async () => {
+    const result = await searchCompilerSettings(
+      {
+        contractName: "FiatTokenProxy",
+        contractAddress: proxy.target as string,
+        metadataFilePath,
+        optimizerRunsCandidates: [200, 10000000, 1000],
+      },
+      hre
+    );
+
+    expect(result.compilerVersion).to.equal("0.6.12");
+    expect(result.localCompilerVersion).to.equal("0.6.12+commit.27d51765");
+    expect(
+      result.optimizerRuns.map(({ optimizerRuns, source, equal }) => ({
+        optimizerRuns,
+        source,
+        equal,
+      }))
+    ).to.deep.equal([
+      {
+        optimizerRuns: 10000000,
+        source: OptimizerRunsSource.Metadata,
+        equal: false,
+      },
+      {
+        optimizerRuns: 200,
+        source: OptimizerRunsSource.Candidates,
+        equal: false,
+      },
+      {
+        optimizerRuns: 1000,
+        source: OptimizerRunsSource.Candidates,
+        equal: true,
+      },
+    ]);
+    expect(result.matchingOptimizerRuns).to.deep.equal([1000]);
+    expect(execSyncWrapperStub.firstCall.args[0]).to.equal(
+      `forge build --optimizer-runs 10000000 --out ${path.resolve(
+        buildDirs[2],
+        "out"
+      )} --cache-path ${path.resolve(buildDirs[2], "cache")}`
+    );
+  });
+
+  it("ignores a metadata file that does not match the deployed bytecode", async () => {
+    const result = await searchCompilerSettings(
+      {
+        contractName: "FiatTokenProxy",
+        contractAddress: proxy.target as string,
+        metadataFilePath:
+          "test/scripts/hardhat/testData/FiatTokenProxy.metadata.json",
+        optimizerRunsCandidates: [200],
+      },
+      hre
+    );
+
+    expect(
+      result.optimizerRuns.map(({ optimizerRuns, source }) => ({
+        optimizerRuns,
+        source,
+      }))
+    ).to.deep.equal([
+      { optimizerRuns: 10000000, source: OptimizerRunsSource.LocalBuild },
+      { optimizerRuns: 200, source: OptimizerRunsSource.Candidates },
+    ]);
+    expect(result.matchingOptimizerRuns).to.deep.equal([]);
+  });
+
+  it("fails the task if no optimizer runs reproduce the deployed bytecode", async () => {
+    await expect(
+      hre.run("searchCompilerSettings", {
+        contractName: "FiatTokenProxy",
+        contractAddress: proxy.target,
+        optimizerRunsCandidates: [200],
+      })
+    ).to.be.rejectedWith(
+      "None of the optimizer runs reproduce the on-chain bytecode"
+    );
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Copyright 2024 Circle Internet Group, Inc. All rights reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import hre from "hardhat";
+import fs from "fs";
+import { Contract } from "ethers";
+import { HARDHAT_ACCOUNTS } from "../../helpers/constants";
+import { FiatTokenProxy_SLOT_ADDRESSES } from "../../../scripts/hardhat/readValuesFromContract";
+import { simulateUpgrade } from "../../../scripts/hardhat/simulateUpgrade";
+
+describe("simulateUpgrade", () => {
+  const reportFilepath = "artifacts/test/simulateUpgrade.json";
+  const blacklistFilepath = "artifacts/test/simulateUpgrade.blacklist.json";
+  const [
+    ,
+    proxyAdmin,
+    masterMinter,
+    pauser,
+    blacklister,
+    owner,
+    minter,
+    alice,
+    bob,
+    charlie,
+    lostAndFound,
+  ] = HARDHAT_ACCOUNTS;
+
+  let proxy: Contract;
+  let implementation: string;
+
+  before("setup", async () => {
+    const signatureChecker = await hre.ethers.deployContract(
+      "SignatureChecker"
+    );
+    const fiatTokenV2_1 = await (
+      await hre.ethers.getContractFactory("FiatTokenV2_1", {
+        libraries: { SignatureChecker: signatureChecker.target },
+      })
+    ).deploy();
+    implementation = fiatTokenV2_1.target as string;
+    proxy = await hre.ethers.deployContract("FiatTokenProxy", [implementation]);
+    await proxy.changeAdmin(proxyAdmin);
+
+    const proxyAsFiatTokenV2_1 = await hre.ethers.getContractAt(
+      "FiatTokenV2_1",
+      proxy.target as string
+    );
+    await proxyAsFiatTokenV2_1.initialize(
+      "USD Coin",
+      "USDC",
+      "USD",
+      6,
+      masterMinter,
+      pauser,
+      blacklister,
+      owner
+    );
+    await proxyAsFiatTokenV2_1.initializeV2("USD Coin");
+    await proxyAsFiatTokenV2_1.initializeV2_1(lostAndFound);
+
+    await proxyAsFiatTokenV2_1
+      .connect(await hre.ethers.getSigner(masterMinter))
+      .getFunction("configureMinter")(minter, 1000);
+    const asMinter = proxyAsFiatTokenV2_1.connect(
+      await hre.ethers.getSigner(minter)
+    );
+    await asMinter.getFunction("mint")(alice, 100);
+    await asMinter.getFunction("mint")(charlie, 30);
+    await proxyAsFiatTokenV2_1
+      .connect(await hre.ethers.getSigner(alice))
+      .getFunction("approve")(bob, 50);
+    await proxyAsFiatTokenV2_1
+      .connect(await hre.ethers.getSigner(blacklister))
+      .getFunction("blacklist")(charlie);
+
+    fs.mkdirSync("artifacts/test", { recursive: true });
+  });
+
+  it("upgrades the proxy and checks the invariants", async () => {
+    const report = await simulateUpgrade(hre, proxy.target as string, {
+      accountsToBlacklist: [charlie],
+      newSymbol: "USDC.e",
+      expectedVersion: "2",
+      accounts: [alice, bob, charlie],
+      allowances: [[alice, bob]],
+    });
+
+    expect(report.proxyAdmin).to.equal(proxyAdmin);
+    expect(report.upgraderOwner).to.equal(HARDHAT_ACCOUNTS[0]);
+    expect(
+      report.invariants.map(({ name, passed }) => [name, passed])
+    ).to.deep.equal([
+      ["upgrade() succeeds", true],
+      ["implementation upgraded", true],
+      ["totalSupply unchanged", true],
+      ["balances preserved", true],
+      ["allowances preserved", true],
+      ["roles preserved", true],
+      ["blacklisted accounts still blacklisted", true],
+      ["version bumped", true],
+    ]);
+    expect(report.invariants[7].details).to.deep.equal([
+      "_initializedVersion: 2 -> 3",
+      'version(): "2" -> "2"',
+    ]);
+    expect(report.passed).to.be.true;
+
+    // The chain state is reverted after the simulation
+    expect(
+      await hre.ethers.provider.getStorage(
+        proxy.target as string,
+        FiatTokenProxy_SLOT_ADDRESSES.implementation
+      )
+    ).to.equal(hre.ethers.zeroPadValue(implementation.toLowerCase(), 32));
+  });
+
+  it("samples accounts from events, and fails if the upgrade reverts", async () => {
+    // bob has never been blacklisted, so initializeV2_2 reverts
+    fs.writeFileSync(blacklistFilepath, JSON.stringify([charlie, bob]));
+
+    await expect(
+      hre.run("simulateUpgrade", {
+        proxyAddress: proxy.target,
+        blacklistFilepath,
+        reportFilepath,
+      })
+    ).to.be.rejectedWith("Upgrade simulation failed: 1 invariants violated");
+
+    const report = JSON.parse(fs.readFileSync(reportFilepath, "utf-8"));
+    expect(report.passed).to.be.false;
+    expect(report.invariants).to.have.length(1);
+    expect(report.invariants[0].name).to.equal("upgrade() succeeds");
+    expect(report.invariants[0].details[0]).to.include(
+      "Blacklisting previously unblacklisted account!"
+    );
+  });
+});
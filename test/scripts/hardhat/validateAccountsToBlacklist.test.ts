@@ -0,0 +1,180 @@
+/**
+ * Copyright 2024 Circle Internet Group, Inc. All rights reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import hre from "hardhat";
+import fs from "fs";
+import * as sinon from "sinon";
+import { Contract } from "ethers";
+import { HARDHAT_ACCOUNTS } from "../../helpers/constants";
+import { ValidationReport } from "../../../scripts/hardhat/validateAccountsToBlacklist";
+
+describe("validateAccountsToBlacklist", () => {
+  const blacklistFilepath = "artifacts/test/validateAccountsToBlacklist.json";
+  const datasourceFilepath =
+    "artifacts/test/validateAccountsToBlacklist.datasource.json";
+  const reportFilepath =
+    "artifacts/test/validateAccountsToBlacklist.report.json";
+  const [
+    ,
+    proxyAdmin,
+    masterMinter,
+    pauser,
+    blacklister,
+    owner,
+    alice,
+    bob,
+    charlie,
+    dave,
+  ] = HARDHAT_ACCOUNTS;
+
+  let proxy: Contract;
+
+  async function deployUpgrader(accountsToBlacklist: string[]) {
+    return hre.ethers.deployContract("V2_2Upgrader", [
+      proxy.target,
+      hre.ethers.ZeroAddress,
+      proxyAdmin,
+      accountsToBlacklist,
+      "USDC",
+    ]);
+  }
+
+  function validate(args: Record<string, unknown>) {
+    return hre.run("validateAccountsToBlacklist", {
+      blacklistFilepath,
+      proxyAddress: proxy.target,
+      datasourceFilepath,
+      reportFilepath,
+      ...args,
+    });
+  }
+
+  function readReport(): ValidationReport {
+    return JSON.parse(fs.readFileSync(reportFilepath, "utf-8"));
+  }
+
+  before("setup", async () => {
+    const fiatTokenV1 = await hre.ethers.deployContract("FiatTokenV1");
+    proxy = await hre.ethers.deployContract("FiatTokenProxy", [
+      fiatTokenV1.target,
+    ]);
+    await proxy.changeAdmin(proxyAdmin);
+
+    const proxyAsFiatTokenV1 = await hre.ethers.getContractAt(
+      "FiatTokenV1",
+      proxy.target as string
+    );
+    await proxyAsFiatTokenV1.initialize(
+      "USD Coin",
+      "USDC",
+      "USD",
+      6,
+      masterMinter,
+      pauser,
+      blacklister,
+      owner
+    );
+    const asBlacklister = proxyAsFiatTokenV1.connect(
+      await hre.ethers.getSigner(blacklister)
+    );
+    await asBlacklister.getFunction("blacklist")(alice);
+    await asBlacklister.getFunction("blacklist")(bob);
+
+    fs.mkdirSync("artifacts/test", { recursive: true });
+  });
+
+  beforeEach(() => {
+    sinon.stub(console, "log");
+    sinon.stub(console, "table");
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it("passes if every source matches the blacklist file", async () => {
+    fs.writeFileSync(blacklistFilepath, JSON.stringify([alice, bob]));
+    fs.writeFileSync(datasourceFilepath, JSON.stringify([bob, alice]));
+    const upgrader = await deployUpgrader([alice, bob]);
+
+    await validate({ upgraderAddress: upgrader.target });
+
+    const report = readReport();
+    expect(report.passed).to.equal(true);
+    expect(report.upgrader).to.include({
+      source: upgrader.target,
+      passed: true,
+      expectedCount: 2,
+      actualCount: 2,
+    });
+    expect(report.datasource?.passed).to.equal(true);
+    expect(report.proxy).to.deep.equal({
+      proxyAddress: proxy.target,
+      passed: true,
+      checkedCount: 2,
+      notBlacklisted: [],
+    });
+  });
+
+  it("reports every mismatched account", async () => {
+    fs.writeFileSync(blacklistFilepath, JSON.stringify([alice, bob, charlie]));
+    fs.writeFileSync(datasourceFilepath, JSON.stringify([alice, dave]));
+    const upgrader = await deployUpgrader([
+      alice,
+      bob,
+      bob.toLowerCase(),
+      dave,
+    ]);
+
+    await expect(
+      validate({ upgraderAddress: upgrader.target })
+    ).to.be.rejectedWith("Validation failed!");
+
+    const report = readReport();
+    expect(report).to.include({
+      chainId: 31337,
+      blacklistFilepath,
+      accountCount: 3,
+      passed: false,
+    });
+    expect(report.datasource).to.deep.equal({
+      source: datasourceFilepath,
+      passed: false,
+      expectedCount: 3,
+      actualCount: 2,
+      missing: [bob, charlie],
+      unexpected: [dave],
+      duplicates: [],
+    });
+    expect(report.upgrader).to.deep.equal({
+      source: upgrader.target,
+      passed: false,
+      expectedCount: 3,
+      actualCount: 4,
+      missing: [charlie],
+      unexpected: [dave],
+      duplicates: [bob],
+    });
+    expect(report.proxy).to.deep.equal({
+      proxyAddress: proxy.target,
+      passed: false,
+      checkedCount: 3,
+      notBlacklisted: [{ address: charlie }],
+    });
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * Copyright 2024 Circle Internet Group, Inc. All rights reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  getVerificationTaskArguments,
+  readVerificationManifest,
+  VerificationManifest,
+} from "../../../scripts/hardhat/verificationManifest";
+import { BytecodeVerificationType } from "../../../scripts/hardhat/verifyOnChainBytecode";
+import { HARDHAT_ACCOUNTS } from "../../helpers/constants";
+
+describe("verificationManifest", () => {
+  const [
+    signatureCheckerAddress,
+    fiatTokenAddress,
+    proxyAddress,
+  ] = HARDHAT_ACCOUNTS;
+  const txHash = "0x" + "ab".repeat(32);
+  const metadataFilePath =
+    "test/scripts/hardhat/testData/FiatTokenProxy.metadata.json";
+
+  let tmpDir: string;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "manifest-"));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function writeManifest(content: unknown) {
+    const filePath = path.join(tmpDir, "input.json");
+    fs.writeFileSync(filePath, JSON.stringify(content));
+    return filePath;
+  }
+
+  it("migrates the legacy input format", () => {
+    const manifest = readVerificationManifest(
+      writeManifest({
+        SignatureChecker: {
+          contractAddress: signatureCheckerAddress,
+          contractCreationTxHash: txHash,
+          verificationType: "full",
+        },
+        FiatTokenV2_2: {
+          contractAddress: fiatTokenAddress,
+          contractCreationTxHash: txHash,
+          verificationType: "full",
+        },
+        FiatTokenProxy: {
+          contractAddress: proxyAddress,
+          contractCreationTxHash: txHash,
+          metadataFilePath,
+          compareMetadata: true,
+          constructorArgs: [fiatTokenAddress],
+        },
+        rpcUrl: "https://rpc.example.com",
+      })
+    );
+
+    expect(manifest.rpcUrl).to.equal("https://rpc.example.com/");
+    expect(getVerificationTaskArguments(manifest)).to.deep.equal([
+      {
+        contractName: "SignatureChecker",
+        contractAddress: signatureCheckerAddress,
+        libraryName: undefined,
+        libraryAddress: undefined,
+        isLibrary: true,
+        verificationType: BytecodeVerificationType.Full,
+        metadataFilePath: undefined,
+        compareMetadata: undefined,
+        contractCreationTxHash: txHash,
+        useTracesForCreationBytecode: undefined,
+        traceFormat: undefined,
+        artifactType: undefined,
+        optimizerRuns: undefined,
+        expectedConstructorArgs: undefined,
+        immutableValues: undefined,
+      },
+      {
+        contractName: "FiatTokenV2_2",
+        contractAddress: fiatTokenAddress,
+        libraryName: "SignatureChecker",
+        libraryAddress: signatureCheckerAddress,
+        isLibrary: false,
+        verificationType: BytecodeVerificationType.Full,
+        metadataFilePath: undefined,
+        compareMetadata: undefined,
+        contractCreationTxHash: txHash,
+        useTracesForCreationBytecode: undefined,
+        traceFormat: undefined,
+        artifactType: undefined,
+        optimizerRuns: undefined,
+        expectedConstructorArgs: undefined,
+        immutableValues: undefined,
+      },
+      {
+        contractName: "FiatTokenProxy",
+        contractAddress: proxyAddress,
+        libraryName: undefined,
+        libraryAddress: undefined,
+        isLibrary: false,
+        verificationType: BytecodeVerificationType.Partial,
+        metadataFilePath,
+        compareMetadata: true,
+        contractCreationTxHash: txHash,
+        useTracesForCreationBytecode: undefined,
+        traceFormat: undefined,
+        artifactType: undefined,
+        optimizerRuns: undefined,
+        expectedConstructorArgs: [fiatTokenAddress],
+        immutableValues: undefined,
+      },
+    ]);
+  });
+
+  it("verifies any contract listed in the manifest", () => {
+    const manifest: VerificationManifest = readVerificationManifest(
+      writeManifest({
+        network: "testnet",
+        contracts: [
+          {
+            contractName: "MasterMinter",
+            contractAddress: fiatTokenAddress,
+            contractCreationTxHash: txHash,
+            verificationType: "full",
+          },
+          {
+            contractName: "FiatTokenProxy",
+            contractAddress: proxyAddress,
+            contractCreationTxHash: txHash,
+            metadataFilePath,
+          },
+        ],
+      })
+    );
+
+    expect(manifest.network).to.equal("testnet");
+    expect(
+      getVerificationTaskArguments(manifest).map(
+        ({ contractName, isLibrary, libraryName }) => ({
+          contractName,
+          isLibrary,
+          libraryName,
+        })
+      )
+    ).to.deep.equal([
+      {
+        contractName: "MasterMinter",
+        isLibrary: false,
+        libraryName: undefined,
+      },
+      {
+        contractName: "FiatTokenProxy",
+        isLibrary: false,
+        libraryName: undefined,
+      },
+    ]);
+  });
+
+  it("fails if a linked library is missing from the manifest", () => {
+    const manifest = readVerificationManifest(
+      writeManifest({
+        contracts: [
+          {
+            contractName: "FiatTokenV2_2",
+            contractAddress: fiatTokenAddress,
+            contractCreationTxHash: txHash,
+            verificationType: "full",
+          },
+        ],
+      })
+    );
+
+    expect(() => getVerificationTaskArguments(manifest)).to.throw(
+      "Library SignatureChecker linked by FiatTokenV2_2 is missing from the input file"
+    );
+  });
+
+  it("rejects invalid contracts", () => {
+    const contract = {
+      contractName: "FiatTokenProxy",
+      contractAddress: proxyAddress,
+      contractCreationTxHash: txHash,
+      metadataFilePath,
+    };
+    const invalidContracts: [Record<string, unknown>, string][] = [
+      [{ contractAddress: "" }, "contains empty fields"],
+      [{ contractAddress: "0x1234" }, "Invalid contractAddress"],
+      [{ contractCreationTxHash: "0x1234" }, "Invalid contractCreationTxHash"],
+      [{ verificationType: "partly" }, "Invalid verificationType"],
+      [{ traceFormat: "erigon" }, "Invalid traceFormat"],
+      [{ isLibrary: "true" }, "Invalid isLibrary"],
+      [{ compareMetadata: 1 }, "Invalid compareMetadata"],
+      [{ optimizerRuns: -1 }, "Invalid optimizerRuns"],
+      [{ constructorArgs: "0x" }, "Invalid constructorArgs"],
+      [
+        { metadataFilePath: "verification_artifacts/missing.json" },
+        "Invalid metadataFilePath",
+      ],
+    ];
+
+    for (const [overrides, message] of invalidContracts) {
+      const filePath = writeManifest({
+        contracts: [{ ...contract, ...overrides }],
+      });
+      expect(() => readVerificationManifest(filePath)).to.throw(message);
+    }
+    expect(() =>
+      readVerificationManifest(
+        writeManifest({ rpcUrl: "not a url", contracts: [contract] })
+      )
+    ).to.throw("Invalid URL!");
+  });
+});
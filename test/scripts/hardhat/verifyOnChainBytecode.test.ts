@@ -24,15 +24,21 @@ import {
   BytecodeInputType,
   BytecodeVerificationType,
   extractBytecodeFromGethTraces,
+  extractBytecodeFromParityTraces,
+  TraceFormat,
+  createBytecodeVerificationReport,
+  formatBytecodeVerificationReports,
+  ReportFormat,
+  decodeConstructorArguments,
 } from "../../../scripts/hardhat/verifyOnChainBytecode";
 import { BaseContract, Contract, ContractTransactionResponse } from "ethers";
 import { mkdirSync, writeFileSync } from "fs";
 import { HARDHAT_ACCOUNTS } from "../../helpers/constants";
-import {
-  ArtifactType,
-  opMainnetFiatTokenProxyContractCreationBytecode,
-} from "../../../scripts/hardhat/alternativeArtifacts";
+import { getAlternativeArtifact } from "../../../scripts/hardhat/alternativeArtifacts";
 import V2_2UpgraderDeploymentTrace from "./testData/V2_2UpgraderDeploymentTrace.json";
+import FactoryDeploymentGethTrace from "./testData/FactoryDeploymentGethTrace.json";
+import FactoryDeploymentParityTrace from "./testData/FactoryDeploymentParityTrace.json";
+import FiatTokenProxyMetadata from "./testData/FiatTokenProxy.metadata.json";
 import * as Helpers from "../../../scripts/hardhat/helpers";
 
 describe("Verify on chain bytecode", () => {
@@ -56,8 +62,10 @@ describe("Verify on chain bytecode", () => {
     // deploy a contract using the OP Mainnet artifact
     const opMainnetFiatTokenProxyFactory = new hre.ethers.ContractFactory(
       [],
-      opMainnetFiatTokenProxyContractCreationBytecode.slice(0, -40) +
-        (await v22.getAddress()).slice(2),
+      getAlternativeArtifact(
+        "FiatTokenProxy",
+        "OPMainnet"
+      ).creationBytecode.slice(0, -40) + (await v22.getAddress()).slice(2),
       await hre.ethers.getSigner(HARDHAT_ACCOUNTS[0])
     );
     opMainnetArtifactFiatTokenProxy = await opMainnetFiatTokenProxyFactory.deploy();
@@ -134,6 +142,124 @@ describe("Verify on chain bytecode", () => {
     ]);
   });
 
+  it("Can list the source files that differ from the metadata", async () => {
+    const results = await verifyOnChainBytecode(
+      {
+        contractName: "FiatTokenProxy",
+        contractAddress: proxy.target as string,
+        verificationType: BytecodeVerificationType.Partial,
+        metadataFilePath:
+          "test/scripts/hardhat/testData/FiatTokenProxy.metadata.json",
+        compareMetadata: true,
+      },
+      hre
+    );
+
+    // Only the license headers of the local contracts changed since the metadata was generated
+    expect(results.slice(2)).to.deep.equal([
+      { type: BytecodeInputType.MetadataSettings, equal: true },
+      {
+        type: BytecodeInputType.MetadataSources,
+        equal: false,
+        metadataDifferences: [
+          "contracts/upgradeability/AdminUpgradeabilityProxy.sol",
+          "contracts/upgradeability/Proxy.sol",
+          "contracts/upgradeability/UpgradeabilityProxy.sol",
+          "contracts/v1/FiatTokenProxy.sol",
+        ].map((name) => ({
+          name,
+          expected: hre.ethers.keccak256(fs.readFileSync(name)),
+          actual:
+            FiatTokenProxyMetadata.sources[
+              name as keyof typeof FiatTokenProxyMetadata.sources
+            ].keccak256,
+        })),
+      },
+    ]);
+  });
+
+  it("Can compare the metadata settings with the local build", async () => {
+    const localMetadata = JSON.parse(
+      fs.readFileSync(
+        "artifacts/foundry/FiatTokenProxy.sol/FiatTokenProxy.json",
+        "utf-8"
+      )
+    ).rawMetadata;
+    const metadata = JSON.parse(localMetadata);
+    const metadataFilePath = "artifacts/test/FiatTokenProxy.metadata.json";
+    mkdirSync("artifacts/test", { recursive: true });
+
+    writeFileSync(metadataFilePath, localMetadata);
+    expect(
+      (
+        await verifyOnChainBytecode(
+          {
+            contractName: "FiatTokenProxy",
+            contractAddress: proxy.target as string,
+            verificationType: BytecodeVerificationType.Partial,
+            metadataFilePath,
+            compareMetadata: true,
+          },
+          hre
+        )
+      ).slice(2)
+    ).to.deep.equal([
+      { type: BytecodeInputType.MetadataSettings, equal: true },
+      { type: BytecodeInputType.MetadataSources, equal: true },
+    ]);
+
+    metadata.settings.optimizer.runs = 200;
+    metadata.settings.evmVersion = "berlin";
+    metadata.sources["contracts/v1/Missing.sol"] = { keccak256: "0x1234" };
+    writeFileSync(metadataFilePath, JSON.stringify(metadata));
+    expect(
+      (
+        await verifyOnChainBytecode(
+          {
+            contractName: "FiatTokenProxy",
+            contractAddress: proxy.target as string,
+            verificationType: BytecodeVerificationType.Partial,
+            metadataFilePath,
+            compareMetadata: true,
+          },
+          hre
+        )
+      ).slice(2)
+    ).to.deep.equal([
+      {
+        type: BytecodeInputType.MetadataSettings,
+        equal: false,
+        metadataDifferences: [
+          { name: "optimizerRuns", expected: "10000000", actual: "200" },
+          { name: "evmVersion", expected: "istanbul", actual: "berlin" },
+        ],
+      },
+      {
+        type: BytecodeInputType.MetadataSources,
+        equal: false,
+        metadataDifferences: [
+          { name: "contracts/v1/Missing.sol", actual: "0x1234" },
+        ],
+      },
+    ]);
+  });
+
+  it("Requires a metadata file to compare the metadata", async () => {
+    await expect(
+      verifyOnChainBytecode(
+        {
+          contractName: "FiatTokenProxy",
+          contractAddress: proxy.target as string,
+          verificationType: BytecodeVerificationType.Partial,
+          compareMetadata: true,
+        },
+        hre
+      )
+    ).to.be.rejectedWith(
+      "metadataFilePath is required to compare the metadata"
+    );
+  });
+
   it("Can detect mismatched constructor code", async () => {
     expect(
       await verifyOnChainBytecode(
@@ -183,7 +309,17 @@ describe("Verify on chain bytecode", () => {
     );
 
     expect(results).to.deep.equal([
-      { type: BytecodeInputType.ConstructorCode, equal: true },
+      {
+        type: BytecodeInputType.ConstructorCode,
+        equal: true,
+        constructorArguments: [
+          {
+            name: "implementationContract",
+            type: "address",
+            value: v22.target,
+          },
+        ],
+      },
       { type: BytecodeInputType.RuntimeBytecodePartial, equal: true },
       { type: BytecodeInputType.MetadataHash, equal: true },
     ]);
@@ -263,7 +399,7 @@ describe("Verify on chain bytecode", () => {
           contractName: "FiatTokenProxy",
           contractAddress: await opMainnetArtifactFiatTokenProxy.getAddress(),
           verificationType: BytecodeVerificationType.Full,
-          artifactType: ArtifactType.OPMainnet,
+          artifactType: "OPMainnet",
           contractCreationTxHash: opMainnetArtifactFiatTokenProxy.deploymentTransaction()
             ?.hash,
         },
@@ -275,6 +411,258 @@ describe("Verify on chain bytecode", () => {
     ]);
   });
 
+  it("Can annotate the runtime bytecode diff with known causes", async () => {
+    const [, runtimeBytecodeResult] = await verifyOnChainBytecode(
+      {
+        contractName: "FiatTokenV2_2",
+        contractAddress: v22.target as string,
+        libraryName: "SignatureChecker", // Library address not supplied
+        verificationType: BytecodeVerificationType.Full,
+        contractCreationTxHash: v22.deploymentTransaction()?.hash,
+        showBytecodeDiff: true,
+      },
+      hre
+    );
+
+    expect(runtimeBytecodeResult.equal).to.be.false;
+    expect(runtimeBytecodeResult.diff).to.not.be.empty;
+    for (const hunk of runtimeBytecodeResult.diff || []) {
+      expect(hunk.causes).to.deep.equal(["SignatureChecker library address"]);
+      expect(hunk.explained).to.be.true;
+      expect(hunk.expected).to.have.lengthOf(1);
+      expect(hunk.actual).to.deep.equal([
+        hunk.expected[0].replace(
+          /__\$[0-9a-f]{34}\$__/,
+          (signatureChecker.target as string).slice(2).toLowerCase()
+        ),
+      ]);
+    }
+  });
+
+  it("Can run partial verification on a contract with immutable variables", async () => {
+    const contractWithImmutables = await hre.ethers.deployContract(
+      "ContractWithImmutables",
+      [HARDHAT_ACCOUNTS[1], 6]
+    );
+    const contractCreationTxHash = contractWithImmutables.deploymentTransaction()
+      ?.hash;
+    // AST ids of `token` and `scale`
+    const [tokenAstId, scaleAstId] = ["4", "6"];
+
+    // Unknown immutable values are masked
+    const [maskedResult] = await verifyOnChainBytecode(
+      {
+        contractName: "ContractWithImmutables",
+        contractAddress: contractWithImmutables.target as string,
+        verificationType: BytecodeVerificationType.Partial,
+      },
+      hre
+    );
+    expect(maskedResult).to.deep.equal({
+      type: BytecodeInputType.RuntimeBytecodePartial,
+      equal: true,
+      maskedImmutables: [tokenAstId, scaleAstId],
+    });
+
+    // Immutable values can be supplied or read from the constructor arguments
+    const [, runtimeBytecodeResult] = await verifyOnChainBytecode(
+      {
+        contractName: "ContractWithImmutables",
+        contractAddress: contractWithImmutables.target as string,
+        verificationType: BytecodeVerificationType.Full,
+        contractCreationTxHash,
+        immutableValues: {
+          [tokenAstId]: "constructor:_token",
+          [scaleAstId]: "1000000",
+        },
+      },
+      hre
+    );
+    expect(runtimeBytecodeResult).to.deep.equal({
+      type: BytecodeInputType.RuntimeBytecodeFull,
+      equal: true,
+    });
+
+    // Wrong immutable values are detected
+    const [, mismatchedResult] = await verifyOnChainBytecode(
+      {
+        contractName: "ContractWithImmutables",
+        contractAddress: contractWithImmutables.target as string,
+        verificationType: BytecodeVerificationType.Partial,
+        contractCreationTxHash,
+        immutableValues: {
+          [tokenAstId]: HARDHAT_ACCOUNTS[2],
+          [scaleAstId]: "constructor:1",
+        },
+      },
+      hre
+    );
+    expect(mismatchedResult.equal).to.be.false;
+
+    await expect(
+      verifyOnChainBytecode(
+        {
+          contractName: "ContractWithImmutables",
+          contractAddress: contractWithImmutables.target as string,
+          verificationType: BytecodeVerificationType.Full,
+          immutableValues: { [scaleAstId]: "1000000" },
+        },
+        hre
+      )
+    ).to.be.rejectedWith(
+      `Full verification requires the values of all immutable variables, missing AST ids: ${tokenAstId}`
+    );
+  });
+
+  it("Can verify the constructor arguments", async () => {
+    const taskArguments = {
+      contractName: "FiatTokenProxy",
+      contractAddress: proxy.target as string,
+      verificationType: BytecodeVerificationType.Partial,
+      contractCreationTxHash: proxy.deploymentTransaction()?.hash,
+    };
+
+    const [constructorCodeResult] = await verifyOnChainBytecode(
+      taskArguments,
+      hre
+    );
+    expect(constructorCodeResult.constructorArguments).to.deep.equal([
+      { name: "implementationContract", type: "address", value: v22.target },
+    ]);
+
+    const [, constructorArgumentsResult] = await verifyOnChainBytecode(
+      {
+        ...taskArguments,
+        expectedConstructorArgs: {
+          implementationContract: (v22.target as string).toLowerCase(),
+        },
+      },
+      hre
+    );
+    expect(constructorArgumentsResult).to.deep.include({
+      type: BytecodeInputType.ConstructorArguments,
+      equal: true,
+    });
+
+    const [, mismatchedResult] = await verifyOnChainBytecode(
+      { ...taskArguments, expectedConstructorArgs: [HARDHAT_ACCOUNTS[1]] },
+      hre
+    );
+    expect(mismatchedResult.equal).to.be.false;
+    expect(mismatchedResult.constructorArguments).to.deep.equal([
+      {
+        name: "implementationContract",
+        type: "address",
+        value: v22.target,
+        expectedValue: HARDHAT_ACCOUNTS[1],
+        equal: false,
+      },
+    ]);
+
+    await expect(
+      verifyOnChainBytecode(
+        { ...taskArguments, expectedConstructorArgs: { implementation: "" } },
+        hre
+      )
+    ).to.be.rejectedWith(
+      "Unknown constructor arguments: implementation, expected one of: implementationContract"
+    );
+  });
+
+  it("Can decode constructor arguments preceded by constants", async () => {
+    const abi = ["constructor(string name, uint8 decimals)"];
+    const encodedArguments = hre.ethers.AbiCoder.defaultAbiCoder().encode(
+      ["string", "uint8"],
+      ["USD Coin", 6]
+    );
+    const creationBytecode = "0x6080604052"; // runtime bytecode ends here
+    const constants = Buffer.from("org.zeppelinos.proxy.admin").toString("hex");
+
+    expect(
+      decodeConstructorArguments(
+        abi,
+        creationBytecode + constants + encodedArguments.slice(2),
+        creationBytecode.length
+      )
+    ).to.deep.equal([
+      { name: "name", type: "string", value: "USD Coin" },
+      { name: "decimals", type: "uint8", value: "6" },
+    ]);
+    expect(
+      decodeConstructorArguments(
+        abi,
+        creationBytecode + constants,
+        creationBytecode.length
+      )
+    ).to.be.undefined;
+  });
+
+  it("Can create a report with the contract, chain id and compiler settings", async () => {
+    const taskArguments = {
+      contractName: "FiatTokenProxy",
+      contractAddress: v22.target as string, // Wrong contract address supplied
+      verificationType: BytecodeVerificationType.Partial,
+    };
+    const results = await verifyOnChainBytecode(taskArguments, hre);
+    const report = await createBytecodeVerificationReport(
+      taskArguments,
+      results,
+      hre
+    );
+
+    expect(report).to.deep.include({
+      contractName: "FiatTokenProxy",
+      contractAddress: v22.target,
+      chainId: 31337,
+      verificationType: BytecodeVerificationType.Partial,
+      results,
+      passed: false,
+    });
+    expect(report.compilerSettings?.compilerVersion).to.match(/^0\.6\.12/);
+    expect(report.compilerSettings?.optimizer?.enabled).to.be.true;
+
+    expect(
+      JSON.parse(formatBytecodeVerificationReports([report], ReportFormat.Json))
+    ).to.deep.equal([JSON.parse(JSON.stringify(report))]);
+
+    const junitReport = formatBytecodeVerificationReports(
+      [report],
+      ReportFormat.JUnit
+    );
+    expect(junitReport).to.include(
+      `<testsuite name="FiatTokenProxy (${v22.target})" tests="1" failures="1">`
+    );
+    expect(junitReport).to.include('<property name="chainId" value="31337"/>');
+    expect(junitReport).to.include(
+      '<failure message="partial runtime bytecode mismatch"/>'
+    );
+  });
+
+  it("Fails the task on a mismatch", async () => {
+    const outputFilePath = "artifacts/test/verifyOnChainBytecode.report.json";
+    await expect(
+      hre.run("verifyOnChainBytecode", {
+        contractName: "FiatTokenProxy",
+        contractAddress: v22.target as string, // Wrong contract address supplied
+        format: ReportFormat.Json,
+        outputFilePath,
+      })
+    ).to.be.rejectedWith("Bytecode verification failed");
+    expect(
+      JSON.parse(fs.readFileSync(outputFilePath, "utf-8"))[0].passed
+    ).to.equal(false);
+
+    await hre.run("verifyOnChainBytecode", {
+      contractName: "FiatTokenProxy",
+      contractAddress: proxy.target as string,
+      format: ReportFormat.Json,
+      outputFilePath,
+    });
+    expect(
+      JSON.parse(fs.readFileSync(outputFilePath, "utf-8"))[0].passed
+    ).to.equal(true);
+  });
+
   it("Can pull contract creation code from traces", async () => {
     // example contract creation from internal transaction taken from: https://etherscan.io/tx/0x7f6268ff5bd05d1b61c19889a46eb9a38563accce441dcfcf0c7515b1733503e
     // it's the deployment of the UpgraderHelper contract for V2_2Upgrader.sol
@@ -292,6 +680,88 @@ describe("Verify on chain bytecode", () => {
       )
     ).to.deep.equal(expectedCreationBytecode);
   });
+
+  it("Can pull contract creation code from nested traces", async () => {
+    // a Safe transaction batching two CREATE2 factory deployments, traced with debug_traceTransaction and trace_transaction
+    const contracts = [
+      {
+        address: "0x8a0f3a6e0bd3c1e4d0a4b0d5c8a7e1f2b3c4d5e6",
+        creationBytecode: "0x600a600c600039600a6000f3602a60405260206040f3",
+      },
+      {
+        address: "0x3C7b9E2f4a1D8c6B5e0F7a9D2c4b6E8f1A3d5C7b", // created in the second subcall
+        creationBytecode: "0x600a600c600039600a6000f3602b60405260206040f3",
+      },
+    ];
+    for (const { address, creationBytecode } of contracts) {
+      expect(
+        extractBytecodeFromGethTraces(FactoryDeploymentGethTrace, address)
+      ).to.equal(creationBytecode);
+      expect(
+        extractBytecodeFromParityTraces(FactoryDeploymentParityTrace, address)
+      ).to.equal(creationBytecode);
+    }
+
+    const otherAddress = HARDHAT_ACCOUNTS[0];
+    expect(() =>
+      extractBytecodeFromGethTraces(FactoryDeploymentGethTrace, otherAddress)
+    ).to.throw("Contract creation trace not found");
+    expect(() =>
+      extractBytecodeFromParityTraces(
+        FactoryDeploymentParityTrace,
+        otherAddress
+      )
+    ).to.throw("Contract creation trace not found");
+  });
+
+  it("Falls back to trace_transaction if debug_traceTransaction is not supported", async () => {
+    const contractCreationTxHash = proxy.deploymentTransaction()
+      ?.hash as string;
+    const send = sinon.stub(hre.ethers.provider, "send");
+    send
+      .withArgs("debug_traceTransaction")
+      .rejects(new Error("Method debug_traceTransaction is not supported"));
+    send.withArgs("trace_transaction").resolves([
+      {
+        action: {
+          from: HARDHAT_ACCOUNTS[0],
+          gas: "0x0",
+          init: proxy.deploymentTransaction()?.data,
+          value: "0x0",
+        },
+        result: { address: proxy.target, code: "0x", gasUsed: "0x0" },
+        subtraces: 0,
+        traceAddress: [],
+        transactionHash: contractCreationTxHash,
+        type: "create",
+      },
+    ]);
+    send.callThrough();
+    const taskArguments = {
+      contractName: "FiatTokenProxy",
+      contractAddress: proxy.target as string,
+      verificationType: BytecodeVerificationType.Partial,
+      contractCreationTxHash,
+      useTracesForCreationBytecode: true,
+    };
+
+    const [constructorCodeResult] = await verifyOnChainBytecode(
+      taskArguments,
+      hre
+    );
+    expect(constructorCodeResult).to.deep.include({
+      type: BytecodeInputType.ConstructorCode,
+      equal: true,
+    });
+    expect(send.calledWith("trace_transaction")).to.be.true;
+
+    await expect(
+      verifyOnChainBytecode(
+        { ...taskArguments, traceFormat: TraceFormat.Geth },
+        hre
+      )
+    ).to.be.rejectedWith("Method debug_traceTransaction is not supported");
+  });
 });
 
 async function prepareMetadata(
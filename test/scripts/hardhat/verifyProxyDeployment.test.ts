@@ -0,0 +1,122 @@
+/**
+ * Copyright 2024 Circle Internet Group, Inc. All rights reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import hre from "hardhat";
+import fs from "fs";
+import { Contract } from "ethers";
+import { HARDHAT_ACCOUNTS } from "../../helpers/constants";
+import {
+  findLinkedLibraryAddresses,
+  ProxyDeploymentReport,
+} from "../../../scripts/hardhat/verifyProxyDeployment";
+import {
+  getContractArtifact,
+  ReportFormat,
+} from "../../../scripts/hardhat/verifyOnChainBytecode";
+
+describe("verifyProxyDeployment", () => {
+  const outputFilePath = "artifacts/test/verifyProxyDeployment.report.json";
+
+  let proxy: Contract;
+  let v22: Contract;
+  let signatureChecker: Contract;
+
+  before("setup", async () => {
+    signatureChecker = await hre.ethers.deployContract("SignatureChecker");
+    const FiatTokenV2_2 = await hre.ethers.getContractFactory("FiatTokenV2_2", {
+      libraries: { SignatureChecker: signatureChecker.target },
+    });
+    v22 = await FiatTokenV2_2.deploy();
+    proxy = await hre.ethers.deployContract("FiatTokenProxy", [v22.target]);
+    fs.mkdirSync("artifacts/test", { recursive: true });
+  });
+
+  it("finds the libraries linked by a contract", async () => {
+    expect(
+      findLinkedLibraryAddresses(
+        await hre.ethers.provider.getCode(v22.target as string),
+        getContractArtifact("FiatTokenV2_2", undefined).runtimeLinkReferences
+      )
+    ).to.deep.equal({ SignatureChecker: signatureChecker.target });
+  });
+
+  it("verifies the proxy, the implementation and the linked libraries", async () => {
+    await hre.run("verifyProxyDeployment", {
+      proxyAddress: proxy.target,
+      proxyCreationTxHash: proxy.deploymentTransaction()?.hash,
+      format: ReportFormat.Json,
+      outputFilePath,
+    });
+
+    const report: ProxyDeploymentReport = JSON.parse(
+      fs.readFileSync(outputFilePath, "utf-8")
+    );
+    expect(report).to.deep.include({
+      chainId: 31337,
+      proxyAddress: proxy.target,
+      admin: HARDHAT_ACCOUNTS[0],
+      implementation: v22.target,
+      libraries: { SignatureChecker: signatureChecker.target },
+      passed: true,
+    });
+    expect(
+      report.contracts.map(({ contractName, contractAddress, passed }) => ({
+        contractName,
+        contractAddress,
+        passed,
+      }))
+    ).to.deep.equal([
+      {
+        contractName: "FiatTokenProxy",
+        contractAddress: proxy.target,
+        passed: true,
+      },
+      {
+        contractName: "FiatTokenV2_2",
+        contractAddress: v22.target,
+        passed: true,
+      },
+      {
+        contractName: "SignatureChecker",
+        contractAddress: signatureChecker.target,
+        passed: true,
+      },
+    ]);
+  });
+
+  it("fails if the implementation does not match", async () => {
+    await expect(
+      hre.run("verifyProxyDeployment", {
+        proxyAddress: proxy.target,
+        implementationContractName: "FiatTokenV2_1",
+        format: ReportFormat.Json,
+        outputFilePath,
+      })
+    ).to.be.rejectedWith("Deployment verification failed");
+
+    const report: ProxyDeploymentReport = JSON.parse(
+      fs.readFileSync(outputFilePath, "utf-8")
+    );
+    expect(report.passed).to.be.false;
+    expect(report.libraries).to.deep.equal({});
+    expect(report.contracts.map(({ passed }) => passed)).to.deep.equal([
+      true,
+      false,
+    ]);
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Copyright 2024 Circle Internet Group, Inc. All rights reserved.
+ *
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ethers } from "ethers";
+import {
+  readBlacklistFile,
+  readBlacklistFileEntries,
+  streamBlacklistFile,
+} from "../utils";
+import { HARDHAT_ACCOUNTS } from "./helpers/constants";
+import {
+  BlacklistEntry,
+  BlacklistFileHeader,
+  DownloadMode,
+  formatBlacklistFile,
+  OutputFormat,
+} from "../scripts/hardhat/downloadBlacklistedAccounts";
+
+describe("utils", () => {
+  describe("readBlacklistFileEntries", () => {
+    const header: BlacklistFileHeader = {
+      chainId: 1,
+      proxyAddress: ethers.getAddress(HARDHAT_ACCOUNTS[9]),
+      mode: DownloadMode.Query,
+      fromBlockNumber: 6082465,
+      toBlockNumber: 19000000,
+      generatedAt: "2024-01-01T00:00:00.000Z",
+    };
+    const entries: BlacklistEntry[] = HARDHAT_ACCOUNTS.slice(0, 3).map(
+      (account, i) => ({
+        address: ethers.getAddress(account),
+        transactionHash: ethers.zeroPadValue(ethers.toBeHex(i + 1), 32),
+        blockNumber: 6082465 + i,
+        logIndex: i * 2,
+      })
+    );
+
+    let tmpDir: string;
+
+    before(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "blacklist-"));
+    });
+
+    after(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    for (const [format, fileName] of [
+      [OutputFormat.JsonWithProvenance, "blacklist.provenance.json"],
+      [OutputFormat.Csv, "blacklist.csv"],
+    ]) {
+      it(`reads back the files written in the ${format} format`, () => {
+        const filePath = path.join(tmpDir, fileName);
+        fs.writeFileSync(
+          filePath,
+          formatBlacklistFile(entries, header, format as OutputFormat)
+        );
+
+        expect(readBlacklistFileEntries(filePath)).to.deep.equal({
+          header,
+          entries,
+        });
+        expect(readBlacklistFile(filePath)).to.deep.equal(
+          entries.map(({ address }) => address)
+        );
+      });
+    }
+
+    it("reads back the files written in the json format", () => {
+      const filePath = path.join(tmpDir, "blacklist.json");
+      fs.writeFileSync(
+        filePath,
+        formatBlacklistFile(entries, header, OutputFormat.Json)
+      );
+
+      expect(readBlacklistFileEntries(filePath)).to.deep.equal({
+        header: null,
+        entries: entries.map(({ address }) => ({ address })),
+      });
+    });
+  });
+
+  describe("streamBlacklistFile", () => {
+    const accounts = HARDHAT_ACCOUNTS.slice(0, 5).map(ethers.getAddress);
+
+    let tmpDir: string;
+
+    before(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "blacklist-"));
+    });
+
+    after(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    function writeFile(fileName: string, content: string) {
+      const filePath = path.join(tmpDir, fileName);
+      fs.writeFileSync(filePath, content);
+      return filePath;
+    }
+
+    async function collect(
+      filePath: string,
+      options?: Parameters<typeof streamBlacklistFile>[1]
+    ) {
+      const addresses: string[] = [];
+      for await (const address of streamBlacklistFile(filePath, options)) {
+        addresses.push(address);
+      }
+      return addresses;
+    }
+
+    it("reads a JSON array of addresses", async () => {
+      const filePath = writeFile(
+        "blacklist.json",
+        JSON.stringify(accounts.map((account) => account.toLowerCase()))
+      );
+      expect(await collect(filePath)).to.deep.equal(accounts);
+    });
+
+    it("reads a JSON file with provenance", async () => {
+      const filePath = writeFile(
+        "blacklist.provenance.json",
+        JSON.stringify(
+          {
+            header: { proxyAddress: HARDHAT_ACCOUNTS[9], chainId: 1 },
+            accounts: accounts.map((address, i) => ({
+              transactionHash: ethers.ZeroHash,
+              address,
+              blockNumber: i,
+            })),
+          },
+          null,
+          2
+        )
+      );
+      expect(await collect(filePath)).to.deep.equal(accounts);
+    });
+
+    it("reads a CSV file", async () => {
+      const filePath = writeFile(
+        "blacklist.csv",
+        [
+          "# chainId: 1",
+          "blockNumber,address",
+          ...accounts.map((address, i) => `${i},${address}`),
+        ].join("\r\n")
+      );
+      expect(await collect(filePath)).to.deep.equal(accounts);
+    });
+
+    it("reads files larger than a single chunk", async () => {
+      const manyAccounts = Array.from({ length: 3000 }, (_, i) =>
+        ethers.zeroPadValue(ethers.toBeHex(i + 1), 20)
+      );
+      const filePath = writeFile(
+        "blacklist.large.json",
+        JSON.stringify(manyAccounts, null, 2)
+      );
+
+      expect(await collect(filePath)).to.deep.equal(
+        readBlacklistFile(filePath).map(ethers.getAddress)
+      );
+    });
+
+    it("deduplicates addresses", async () => {
+      const filePath = writeFile(
+        "blacklist.duplicates.json",
+        JSON.stringify([
+          accounts[0],
+          accounts[1],
+          accounts[0].toLowerCase(),
+          accounts[1],
+        ])
+      );
+      expect(await collect(filePath)).to.deep.equal(accounts.slice(0, 2));
+    });
+
+    it("reports the index and line of invalid entries", async () => {
+      const filePath = writeFile(
+        "blacklist.invalid.json",
+        JSON.stringify([accounts[0], "0x1234", accounts[1], 42], null, 2)
+      );
+
+      const invalidEntries: unknown[] = [];
+      const addresses = await collect(filePath, {
+        onInvalidEntry: (entry) => invalidEntries.push(entry),
+      });
+
+      expect(addresses).to.deep.equal(accounts.slice(0, 2));
+      expect(invalidEntries).to.deep.equal([
+        { value: "0x1234", index: 1, line: 3 },
+        { value: 42, index: 3, line: 5 },
+      ]);
+      await expect(collect(filePath)).to.be.rejectedWith(
+        `Address '0x1234' at index 1 (line 3) in '${filePath}' is not valid address!`
+      );
+    });
+
+    it("throws if the file is not a blacklist file", async () => {
+      await expect(
+        collect(writeFile("not-a-blacklist.json", '{"header": {}}'))
+      ).to.be.rejectedWith("has no 'accounts' array!");
+      await expect(
+        collect(writeFile("truncated.json", `["${accounts[0]}"`))
+      ).to.be.rejectedWith("is not valid JSON!");
+      await expect(
+        collect(path.join(tmpDir, "missing.json"))
+      ).to.be.rejectedWith("does not exist!");
+
+      // The streaming and array readers agree on invalid JSON
+      for (const [fileName, content] of [
+        ["missing-comma.json", `["${accounts[0]}" "${accounts[1]}"]`],
+        ["extra-comma.json", `["${accounts[0]}",, "${accounts[1]}"]`],
+        ["trailing-comma.json", `["${accounts[0]}", "${accounts[1]}",]`],
+        ["missing-colon.json", `{"accounts": [{"address" "${accounts[0]}"}]}`],
+        [
+          "missing-object-comma.json",
+          `{"accounts": [{"address": "${accounts[0]}"} {"address": "${accounts[1]}"}]}`,
+        ],
+        ["trailing-value.json", `["${accounts[0]}"] "${accounts[1]}"`],
+      ]) {
+        const filePath = writeFile(fileName, content);
+        expect(() => readBlacklistFile(filePath)).to.throw();
+        await expect(collect(filePath)).to.be.rejectedWith(
+          "is not valid JSON!"
+        );
+      }
+    });
+  });
+});
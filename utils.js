@@ -26,21 +26,392 @@ const web3 = require("web3");
  * @returns {string[]} the list of addresses in the file.
  */
 function readBlacklistFile(blacklistFilePath) {
+  return readBlacklistFileEntries(blacklistFilePath).entries.map(
+    (entry) => entry.address
+  );
+}
+
+/**
+ * Helper function to read the blacklist file, including the provenance of each address if present.
+ * The following formats are supported:
+ * 1) A JSON array of addresses.
+ * 2) A JSON object with a `header` object and an `accounts` array of entries.
+ * 3) A CSV file with an `address` column. Lines starting with `#` hold the header as `key: value`.
+ * @param {string} blacklistFilePath the filepath to the blacklist file.
+ * @returns {{header: Object<string, string|number>|null, entries: {address: string, transactionHash?: string, blockNumber?: number, logIndex?: number}[]}}
+ * the header and the entries in the file.
+ */
+function readBlacklistFileEntries(blacklistFilePath) {
   if (!fs.existsSync(blacklistFilePath)) {
     throw new Error(`'${blacklistFilePath}' does not exist!`);
   }
-  let addresses = JSON.parse(fs.readFileSync(blacklistFilePath));
-  addresses = _.uniqBy(addresses, (a) => a.toLowerCase()); // Deduplicate any addresses in the file
+  const content = fs.readFileSync(blacklistFilePath, "utf-8").trim();
+
+  let header = null;
+  let entries;
+  if (content.startsWith("[")) {
+    entries = JSON.parse(content).map((address) => ({ address }));
+  } else if (content.startsWith("{")) {
+    const parsed = JSON.parse(content);
+    if (!Array.isArray(parsed.accounts)) {
+      throw new Error(`'${blacklistFilePath}' has no 'accounts' array!`);
+    }
+    header = parsed.header || null;
+    entries = parsed.accounts;
+  } else {
+    ({ header, entries } = parseBlacklistCsv(content));
+  }
+  entries = _.uniqBy(entries, (e) => String(e.address).toLowerCase()); // Deduplicate any addresses in the file
 
   // Validate that addresses' integrity
-  for (const address of addresses) {
+  for (const { address } of entries) {
     if (!web3.utils.isAddress(address)) {
       throw new Error(
         `Address '${address}' in '${blacklistFilePath}' is not valid address!`
       );
     }
   }
-  return addresses;
+  return { header, entries };
+}
+
+/**
+ * Parses the content of a blacklist CSV file.
+ */
+function parseBlacklistCsv(content) {
+  const header = {};
+  const rows = [];
+  for (const line of content.split(/\r?\n/)) {
+    const trimmedLine = line.trim();
+    if (trimmedLine.startsWith("#")) {
+      const separatorIndex = trimmedLine.indexOf(":");
+      if (separatorIndex !== -1) {
+        const key = trimmedLine.slice(1, separatorIndex).trim();
+        const value = trimmedLine.slice(separatorIndex + 1).trim();
+        // Only decimal integers are numbers, eg. not the hex proxyAddress
+        header[key] = /^\d+$/.test(value) ? Number(value) : value;
+      }
+    } else if (trimmedLine !== "") {
+      rows.push(trimmedLine.split(",").map((cell) => cell.trim()));
+    }
+  }
+
+  // The column header is optional for a single column list of addresses
+  let columns = ["address"];
+  if (rows.length > 0 && rows[0].includes("address")) {
+    columns = rows.shift();
+  }
+  const entries = rows.map((row) => {
+    const entry = {};
+    columns.forEach((column, i) => {
+      if (row[i] !== undefined && row[i] !== "") {
+        entry[column] = ["blockNumber", "logIndex"].includes(column)
+          ? Number(row[i])
+          : row[i];
+      }
+    });
+    return entry;
+  });
+
+  return { header: _.isEmpty(header) ? null : header, entries };
+}
+
+/**
+ * Helper function to stream the addresses in a blacklist file, without loading the whole file into memory.
+ * Supports the same formats as readBlacklistFileEntries. Each address is validated and converted to
+ * a checksum address, and is only yielded the first time it appears in the file.
+ * @param {string} blacklistFilePath the filepath to the blacklist file.
+ * @param {{onInvalidEntry?: (entry: {value: *, index: number, line: number}) => void}} [options]
+ * onInvalidEntry is called with the index and line of each invalid entry, instead of throwing.
+ * @returns {AsyncGenerator<string>} the unique checksum addresses in the file.
+ */
+async function* streamBlacklistFile(
+  blacklistFilePath,
+  { onInvalidEntry } = {}
+) {
+  if (!fs.existsSync(blacklistFilePath)) {
+    throw new Error(`'${blacklistFilePath}' does not exist!`);
+  }
+  const seenAddresses = new Set();
+
+  for await (const entry of streamBlacklistFileValues(blacklistFilePath)) {
+    if (typeof entry.value !== "string" || !web3.utils.isAddress(entry.value)) {
+      if (onInvalidEntry) {
+        onInvalidEntry(entry);
+        continue;
+      }
+      throw new Error(
+        `Address '${entry.value}' at index ${entry.index} (line ${entry.line}) in '${blacklistFilePath}' is not valid address!`
+      );
+    }
+
+    const address = web3.utils.toChecksumAddress(entry.value);
+    if (!seenAddresses.has(address)) {
+      seenAddresses.add(address);
+      yield address;
+    }
+  }
+}
+
+/**
+ * Streams the raw address values in a blacklist file, along with their index and line number.
+ */
+async function* streamBlacklistFileValues(blacklistFilePath) {
+  const stream = fs.createReadStream(blacklistFilePath, { encoding: "utf-8" });
+  let scanner;
+  for await (const chunk of stream) {
+    if (!scanner) {
+      const firstChar = chunk.trimStart()[0];
+      if (firstChar === undefined) {
+        continue;
+      }
+      scanner =
+        firstChar === "[" || firstChar === "{"
+          ? createJsonAddressScanner(blacklistFilePath)
+          : createCsvAddressScanner();
+    }
+    yield* scanner.write(chunk);
+  }
+  if (scanner) {
+    yield* scanner.end();
+  }
+}
+
+/**
+ * Creates an incremental scanner for the address values in a JSON blacklist file, ie. the elements of
+ * a JSON array of addresses, or the `address` of each entry in the `accounts` array of a JSON object.
+ * The structure of the file is validated like JSON.parse does, eg. a missing comma is rejected.
+ */
+function createJsonAddressScanner(blacklistFilePath) {
+  // Open arrays and objects, with the current index or key, and the next expected token:
+  // "first" (a value, key or the closing bracket), "value", "key", "colon" or "separator"
+  const stack = [];
+  let rootState = "value"; // "value" until the root value starts, "done" afterwards
+  let line = 1;
+  let string = null; // the string being read, if any
+  let stringLine = 1;
+  let isKey = false; // whether the string being read is an object key
+  let escaped = false;
+  let literal = ""; // the number, boolean or null literal being read, if any
+  let literalLine = 1;
+  let isRootArray = false;
+  let hasAccounts = false;
+
+  const invalidJson = () =>
+    new Error(`'${blacklistFilePath}' is not valid JSON!`);
+
+  const isAddressValue = () =>
+    (stack.length === 1 && stack[0].type === "array") ||
+    (stack.length === 3 &&
+      stack[0].key === "accounts" &&
+      stack[1].type === "array" &&
+      stack[2].type === "object" &&
+      stack[2].key === "address");
+
+  // Checks that a value may start here, and expects a separator after it
+  const startValue = () => {
+    const top = stack[stack.length - 1];
+    if (!top) {
+      if (rootState !== "value") {
+        throw invalidJson();
+      }
+      rootState = "done";
+    } else if (
+      top.state === "value" ||
+      (top.state === "first" && top.type === "array")
+    ) {
+      top.state = "separator";
+    } else {
+      throw invalidJson();
+    }
+  };
+
+  const onValue = (value, valueLine, values) => {
+    if (isAddressValue()) {
+      const { index } = stack.length === 1 ? stack[0] : stack[1];
+      values.push({ value, index, line: valueLine });
+    }
+  };
+
+  const flushLiteral = (values) => {
+    if (literal !== "") {
+      let value;
+      try {
+        value = JSON.parse(literal);
+      } catch {
+        value = literal;
+      }
+      onValue(value, literalLine, values);
+      literal = "";
+    }
+  };
+
+  const write = (chunk) => {
+    const values = [];
+    for (const char of chunk) {
+      if (string !== null) {
+        if (escaped) {
+          string += char;
+          escaped = false;
+        } else if (char === "\\") {
+          escaped = true;
+        } else if (char === '"') {
+          if (isKey) {
+            stack[stack.length - 1].key = string;
+          } else {
+            onValue(string, stringLine, values);
+          }
+          string = null;
+        } else {
+          string += char;
+        }
+        continue;
+      }
+
+      const top = stack[stack.length - 1];
+      switch (char) {
+        case '"':
+          flushLiteral(values);
+          isKey =
+            !!top &&
+            top.type === "object" &&
+            (top.state === "first" || top.state === "key");
+          if (isKey) {
+            top.state = "colon";
+          } else {
+            startValue();
+          }
+          string = "";
+          stringLine = line;
+          break;
+        case "{":
+          flushLiteral(values);
+          startValue();
+          stack.push({ type: "object", key: null, state: "first" });
+          break;
+        case "[":
+          flushLiteral(values);
+          startValue();
+          if (stack.length === 0) {
+            isRootArray = true;
+          } else if (stack.length === 1 && stack[0].key === "accounts") {
+            hasAccounts = true;
+          }
+          stack.push({ type: "array", index: 0, state: "first" });
+          break;
+        case "}":
+        case "]":
+          flushLiteral(values);
+          if (
+            !top ||
+            top.type !== (char === "]" ? "array" : "object") ||
+            (top.state !== "first" && top.state !== "separator")
+          ) {
+            throw invalidJson();
+          }
+          stack.pop();
+          break;
+        case ":":
+          flushLiteral(values);
+          if (!top || top.state !== "colon") {
+            throw invalidJson();
+          }
+          top.state = "value";
+          break;
+        case ",":
+          flushLiteral(values);
+          if (!top || top.state !== "separator") {
+            throw invalidJson();
+          }
+          if (top.type === "array") {
+            top.index++;
+            top.state = "value";
+          } else {
+            top.key = null;
+            top.state = "key";
+          }
+          break;
+        default:
+          if (/\s/.test(char)) {
+            flushLiteral(values);
+            if (char === "\n") {
+              line++;
+            }
+          } else {
+            if (literal === "") {
+              startValue();
+              literalLine = line;
+            }
+            literal += char;
+          }
+      }
+    }
+    return values;
+  };
+
+  const end = () => {
+    const values = [];
+    flushLiteral(values);
+    if (stack.length !== 0 || string !== null || rootState !== "done") {
+      throw invalidJson();
+    }
+    if (!hasAccounts && !isRootArray) {
+      throw new Error(`'${blacklistFilePath}' has no 'accounts' array!`);
+    }
+    return values;
+  };
+
+  return { write, end };
+}
+
+/**
+ * Creates an incremental scanner for the address values in a CSV blacklist file.
+ */
+function createCsvAddressScanner() {
+  let remainder = ""; // the last, possibly incomplete line of the previous chunk
+  let line = 0;
+  let index = 0;
+  let addressColumn;
+
+  const parseLine = (text, values) => {
+    line++;
+    const trimmedLine = text.trim();
+    if (trimmedLine === "" || trimmedLine.startsWith("#")) {
+      return;
+    }
+    const cells = trimmedLine.split(",").map((cell) => cell.trim());
+
+    // The column header is optional for a single column list of addresses
+    if (addressColumn === undefined) {
+      addressColumn = cells.indexOf("address");
+      if (addressColumn !== -1) {
+        return;
+      }
+      addressColumn = 0;
+    }
+    values.push({ value: cells[addressColumn], index: index++, line });
+  };
+
+  const write = (chunk) => {
+    const values = [];
+    const lines = (remainder + chunk).split("\n");
+    remainder = lines.pop();
+    for (const text of lines) {
+      parseLine(text, values);
+    }
+    return values;
+  };
+
+  const end = () => {
+    const values = [];
+    parseLine(remainder, values);
+    return values;
+  };
+
+  return { write, end };
 }
 
-module.exports = { readBlacklistFile };
+module.exports = {
+  readBlacklistFile,
+  readBlacklistFileEntries,
+  streamBlacklistFile,
+};